@@ -3,6 +3,7 @@ require("dotenv").config();
 
 const express = require("express");
 const crypto = require("crypto");
+const fs = require("fs");
 const fetch = require("node-fetch");
 const { google } = require("googleapis");
 const nacl = require("tweetnacl");
@@ -34,23 +35,60 @@ const DISCORD_PUBLIC_KEY = process.env.DISCORD_PUBLIC_KEY;
 const DISCORD_APP_ID = process.env.DISCORD_APP_ID;
 const DISCORD_BOT_TOKEN = process.env.DISCORD_BOT_TOKEN;
 
+// Slack
+const SLACK_SIGNING_SECRET = process.env.SLACK_SIGNING_SECRET;
+const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
+
+// Telegram (setWebhook with secret_token = KAI_BOT_TELEGRAM_WEBHOOK_SECRET)
+const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+const TELEGRAM_WEBHOOK_SECRET = process.env.KAI_BOT_TELEGRAM_WEBHOOK_SECRET;
+
 // DB (Cloud SQL Postgres)
 const DB_INSTANCE = process.env.KAI_BOT_DB_INSTANCE;
 const DB_NAME = process.env.KAI_BOT_DB_NAME || "kai_bot";
 const DB_USER = process.env.KAI_BOT_DB_USER || "kai_bot";
 const DB_PASSWORD = process.env.KAI_BOT_DB_PASSWORD;
 
+// Storage backend: postgres | sheets | memory. Unset picks postgres when KAI_BOT_DB_INSTANCE is set,
+// then sheets when a spreadsheet is configured, else memory (offline; persisted to KAI_BOT_STORAGE_FILE if set).
+const STORAGE_BACKEND = String(
+  process.env.KAI_BOT_STORAGE || (DB_INSTANCE ? "postgres" : SPREADSHEET_ID ? "sheets" : "memory")
+).toLowerCase();
+const STORAGE_FILE = process.env.KAI_BOT_STORAGE_FILE;
+
+// Vertex usage limits. Rates are "<calls>/<seconds>" token buckets per user and per space
+// (in-process, so per instance); the daily quota is per space and persisted. 0 / "" = no limit.
+const LLM_RATE_USER = process.env.KAI_BOT_LLM_RATE_USER || "5/60";
+const LLM_RATE_SPACE = process.env.KAI_BOT_LLM_RATE_SPACE || "20/60";
+const LLM_DAILY_QUOTA = Number(process.env.KAI_BOT_LLM_DAILY_QUOTA || 300);
+
+// Cron (Cloud Scheduler / local cron -> /cron/*)
+const CRON_SECRET = process.env.KAI_BOT_CRON_SECRET;
+
+// Dashboard share links (https://<service>/dashboard/...)
+const PUBLIC_URL = process.env.KAI_BOT_PUBLIC_URL || "";
+const DASHBOARD_SECRET = process.env.KAI_BOT_DASHBOARD_SECRET;
+// ICS feed URLs; falls back to the dashboard secret so one key is enough.
+const CALENDAR_SECRET = process.env.KAI_BOT_CALENDAR_SECRET || DASHBOARD_SECRET;
+
 // =====================
 // Express / LINE signature verify
 // =====================
 const app = express();
-app.use(
-  express.json({
-    verify: (req, res, buf) => {
-      req.rawBody = buf;
-    },
-  })
-);
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ verify: keepRawBody }));
+// Slack slash commands are form-encoded.
+app.use(express.urlencoded({ extended: false, verify: keepRawBody }));
+
+// Constant-time compare for secrets from headers / query strings. Both sides are hashed first:
+// Node decodes header bytes as latin1, so equal string lengths don't mean equal byte lengths,
+// and timingSafeEqual throws on a length mismatch.
+function safeEqual(a, b) {
+  const digest = (v) => crypto.createHash("sha256").update(String(v)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
 
 function verifySignature(req) {
   const signature = req.get("x-line-signature");
@@ -60,8 +98,7 @@ function verifySignature(req) {
   hmac.update(req.rawBody);
   const computed = hmac.digest("base64");
 
-  if (computed.length !== signature.length) return false;
-  return crypto.timingSafeEqual(Buffer.from(computed), Buffer.from(signature));
+  return safeEqual(computed, signature);
 }
 
 // =====================
@@ -143,13 +180,67 @@ function verifyDiscordSignature(req) {
   return nacl.sign.detached.verify(message, sig, pub);
 }
 
-async function discordFollowup(appId, token, content) {
+// `message` is a content string, { content, embeds?, components? }
+// or { content, files: [{ attachment: Buffer, name }] }.
+async function discordFollowup(appId, token, message) {
   if (!appId || !token) return;
-  await fetch(`https://discord.com/api/v10/webhooks/${appId}/${token}`, {
-    method: "POST",
+  const url = `https://discord.com/api/v10/webhooks/${appId}/${token}`;
+  if (typeof message === "string" || !message.files || !message.files.length) {
+    const payload = typeof message === "string" ? { content: message } : { content: message.content, embeds: message.embeds, components: message.components };
+    await fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(payload) });
+    return;
+  }
+  const { body, contentType } = buildDiscordMultipart(
+    { content: message.content || "", attachments: message.files.map((f, i) => ({ id: i, filename: f.name })) },
+    message.files
+  );
+  await fetch(url, { method: "POST", headers: { "Content-Type": contentType }, body });
+}
+
+// Replaces the message a component was clicked on (after a DEFERRED_UPDATE_MESSAGE ack).
+async function discordEditOriginal(appId, token, message) {
+  if (!appId || !token) return;
+  const res = await fetch(`https://discord.com/api/v10/webhooks/${appId}/${token}/messages/@original`, {
+    method: "PATCH",
     headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(message),
+  });
+  if (!res.ok) console.warn("discord edit original failed", res.status, await res.text().catch(() => ""));
+}
+
+// Attachments must be sent as multipart/form-data with the JSON in "payload_json".
+function buildDiscordMultipart(payload, files) {
+  const boundary = `----kaibot${crypto.randomBytes(8).toString("hex")}`;
+  const parts = [
+    Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="payload_json"\r\nContent-Type: application/json\r\n\r\n${JSON.stringify(payload)}\r\n`
+    ),
+  ];
+  files.forEach((f, i) => {
+    parts.push(
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="files[${i}]"; filename="${f.name}"\r\nContent-Type: application/octet-stream\r\n\r\n`),
+      Buffer.from(f.attachment),
+      Buffer.from("\r\n")
+    );
+  });
+  parts.push(Buffer.from(`--${boundary}--\r\n`));
+  return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+async function discordSendChannel(channelId, content) {
+  if (!channelId || !DISCORD_BOT_TOKEN) throw new Error("Discord channel or bot token is missing");
+  const res = await fetch(`https://discord.com/api/v10/channels/${channelId}/messages`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bot ${DISCORD_BOT_TOKEN}`,
+    },
     body: JSON.stringify({ content }),
   });
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`Discord API failed: ${res.status} ${text}`);
+  }
 }
 
 function getDiscordUserId(interaction) {
@@ -157,10 +248,147 @@ function getDiscordUserId(interaction) {
   return u.id || "";
 }
 
+function getDiscordUserName(interaction) {
+  const member = interaction.member || {};
+  const u = member.user || interaction.user || {};
+  return member.nick || u.global_name || u.username || "";
+}
+
+// Administrator | Manage Server
+const DISCORD_ADMIN_PERMISSIONS = (1n << 3n) | (1n << 5n);
+
+// Guild permission bits -> role (see resolveRole). "" outside a guild: nothing to map.
+function discordRoleFromPermissions(permissions, isOwner = false) {
+  if (isOwner) return "owner";
+  if (permissions === undefined || permissions === null || permissions === "") return "";
+  return BigInt(permissions) & DISCORD_ADMIN_PERMISSIONS ? "admin" : "member";
+}
+
+// Interactions carry the member's resolved permissions, but not whether they own the guild.
+function getDiscordPlatformRole(interaction) {
+  if (!interaction.guild_id || !interaction.member) return "";
+  return discordRoleFromPermissions(interaction.member.permissions);
+}
+
 function getDiscordSpaceId(interaction) {
   return interaction.guild_id || interaction.channel_id || getDiscordUserId(interaction) || null;
 }
 
+// =====================
+// Slack helpers
+// =====================
+// Slack signs "v0:{timestamp}:{raw body}" with the signing secret; old timestamps are replays.
+function verifySlackSignature(req) {
+  const signature = req.get("x-slack-signature");
+  const timestamp = req.get("x-slack-request-timestamp");
+  if (!signature || !timestamp || !SLACK_SIGNING_SECRET || !req.rawBody) return false;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > 60 * 5) return false;
+
+  const hmac = crypto.createHmac("sha256", SLACK_SIGNING_SECRET);
+  hmac.update(Buffer.concat([Buffer.from(`v0:${timestamp}:`), req.rawBody]));
+  const computed = `v0=${hmac.digest("hex")}`;
+
+  return safeEqual(computed, signature);
+}
+
+async function slackApi(method, body) {
+  if (!SLACK_BOT_TOKEN) throw new Error("SLACK_BOT_TOKEN is not set");
+  const res = await fetch(`https://slack.com/api/${method}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      Authorization: `Bearer ${SLACK_BOT_TOKEN}`,
+    },
+    body: JSON.stringify(body || {}),
+  });
+  const json = await res.json();
+  // Slack reports most failures as 200 + { ok: false }.
+  if (!res.ok || !json.ok) throw new Error(`Slack API failed: ${method} ${res.status} ${json.error || ""}`);
+  return json;
+}
+
+async function slackPostMessage(channel, text, { threadTs } = {}) {
+  await slackApi("chat.postMessage", { channel, text, ...(threadTs ? { thread_ts: threadTs } : {}) });
+}
+
+// Replies to a slash command. Slack accepts up to 5 posts per response_url.
+async function slackRespond(responseUrl, text) {
+  if (!responseUrl) return;
+  const res = await fetch(responseUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ response_type: "in_channel", text }),
+  });
+  if (!res.ok) {
+    const body = await res.text();
+    throw new Error(`Slack response_url failed: ${res.status} ${body}`);
+  }
+}
+
+const _slackUserNames = new Map();
+
+async function getSlackUserName(userId) {
+  // Best-effort (needs users:read). Falls back to "" so callers can use the id.
+  if (!userId || !SLACK_BOT_TOKEN) return "";
+  if (_slackUserNames.has(userId)) return _slackUserNames.get(userId);
+  try {
+    const json = await slackApi("users.info", { user: userId });
+    const u = json.user || {};
+    const name = (u.profile && (u.profile.display_name || u.profile.real_name)) || u.real_name || u.name || "";
+    _slackUserNames.set(userId, name);
+    return name;
+  } catch (e) {
+    console.warn("getSlackUserName failed", e && e.message ? e.message : e);
+    return "";
+  }
+}
+
+// =====================
+// Telegram helpers
+// =====================
+function verifyTelegramSecret(req) {
+  const token = req.get("x-telegram-bot-api-secret-token");
+  if (!token || !TELEGRAM_WEBHOOK_SECRET) return false;
+  return safeEqual(token, TELEGRAM_WEBHOOK_SECRET);
+}
+
+async function telegramApi(method, body) {
+  if (!TELEGRAM_BOT_TOKEN) throw new Error("TELEGRAM_BOT_TOKEN is not set");
+  const res = await fetch(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/${method}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body || {}),
+  });
+  const json = await res.json();
+  if (!res.ok || !json.ok) throw new Error(`Telegram API failed: ${method} ${res.status} ${json.description || ""}`);
+  return json.result;
+}
+
+// `message` is the output of renderTelegramMessage ({ text, parse_mode? }).
+async function telegramSendMessage(chatId, message, { threadId } = {}) {
+  await telegramApi("sendMessage", { chat_id: chatId, ...message, ...(threadId ? { message_thread_id: threadId } : {}) });
+}
+
+let _telegramBotUsername = null;
+
+async function getTelegramBotUsername() {
+  // Best-effort: without it only /kai and the generic triggers work.
+  if (_telegramBotUsername !== null) return _telegramBotUsername;
+  try {
+    const me = await telegramApi("getMe");
+    _telegramBotUsername = (me && me.username) || "";
+  } catch (e) {
+    console.warn("getTelegramBotUsername failed", e && e.message ? e.message : e);
+    return "";
+  }
+  return _telegramBotUsername;
+}
+
+function getTelegramUserName(user) {
+  if (!user) return "";
+  return [user.first_name, user.last_name].filter(Boolean).join(" ") || user.username || "";
+}
+
 // =====================
 // Trigger: KAI bot official name
 // =====================
@@ -182,36 +410,119 @@ function stripTriggerPrefix(text) {
   t = t.replace(/[@＠]\s*KAI\s*bot\s*/gi, " ");
   // remove head triggers
   t = t.replace(/^(?:ボット|ぼっと|おーい)(?:\s|[、,。.!！?？:：])*/i, " ");
-  return t.replace(/\s+/g, " ").trim();
+  return collapseSpaces(t);
+}
+
+// Collapses runs of spaces but keeps line breaks, so pasted lists survive (bulk import).
+function collapseSpaces(text) {
+  return String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[^\S\n]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .trim();
 }
 
 // =====================
 // Pending actions (follow-up prompts)
 // =====================
-const _pendingBySpace = new Map();
-function getPending(spaceId, userId) {
-  if (!spaceId) return null;
-  const p = _pendingBySpace.get(spaceId);
-  if (!p) return null;
-  if (Date.now() > p.expiresAt) {
-    _pendingBySpace.delete(spaceId);
+// One dialog state per (space, user), kept in storage so the answer to "どのタスクですか？"
+// still works after a restart or on another instance. Expired states read as null.
+// Untriggered chatter costs this one lookup (a primary-key read on postgres) and nothing
+// else; see handleInboundMessage.
+const PENDING_TTL_MS = 5 * 60 * 1000;
+
+async function getPending(spaceId, userId) {
+  if (!spaceId || !userId) return null;
+  try {
+    const row = await getStorage().getPendingState(String(spaceId), String(userId));
+    if (!row || !row.state) return null;
+    if (!(Date.parse(row.expires_at) > Date.now())) {
+      await clearPending(spaceId, userId);
+      return null;
+    }
+    return JSON.parse(row.state);
+  } catch (e) {
+    console.warn("getPending failed", e && e.message ? e.message : e);
     return null;
   }
-  if (p.userId && userId && p.userId !== userId) return null;
-  return p;
 }
 
-function setPending(spaceId, userId, pending, ttlMs = 5 * 60 * 1000) {
-  if (!spaceId) return;
-  _pendingBySpace.set(spaceId, { ...pending, userId: userId || "", expiresAt: Date.now() + ttlMs });
+async function setPending(spaceId, userId, pending, ttlMs = PENDING_TTL_MS) {
+  if (!spaceId || !userId) return;
+  try {
+    const expiresAt = new Date(Date.now() + ttlMs).toISOString();
+    await getStorage().savePendingState(String(spaceId), String(userId), JSON.stringify(pending), expiresAt);
+  } catch (e) {
+    console.warn("setPending failed", e && e.message ? e.message : e);
+  }
 }
 
-function clearPending(spaceId, userId) {
-  if (!spaceId) return;
-  const p = _pendingBySpace.get(spaceId);
-  if (!p) return;
-  if (p.userId && userId && p.userId !== userId) return;
-  _pendingBySpace.delete(spaceId);
+async function clearPending(spaceId, userId) {
+  if (!spaceId || !userId) return;
+  try {
+    await getStorage().savePendingState(String(spaceId), String(userId), "", "");
+  } catch (e) {
+    console.warn("clearPending failed", e && e.message ? e.message : e);
+  }
+}
+
+async function pgGetPendingState(spaceId, userId) {
+  const pool = await getDbPool();
+  const res = await pool.query("SELECT state, expires_at FROM pending_states WHERE space_id = $1 AND user_id = $2", [
+    spaceId,
+    userId,
+  ]);
+  return (res.rows && res.rows[0]) || null;
+}
+
+// An empty state clears the row; expired rows are pruned on every write.
+async function pgSavePendingState(spaceId, userId, state, expiresAt) {
+  const pool = await getDbPool();
+  const now = new Date().toISOString();
+  if (state) {
+    await pool.query(
+      `INSERT INTO pending_states (space_id, user_id, state, expires_at, updated_at) VALUES ($1,$2,$3,$4,$5)
+       ON CONFLICT (space_id, user_id) DO UPDATE SET state = EXCLUDED.state, expires_at = EXCLUDED.expires_at, updated_at = EXCLUDED.updated_at`,
+      [spaceId, userId, state, expiresAt, now]
+    );
+  } else {
+    await pool.query("DELETE FROM pending_states WHERE space_id = $1 AND user_id = $2", [spaceId, userId]);
+  }
+  await pool.query("DELETE FROM pending_states WHERE expires_at < $1", [now]);
+}
+
+async function tabGetPendingState(spaceId, userId) {
+  const values = await sheetsGetValues("Pending!A:Z");
+  if (values.length <= 1) return null;
+  const idx = headerIndex(values[0]);
+  requireColumns(idx, ["space_id", "user_id", "state", "expires_at"], "Pending");
+  const r = values.find(
+    (row, n) => n > 0 && String(row[idx.space_id] || "").trim() === spaceId && String(row[idx.user_id] || "").trim() === userId
+  );
+  return r ? { state: r[idx.state] || "", expires_at: r[idx.expires_at] || "" } : null;
+}
+
+// Rows are reused per (space, user); clearing just blanks the state.
+async function tabSavePendingState(spaceId, userId, state, expiresAt) {
+  const values = await sheetsGetValues("Pending!A:Z");
+  if (values.length <= 0) throw new Error("Pending sheet is empty (need header row)");
+  const header = values[0];
+  const idx = headerIndex(header);
+  requireColumns(idx, ["space_id", "user_id", "state", "expires_at"], "Pending");
+
+  const i = values.findIndex(
+    (r, n) => n > 0 && String(r[idx.space_id] || "").trim() === spaceId && String(r[idx.user_id] || "").trim() === userId
+  );
+  if (i <= 0 && !state) return;
+  const row = i > 0 ? values[i].slice() : new Array(header.length).fill("");
+  while (row.length < header.length) row.push("");
+  row[idx.space_id] = spaceId;
+  row[idx.user_id] = userId;
+  row[idx.state] = state;
+  row[idx.expires_at] = expiresAt;
+  if (idx.updated_at !== undefined) row[idx.updated_at] = new Date().toISOString();
+  if (i > 0) await sheetsUpdateRow("Pending", i + 1, row);
+  else await sheetsAppendRow("Pending", row);
 }
 
 // =====================
@@ -219,10 +530,10 @@ function clearPending(spaceId, userId) {
 // =====================
 let _dbPool = null;
 let _dbInitPromise = null;
-const _dbConnector = DB_INSTANCE ? new Connector() : null;
+const _dbConnector = DB_INSTANCE && STORAGE_BACKEND === "postgres" ? new Connector() : null;
 
 function isDbEnabled() {
-  return !!DB_INSTANCE;
+  return STORAGE_BACKEND === "postgres" && !!DB_INSTANCE;
 }
 
 async function getDbPool() {
@@ -277,6 +588,30 @@ async function initDbSchema(pool) {
       deleted_at TEXT DEFAULT ''
     );
   `);
+  await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS assignee_id TEXT DEFAULT '';`);
+  await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS assignee_name TEXT DEFAULT '';`);
+  await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence TEXT DEFAULT '';`);
+  await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS priority TEXT DEFAULT '';`);
+  await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS tags TEXT DEFAULT '';`);
+  await pool.query(`ALTER TABLE projects ADD COLUMN IF NOT EXISTS tags TEXT DEFAULT '';`);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS activity_log (
+      activity_id TEXT PRIMARY KEY,
+      space_id TEXT NOT NULL,
+      actor_id TEXT DEFAULT '',
+      actor_name TEXT DEFAULT '',
+      action TEXT NOT NULL,
+      entity_type TEXT NOT NULL,
+      entity_id TEXT NOT NULL,
+      entity_title TEXT DEFAULT '',
+      before_json TEXT DEFAULT '',
+      after_json TEXT DEFAULT '',
+      created_at TEXT DEFAULT '',
+      undone_at TEXT DEFAULT ''
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_activity_space ON activity_log (space_id, created_at);`);
   await pool.query(`
     CREATE TABLE IF NOT EXISTS templates (
       text TEXT PRIMARY KEY,
@@ -289,62 +624,207 @@ async function initDbSchema(pool) {
       created_at TEXT DEFAULT ''
     );
   `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS spaces (
+      space_id TEXT PRIMARY KEY,
+      platform TEXT DEFAULT '',
+      channel_id TEXT DEFAULT '',
+      updated_at TEXT DEFAULT ''
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS reminder_log (
+      task_id TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      due_at TEXT NOT NULL,
+      sent_at TEXT DEFAULT '',
+      PRIMARY KEY (task_id, kind, due_at)
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS pending_states (
+      space_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      state TEXT DEFAULT '',
+      expires_at TEXT DEFAULT '',
+      updated_at TEXT DEFAULT '',
+      PRIMARY KEY (space_id, user_id)
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS llm_usage (
+      space_id TEXT NOT NULL,
+      date TEXT NOT NULL,
+      user_id TEXT NOT NULL DEFAULT '',
+      count INTEGER NOT NULL DEFAULT 0,
+      updated_at TEXT DEFAULT '',
+      PRIMARY KEY (space_id, date, user_id)
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS space_settings (
+      space_id TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT DEFAULT '',
+      updated_at TEXT DEFAULT '',
+      PRIMARY KEY (space_id, key)
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS subtasks (
+      subtask_id TEXT PRIMARY KEY,
+      task_id TEXT NOT NULL,
+      space_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      status TEXT DEFAULT 'open',
+      created_at TEXT DEFAULT '',
+      done_at TEXT DEFAULT '',
+      created_by TEXT DEFAULT '',
+      updated_at TEXT DEFAULT '',
+      deleted_at TEXT DEFAULT ''
+    );
+  `);
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_tasks_space ON tasks(space_id);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_subtasks_task ON subtasks(task_id);`);
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_projects_space ON projects(space_id);`);
 }
 
-async function handlePendingText({ spaceId, userId, text, send }) {
+// Multi-step creation: each answer fills pending.draft and the next question is asked.
+// "なし" / "スキップ" leaves an optional step empty.
+const PENDING_FLOWS = {
+  create_task: ["title", "due_at", "project"],
+  create_project: ["title", "due_at"],
+};
+const PENDING_SKIP_RE = /^(なし|無し|スキップ|skip|不要|未定|特になし|-|ー)$/i;
+// "はい" to a "よろしいですか？" (bulk import, bulk delete, ...). Anything else re-asks.
+const PENDING_CONFIRM_RE = /^(はい|yes|y|ok|登録|登録して|お願いします|実行|実行して)$/i;
+// A triggered message with one of these is a new command, not an answer to the pending question.
+const PENDING_INTERRUPT_RE = /(削除|消して|消す|取り消し|完了|終わった|再開|更新|変更|修正|追加|作成|一覧)/;
+
+function pendingQuestion(action, step) {
+  const kind = action === "create_project" ? "プロジェクト" : "タスク";
+  if (step === "title") return `追加する${kind}名を教えてください。`;
+  if (step === "due_at") return "期限はいつですか？（例: 明日18時 / 3/1 / なし）";
+  if (step === "project") return "どのプロジェクトに入れますか？（なし で未分類）";
+  return "";
+}
+
+// First step after `after` that the draft doesn't already answer.
+function nextPendingStep(action, draft, after = "") {
+  const steps = PENDING_FLOWS[action];
+  return steps
+    .slice(after ? steps.indexOf(after) + 1 : 0)
+    .find((st) => (st === "project" ? !draft.project_id : !draft[st]));
+}
+
+// Returns the first question to ask.
+async function startPendingFlow(spaceId, userId, action, draft = {}) {
+  const step = nextPendingStep(action, draft);
+  await setPending(spaceId, userId, { action, step, draft });
+  return pendingQuestion(action, step);
+}
+
+async function finishPendingCreate({ spaceId, userId, action, draft, send }) {
+  await send("追加中…", { extra: true });
+  if (action === "create_project") {
+    await sheetsAppendProject({
+      spaceId,
+      title: draft.title,
+      description: "",
+      status: "open",
+      due_at: draft.due_at || "",
+      created_by: userId,
+    });
+    await send(buildCreatedSummary("プロジェクト", { title: draft.title, status: "open", due_at: draft.due_at || "" }));
+    return;
+  }
+  await sheetsAppendTask({
+    spaceId,
+    project_id: draft.project_id || "",
+    title: draft.title,
+    description: "",
+    status: "open",
+    due_at: draft.due_at || "",
+    created_by: userId,
+  });
+  await send(
+    buildCreatedSummary("タスク", {
+      title: draft.title,
+      status: "open",
+      due_at: draft.due_at || "",
+      project_title: draft.project_title || "",
+    })
+  );
+}
+
+async function handlePendingCreateStep({ spaceId, userId, pending, followText, send }) {
+  const step = pending.step || "title";
+  const draft = { ...(pending.draft || {}) };
+  const skip = PENDING_SKIP_RE.test(followText);
+
+  if (step === "title") {
+    if (!followText || skip) {
+      await send(pending.action === "create_project" ? "プロジェクト名が分かりません。もう一度教えてください。" : "タスク名が分かりません。もう一度教えてください。");
+      return;
+    }
+    draft.title = followText;
+  }
+  if (step === "due_at" && !skip) {
+    const due = parseDueAtFromText(followText);
+    if (!due) {
+      await send("期限が分かりません。例: 明日18時 / 3/1 / なし");
+      return;
+    }
+    draft.due_at = due;
+  }
+  if (step === "project" && !skip) {
+    const matches = await findProjectsByQuery(spaceId, sanitizeQuery(followText), 200);
+    if (!matches.length) {
+      await send(`プロジェクトが見つかりませんでした: ${followText}\nもう一度教えてください（なし で未分類）。`);
+      return;
+    }
+    if (matches.length > 1) {
+      await send(`複数のプロジェクトが見つかりました。より具体的に教えてください:\n${formatProjectMatches(matches)}`);
+      return;
+    }
+    draft.project_id = matches[0].project_id;
+    draft.project_title = matches[0].title;
+  }
+
+  const next = nextPendingStep(pending.action, draft, step);
+  if (next) {
+    await setPending(spaceId, userId, { action: pending.action, step: next, draft });
+    await send(pendingQuestion(pending.action, next));
+    return;
+  }
+  await clearPending(spaceId, userId);
+  await finishPendingCreate({ spaceId, userId, action: pending.action, draft, send });
+}
+
+async function handlePendingText({ spaceId, userId, role = "member", text, send }) {
   if (!spaceId || !userId) return false;
-  const pending = getPending(spaceId, userId);
+  const pending = await getPending(spaceId, userId);
   if (!pending) return false;
 
   const followText = normalizeText(text);
   if (/^(キャンセル|やめる|中止)$/i.test(followText)) {
-    clearPending(spaceId, userId);
+    await clearPending(spaceId, userId);
     await send("キャンセルしました。");
     return true;
   }
 
-  if (pending.action === "create_task") {
-    const title = followText;
-    if (!title) {
-      await send("タスク名が分かりません。もう一度教えてください。");
-      return true;
-    }
-    await send("追加中…");
-    await sheetsAppendTask({
-      spaceId,
-      project_id: "",
-      title,
-      description: "",
-      status: "open",
-      due_at: "",
-      created_by: userId,
-    });
-    await send(buildCreatedSummary("タスク", { title, status: "open" }));
-    await send("未設定: 期限 / 詳細 / プロジェクト");
-    clearPending(spaceId, userId);
+  if (PENDING_FLOWS[pending.action]) {
+    await handlePendingCreateStep({ spaceId, userId, pending, followText, send });
     return true;
   }
 
-  if (pending.action === "create_project") {
-    const title = followText;
-    if (!title) {
-      await send("プロジェクト名が分かりません。もう一度教えてください。");
-      return true;
-    }
-    await send("追加中…");
-    await sheetsAppendProject({
-      spaceId,
-      title,
-      description: "",
-      status: "open",
-      due_at: "",
-      created_by: userId,
-    });
-    await send(buildCreatedSummary("プロジェクト", { title, status: "open" }));
-    await send("未設定: 期限 / 詳細");
-    clearPending(spaceId, userId);
+  if (pending.action === "import_tasks") {
+    await handlePendingImport({ spaceId, userId, pending, followText, send });
+    return true;
+  }
+
+  if (pending.action === "bulk_tasks") {
+    await handlePendingBulk({ spaceId, userId, role, pending, followText, send });
     return true;
   }
 
@@ -358,10 +838,16 @@ async function handlePendingText({ spaceId, userId, text, send }) {
       await send(`複数見つかりました。より具体的に教えてください:\n${formatTaskMatches(matches)}`);
       return true;
     }
-    await send("削除中…");
-    await sheetsUpdateTask(matches[0].task_id, { status: "deleted", deleted_at: new Date().toISOString() });
+    const denied = checkPermission("delete_task", { role, userId }, matches[0]);
+    if (denied) {
+      await send(denied);
+      await clearPending(spaceId, userId);
+      return true;
+    }
+    await send("削除中…", { extra: true });
+    await sheetsUpdateTask(matches[0].task_id, { status: "deleted", deleted_at: new Date().toISOString() }, { actor: userId });
     await send(`タスクを削除しました: ${matches[0].title}`);
-    clearPending(spaceId, userId);
+    await clearPending(spaceId, userId);
     return true;
   }
 
@@ -375,26 +861,110 @@ async function handlePendingText({ spaceId, userId, text, send }) {
       await send(`複数見つかりました。より具体的に教えてください:\n${formatProjectMatches(matches)}`);
       return true;
     }
-    await send("削除中…");
-    await sheetsUpdateProject(matches[0].project_id, { status: "deleted", deleted_at: new Date().toISOString() });
+    const denied = checkPermission("delete_project", { role, userId }, matches[0]);
+    if (denied) {
+      await send(denied);
+      await clearPending(spaceId, userId);
+      return true;
+    }
+    await send("削除中…", { extra: true });
+    await sheetsUpdateProject(matches[0].project_id, { status: "deleted", deleted_at: new Date().toISOString() }, { actor: userId });
     await send(`プロジェクトを削除しました: ${matches[0].title}`);
-    clearPending(spaceId, userId);
+    await clearPending(spaceId, userId);
     return true;
   }
 
   return false;
 }
 
-async function processDiscordText({ text, spaceId, userId, send }) {
-  const pendingHandled = await handlePendingText({ spaceId, userId, text, send });
-  if (pendingHandled) return;
+// =====================
+// Command engine (platform-agnostic)
+// =====================
+// Adapters normalize an inbound message and render the outbound ones:
+//   inbound:  { platform, spaceId, userId, userName, text, mentions, triggered, platformRole? }
+//             (platformRole: see resolveRole; only Discord guilds know it)
+//   outbound: { type: "text", text, mentionUserId? } | { type: "menu" }
+//             | { type: "file", filename, contentType, content, url } (url: download link, may be "")
+//             | { type: "task_list", text, tasks } | { type: "choices", text, op, tasks }
+//             | { type: "settings", text, view } (view: buildSettingsView)
+// task_list / choices / settings carry data so a platform can attach controls; the others just show `text`.
+// A choice's `op` is one of TASK_BUTTON_ACTIONS, applied to the task the user picks.
+// `text` must already have the platform's trigger prefix removed. Untriggered
+// messages are only looked at as answers to a pending question.
+async function handleInboundMessage(inbound, { onMessage } = {}) {
+  // Ordinary chatter (untriggered, nothing pending in storage) stops at the pending lookup.
+  if (inbound.triggered === false && !(await getPending(inbound.spaceId, inbound.userId))) {
+    rememberActorName(inbound.userId, inbound.userName);
+    return [];
+  }
+  const settings = inbound.spaceId ? await getSpaceSettings(inbound.spaceId) : {};
+  const role = resolveRole(settings, inbound.userId, inbound.platformRole);
+  const { outbound, send, emit } = createOutbox(onMessage, settings);
+  await runCommandPipeline({ ...inbound, settings, role, send, emit });
+  return outbound;
+}
+
+// Structured input (Discord slash subcommands) already names the action and its
+// fields, so it skips the template/regex/Vertex parse and goes straight to dispatch.
+async function handleInboundCommand({ platform, spaceId, userId, userName = "", platformRole = "" }, cmd, { onMessage } = {}) {
+  if (!spaceId) return [];
+  const settings = await getSpaceSettings(spaceId);
+  const role = resolveRole(settings, userId, platformRole);
+  const { outbound, send, emit } = createOutbox(onMessage, settings);
+  rememberActorName(userId, userName);
+  if (userId && (await getPending(spaceId, userId))) await clearPending(spaceId, userId);
+  console.log("structured_command", { platform, ...cmd });
+  await dispatchCommand({ spaceId, userId, cmd, stripped: "", settings, role, send, emit });
+  return outbound;
+}
+
+// Several tasks matched: the text lists them, Discord also offers a select menu.
+async function emitTaskChoices(emit, op, text, matches) {
+  await emit({ type: "choices", op, text, tasks: matches.slice(0, 25) });
+}
+
+// send(text, { extra: true }) marks progress notes and hints; a space set to 簡潔 (quiet) doesn't get them.
+function createOutbox(onMessage, settings = {}) {
+  const outbound = [];
+  const quiet = parseSpacePrefs(settings).verbosity === "quiet";
+  const emit = async (msg) => {
+    outbound.push(msg);
+    if (onMessage) await onMessage(msg);
+  };
+  const send = async (text, opts = {}) => {
+    if (opts.extra && quiet) return;
+    await emit(opts.mentionUserId ? { type: "text", text, mentionUserId: opts.mentionUserId } : { type: "text", text });
+  };
+  return { outbound, send, emit };
+}
+
+async function runCommandPipeline({ platform, spaceId, userId, userName = "", text, mentions = [], triggered = true, settings = {}, role = "member", send, emit }) {
+  if (!spaceId) return;
+  rememberActorName(userId, userName);
+
+  if (!triggered) {
+    if (userId) await handlePendingText({ spaceId, userId, role, text, send });
+    return;
+  }
 
-  const stripped = normalizeText(text);
+  // `body` keeps the line breaks (bulk import); everything else parses the one-line `stripped`.
+  const body = stripMentionText(text, mentions);
+  const stripped = normalizeText(body.replace(/\s+/g, " "));
   if (!stripped) {
-    await send("内容を教えてください。");
+    await emit({ type: "menu" });
     return;
   }
 
+  // If the user replied with just a name, treat as follow-up.
+  const pending = userId ? await getPending(spaceId, userId) : null;
+  if (pending) {
+    // A pasted import list may well contain "追加" or "完了"; it is still the answer.
+    const awaitingList = pending.action === "import_tasks" && pending.step === "list";
+    if ((awaitingList || !PENDING_INTERRUPT_RE.test(stripped)) && (await handlePendingText({ spaceId, userId, role, text: awaitingList ? body : stripped, send }))) return;
+    await clearPending(spaceId, userId);
+  }
+
+  // Fast path: templates/regex without LLM
   const templ = await matchTemplate(stripped);
   const fast = templ || regexQuickParse(stripped);
   let cmd;
@@ -403,16 +973,33 @@ async function processDiscordText({ text, spaceId, userId, send }) {
     if (due) fast.due_at = due;
     cmd = fast;
   } else {
-    await send("解釈中…");
-    cmd = await parseCommandFromText(text);
+    const allowance = await checkLlmAllowance(spaceId, userId, settings);
+    if (allowance.ok) {
+      await send("解釈中…", { extra: true });
+      cmd = await parseCommandFromText(stripped);
+    } else {
+      // Over a limit: answer from the keyword guess in the "unknown" branch instead.
+      await send(allowance.message);
+      cmd = { action: "unknown" };
+    }
   }
+  applyAssignee(cmd, { userId, userName, mentions });
+  applyRecurrence(cmd, stripped);
+  applyPriority(cmd, stripped);
+  applyTags(cmd, stripped);
+  console.log("parsed_command", { platform, ...cmd });
   await recordTemplate(stripped, cmd);
 
+  await dispatchCommand({ spaceId, userId, cmd, stripped, body, settings, role, send, emit });
+}
+
+// role: the sender's role in the space (resolveRole); checked before destructive changes.
+async function dispatchCommand({ spaceId, userId, cmd, stripped, body = stripped, settings = {}, role = "member", send, emit }) {
   if (cmd.action === "ask_user") {
     const question = cmd.question || "対象を教えてください。";
     await send(question);
     const pendingAction = cmd.next_action || (cmd.target_type === "project" ? "update_project" : "update_task");
-    setPending(spaceId, userId, { action: pendingAction });
+    await setPending(spaceId, userId, { action: pendingAction });
     return;
   }
 
@@ -420,54 +1007,162 @@ async function processDiscordText({ text, spaceId, userId, send }) {
     const intent = inferIntentFromText(stripped);
     if (intent.action === "delete" && intent.targetType && intent.missingTarget) {
       await send(intent.targetType === "project" ? "どのプロジェクトですか？" : "どのタスクですか？");
-      setPending(spaceId, userId, { action: intent.targetType === "project" ? "delete_project" : "delete_task" });
+      await setPending(spaceId, userId, { action: intent.targetType === "project" ? "delete_project" : "delete_task" });
       return;
     }
     if (intent.action === "create" && intent.targetType) {
-      await send(intent.targetType === "project" ? "追加するプロジェクト名を教えてください。" : "追加するタスク名を教えてください。");
-      setPending(spaceId, userId, { action: intent.targetType === "project" ? "create_project" : "create_task" });
+      const action = intent.targetType === "project" ? "create_project" : "create_task";
+      const draft = { due_at: parseDueAtFromText(stripped) };
+      const project = action === "create_task" ? await getDefaultProject(spaceId, settings) : null;
+      if (project) Object.assign(draft, { project_id: project.project_id, project_title: project.title });
+      await send(await startPendingFlow(spaceId, userId, action, draft));
       return;
     }
     await send(buildUnknownResponse(stripped, intent));
     return;
   }
 
+  if (cmd.action === "help") {
+    await emit({ type: "menu" });
+    return;
+  }
+
   if (cmd.action === "list_tasks") {
-    const tasks = await sheetsGetTasksBySpace(spaceId, 20);
-    await send(formatTaskList(tasks));
+    await emit({ type: "task_list", ...(await buildTaskListView(spaceId, cmd)) });
     return;
   }
 
-  if (cmd.action === "list_projects") {
-    const projects = await sheetsGetProjectsBySpace(spaceId, 50);
-    await send(formatProjectList(projects));
+  if (cmd.action === "assign_task") {
+    await handleAssignTask({ spaceId, userId, cmd, send });
     return;
   }
 
-  if (cmd.action === "complete_task") {
-    const q = cmd.task_id || cmd.query || cmd.title;
-    if (!q) {
-      await send("完了にするタスクが見つかりません。例: 議事録のタスク終わったよ");
-      return;
-    }
-    const matches = await findTasksByQuery(spaceId, sanitizeQuery(q), 200);
-    if (!matches.length) {
-      await send("一致するタスクが見つかりませんでした。");
-      return;
-    }
-    if (matches.length > 1) {
-      await send(`複数見つかりました。より具体的に教えてください:\n${formatTaskMatches(matches)}`);
+  if (cmd.action === "set_priority") {
+    await handleSetPriority({ spaceId, userId, cmd, send });
+    return;
+  }
+
+  if (cmd.action === "set_digest" || cmd.action === "show_digest") {
+    await handleDigestCommand({ spaceId, userId, role, cmd, send });
+    return;
+  }
+
+  if (cmd.action === "show_settings" || cmd.action === "update_settings") {
+    await handleSettingsCommand({ spaceId, userId, role, cmd, send, emit });
+    return;
+  }
+
+  if (cmd.action === "show_usage") {
+    await handleUsageCommand({ spaceId, userId, role, settings, send });
+    return;
+  }
+
+  if (cmd.action === "show_roles") {
+    await handleRolesCommand({ spaceId, role, send });
+    return;
+  }
+
+  if (cmd.action === "list_projects") {
+    await send(await buildProjectListText(spaceId, cmd));
+    return;
+  }
+
+  if (cmd.action === "add_tags" || cmd.action === "remove_tags") {
+    await handleTagCommand({ spaceId, userId, cmd, send });
+    return;
+  }
+
+  if (cmd.action === "show_history") {
+    await handleShowHistory({ spaceId, cmd, send });
+    return;
+  }
+
+  if (cmd.action === "undo") {
+    await handleUndo({ spaceId, userId, send });
+    return;
+  }
+
+  if (cmd.action === "show_dashboard" || cmd.action === "revoke_dashboard") {
+    await handleDashboardCommand({ spaceId, userId, role, cmd, send });
+    return;
+  }
+
+  if (cmd.action === "export") {
+    await handleExportCommand({ spaceId, cmd, send, emit });
+    return;
+  }
+
+  if (cmd.action === "import_tasks") {
+    await handleImportCommand({ spaceId, userId, body, send });
+    return;
+  }
+
+  if (cmd.action === "show_calendar" || cmd.action === "revoke_calendar") {
+    await handleCalendarCommand({ spaceId, userId, role, cmd, send });
+    return;
+  }
+
+  if (cmd.action === "issue_api_token" || cmd.action === "revoke_api_token") {
+    await handleApiTokenCommand({ spaceId, userId, role, cmd, send });
+    return;
+  }
+
+  if (cmd.action === "bulk_tasks" || isMultiTargetTaskCommand(cmd)) {
+    await handleBulkTaskCommand({ spaceId, userId, role, cmd: toBulkTaskCommand(cmd), send });
+    return;
+  }
+
+  if (cmd.action === "complete_task") {
+    const q = cmd.task_id || cmd.query || cmd.title;
+    if (!q) {
+      await send("完了にするタスクが見つかりません。例: 議事録のタスク終わったよ / タスク完了 tsk_xxx");
+      return;
+    }
+    const matches = await findTasksByQuery(spaceId, sanitizeQuery(q), 200);
+    if (!matches.length) {
+      await send("一致するタスクが見つかりませんでした。");
+      return;
+    }
+    if (matches.length > 1) {
+      await emitTaskChoices(emit, "task_done", `複数見つかりました。idで指定してください:\n${formatTaskMatches(matches)}`, matches);
       return;
     }
-    await sheetsUpdateTask(matches[0].task_id, { status: "done", done_at: new Date().toISOString() });
+    await sheetsUpdateTask(matches[0].task_id, { status: "done", done_at: new Date().toISOString() }, { actor: userId });
     await send(`タスクを完了にしました: ${matches[0].title}`);
+    const nextDue = await spawnNextRecurrence(spaceId, matches[0], userId);
+    if (nextDue) await send(`次回分を作成しました: ${matches[0].title}（期限: ${nextDue}）`);
+    return;
+  }
+
+  if (cmd.action === "stop_recurrence") {
+    await handleStopRecurrence({ spaceId, userId, cmd, send });
+    return;
+  }
+
+  if (cmd.action === "add_subtasks") {
+    await handleAddSubtasks({ spaceId, userId, cmd, send });
+    return;
+  }
+
+  if (cmd.action === "complete_subtask" || cmd.action === "reopen_subtask") {
+    await handleSubtaskStatus({ spaceId, userId, cmd, send });
+    return;
+  }
+
+  if (cmd.action === "show_subtasks") {
+    await handleShowSubtasks({ spaceId, cmd, send });
+    return;
+  }
+
+  if (cmd.action === "set_subtask_auto_complete") {
+    await handleSubtaskAutoComplete({ spaceId, userId, role, cmd, send });
     return;
   }
 
   if (cmd.action === "reopen_task") {
     const q = cmd.task_id || cmd.query || cmd.title;
     if (!q) {
-      await send("再開するタスクが見つかりません。例: 議事録のタスク再開");
+      await send("再開するタスクが見つかりません。例: 議事録のタスク再開 / タスク再開 tsk_xxx");
       return;
     }
     const matches = await findTasksByQuery(spaceId, sanitizeQuery(q), 200);
@@ -476,10 +1171,10 @@ async function processDiscordText({ text, spaceId, userId, send }) {
       return;
     }
     if (matches.length > 1) {
-      await send(`複数見つかりました。より具体的に教えてください:\n${formatTaskMatches(matches)}`);
+      await emitTaskChoices(emit, "task_open", `複数見つかりました。idで指定してください:\n${formatTaskMatches(matches)}`, matches);
       return;
     }
-    await sheetsUpdateTask(matches[0].task_id, { status: "open", done_at: "" });
+    await sheetsUpdateTask(matches[0].task_id, { status: "open", done_at: "" }, { actor: userId });
     await send(`タスクを再開にしました: ${matches[0].title}`);
     return;
   }
@@ -488,7 +1183,7 @@ async function processDiscordText({ text, spaceId, userId, send }) {
     const q = cmd.task_id || cmd.query || cmd.title;
     if (!q) {
       await send("どのタスクを削除しますか？");
-      setPending(spaceId, userId, { action: "delete_task" });
+      await setPending(spaceId, userId, { action: "delete_task" });
       return;
     }
     const items = splitQueries(q).map(sanitizeQuery).filter(Boolean);
@@ -500,16 +1195,178 @@ async function processDiscordText({ text, spaceId, userId, send }) {
         continue;
       }
       if (matches.length > 1) {
-        await send(`複数見つかりました。より具体的に教えてください:\n${formatTaskMatches(matches)}`);
+        await emitTaskChoices(emit, "task_delete", `複数見つかりました。より具体的に教えてください:\n${formatTaskMatches(matches)}`, matches);
+        continue;
+      }
+      const denied = checkPermission("delete_task", { role, userId }, matches[0]);
+      if (denied) {
+        await send(denied);
         continue;
       }
-      await sheetsUpdateTask(matches[0].task_id, { status: "deleted", deleted_at: new Date().toISOString() });
+      await sheetsUpdateTask(matches[0].task_id, { status: "deleted", deleted_at: new Date().toISOString() }, { actor: userId });
       deleted.push(matches[0].title);
     }
     if (deleted.length) await send(`削除しました: ${deleted.join("、")}`);
     return;
   }
 
+  if (cmd.action === "update_task") {
+    const patch = {};
+    if (cmd.new_title) patch.title = cmd.new_title;
+    if (cmd.description) patch.description = cmd.description;
+    if (cmd.status) patch.status = cmd.status;
+    if (cmd.due_at) patch.due_at = cmd.due_at;
+    if (cmd.project_id) patch.project_id = cmd.project_id;
+    if (cmd.priority) patch.priority = cmd.priority;
+    if (cmd.assignee_id || cmd.assignee_name) {
+      patch.assignee_id = cmd.assignee_id || "";
+      patch.assignee_name = cmd.assignee_name || "";
+    }
+    if (cmd.project_title && !cmd.project_id) {
+      const projMatches = await findProjectsByQuery(spaceId, cmd.project_title, 200);
+      if (!projMatches.length) {
+        await send(`プロジェクトが見つかりませんでした: ${cmd.project_title}`);
+        return;
+      }
+      if (projMatches.length > 1) {
+        await send(`複数のプロジェクトが見つかりました。より具体的に教えてください:\n${formatProjectMatches(projMatches)}`);
+        return;
+      }
+      patch.project_id = projMatches[0].project_id;
+    }
+
+    const q = cmd.task_id || cmd.query || cmd.title;
+    if (!q) {
+      await send("編集するタスクが見つかりません。例: 議事録の期限を明日18時に変更");
+      return;
+    }
+    const addTags = cmd.tags || [];
+    if (Object.keys(patch).length === 0 && !addTags.length) {
+      await send("更新内容が見つかりませんでした（期限/ステータス/内容/タイトル）。");
+      return;
+    }
+    const matches = await findTasksByQuery(spaceId, q, 200);
+    if (!matches.length) {
+      await send("一致するタスクが見つかりませんでした。");
+      return;
+    }
+    if (matches.length > 1) {
+      await send(`複数見つかりました。idで指定してください:\n${formatTaskMatches(matches)}`);
+      return;
+    }
+    if (addTags.length) patch.tags = mergeTags(matches[0].tags, addTags);
+    // "…を完了に変更" completes the task the way complete_task does.
+    const completing = patch.status === "done" && matches[0].status !== "done";
+    if (completing) patch.done_at = new Date().toISOString();
+    await send("更新中…", { extra: true });
+    await sheetsUpdateTask(matches[0].task_id, patch, { actor: userId });
+    await send(`タスクを更新しました: ${matches[0].title}`);
+    if (completing) {
+      const nextDue = await spawnNextRecurrence(spaceId, { ...matches[0], ...patch }, userId);
+      if (nextDue) await send(`次回分を作成しました: ${patch.title || matches[0].title}（期限: ${nextDue}）`);
+    }
+    return;
+  }
+
+  if (cmd.action === "create_project") {
+    const title = (cmd.title || cmd.project_title || "").trim();
+    if (!title) {
+      await send("プロジェクト名が分かりません。例: プロジェクト『卒論』を追加");
+      return;
+    }
+    await send("追加中…", { extra: true });
+    await sheetsAppendProject({
+      spaceId,
+      title,
+      description: cmd.description || "",
+      status: cmd.status || "open",
+      due_at: cmd.due_at || "",
+      created_by: userId,
+      tags: (cmd.tags || []).join(" "),
+    });
+    await send(
+      buildCreatedSummary("プロジェクト", {
+        title,
+        description: cmd.description || "",
+        status: cmd.status || "open",
+        due_at: cmd.due_at || "",
+        tags: (cmd.tags || []).join(" "),
+      })
+    );
+    const notes = buildMissingNotes(stripped, cmd);
+    if (notes.length) await send(notes.join("\n"), { extra: true });
+    return;
+  }
+
+  if (cmd.action === "update_project") {
+    const patch = {};
+    if (cmd.new_title) patch.title = cmd.new_title;
+    if (cmd.description) patch.description = cmd.description;
+    if (cmd.status) patch.status = cmd.status;
+    if (cmd.due_at) patch.due_at = cmd.due_at;
+
+    const q = cmd.project_id || cmd.query || cmd.project_title || cmd.title;
+    if (!q) {
+      await send("編集するプロジェクトが見つかりません。例: 卒論プロジェクトの期限を3/1に変更");
+      return;
+    }
+    const addTags = cmd.tags || [];
+    if (Object.keys(patch).length === 0 && !addTags.length) {
+      await send("更新内容が見つかりませんでした（期限/ステータス/内容/タイトル）。");
+      return;
+    }
+    const matches = await findProjectsByQuery(spaceId, q, 200);
+    if (!matches.length) {
+      await send("一致するプロジェクトが見つかりませんでした。");
+      return;
+    }
+    if (matches.length > 1) {
+      await send(`複数見つかりました。idで指定してください:\n${formatProjectMatches(matches)}`);
+      return;
+    }
+    const denied = checkPermission("update_project", { role, userId }, matches[0]);
+    if (denied) {
+      await send(denied);
+      return;
+    }
+    if (addTags.length) patch.tags = mergeTags(matches[0].tags, addTags);
+    await send("更新中…", { extra: true });
+    await sheetsUpdateProject(matches[0].project_id, patch, { actor: userId });
+    await send(`プロジェクトを更新しました: ${matches[0].title}`);
+    return;
+  }
+
+  if (cmd.action === "delete_project") {
+    const q = cmd.project_id || cmd.query || cmd.project_title || cmd.title;
+    if (!q) {
+      await send("どのプロジェクトを削除しますか？");
+      await setPending(spaceId, userId, { action: "delete_project" });
+      return;
+    }
+    const items = splitQueries(q).map(sanitizeQuery).filter(Boolean);
+    const deleted = [];
+    for (const item of items) {
+      const matches = await findProjectsByQuery(spaceId, item, 200);
+      if (!matches.length) {
+        await send(`一致するプロジェクトが見つかりませんでした: ${item}`);
+        continue;
+      }
+      if (matches.length > 1) {
+        await send(`複数見つかりました。より具体的に教えてください:\n${formatProjectMatches(matches)}`);
+        continue;
+      }
+      const denied = checkPermission("delete_project", { role, userId }, matches[0]);
+      if (denied) {
+        await send(denied);
+        continue;
+      }
+      await sheetsUpdateProject(matches[0].project_id, { status: "deleted", deleted_at: new Date().toISOString() }, { actor: userId });
+      deleted.push(matches[0].title);
+    }
+    if (deleted.length) await send(`削除扱いにしました: ${deleted.join("、")}`);
+    return;
+  }
+
   if (cmd.action === "create_task") {
     const title = (cmd.title || "").trim();
     if (!title) {
@@ -518,16 +1375,25 @@ async function processDiscordText({ text, spaceId, userId, send }) {
     }
     let projectId = cmd.project_id || "";
     let projectTitle = cmd.project_title || "";
+    if (!projectId && !projectTitle) {
+      const project = await getDefaultProject(spaceId, settings);
+      if (project) {
+        projectId = project.project_id;
+        projectTitle = project.title;
+      }
+    }
     if (projectTitle && !projectId) {
       const matches = await findProjectsByQuery(spaceId, projectTitle, 200);
+      if (matches.length > 1) {
+        await send(`複数のプロジェクトが見つかりました。名前をもう少し具体的にしてください:\n${formatProjectMatches(matches)}`);
+        return;
+      }
       if (matches.length === 1) {
         projectId = matches[0].project_id;
         projectTitle = matches[0].title || projectTitle;
-      } else if (matches.length > 1) {
-        await send(`複数のプロジェクトが見つかりました。より具体的に教えてください:\n${formatProjectMatches(matches)}`);
-        return;
       }
     }
+    await send("追加中…", { extra: true });
     await sheetsAppendTask({
       spaceId,
       project_id: projectId,
@@ -536,6 +1402,11 @@ async function processDiscordText({ text, spaceId, userId, send }) {
       status: cmd.status || "open",
       due_at: cmd.due_at || "",
       created_by: userId,
+      assignee_id: cmd.assignee_id || "",
+      assignee_name: cmd.assignee_name || "",
+      recurrence: cmd.recurrence || "",
+      priority: cmd.priority || "",
+      tags: (cmd.tags || []).join(" "),
     });
     await send(
       buildCreatedSummary("タスク", {
@@ -544,30 +1415,61 @@ async function processDiscordText({ text, spaceId, userId, send }) {
         status: cmd.status || "open",
         due_at: cmd.due_at || "",
         project_title: projectTitle,
-      })
+        assignee_id: cmd.assignee_id || "",
+        assignee_name: cmd.assignee_name || "",
+        recurrence: cmd.recurrence || "",
+        priority: cmd.priority || "",
+        tags: (cmd.tags || []).join(" "),
+      }),
+      { mentionUserId: cmd.assignee_id || "" }
     );
+    const notes = buildMissingNotes(stripped, { ...cmd, project_title: projectTitle, project_id: projectId });
+    if (notes.length) await send(notes.join("\n"), { extra: true });
     return;
   }
 
-  if (cmd.action === "create_project") {
-    const title = (cmd.title || cmd.project_title || "").trim();
-    if (!title) {
-      await send("プロジェクト名が分かりません。例: プロジェクト『卒論』を追加");
-      return;
-    }
-    await sheetsAppendProject({
-      spaceId,
-      title,
-      description: cmd.description || "",
-      status: cmd.status || "open",
-      due_at: cmd.due_at || "",
-      created_by: userId,
-    });
-    await send(buildCreatedSummary("プロジェクト", { title, description: cmd.description || "", status: cmd.status || "open", due_at: cmd.due_at || "" }));
-    return;
-  }
+  await send("解釈できませんでした。例: ‘議事録作成を明日18時までに追加’ / ‘タスク一覧’ / ‘タスク完了 tsk_xxx’");
+}
+
+// Files become a download link on platforms that can't receive attachments.
+function formatFileLinkText(msg) {
+  if (!msg.url) return `${msg.filename}: ダウンロードリンクを発行できません（KAI_BOT_DASHBOARD_SECRET / KAI_BOT_PUBLIC_URL が未設定）。`;
+  return `${msg.filename}（1時間有効）:\n${msg.url}`;
+}
+
+// Outbound -> LINE message object.
+function renderLineMessage(msg) {
+  if (msg.type === "menu") return buildMenuFlex();
+  if (msg.type === "settings") return buildSettingsFlex(msg.view);
+  if (msg.type === "file") return { type: "text", text: formatFileLinkText(msg) };
+  return buildLineTextMessage(msg.text, { mentionUserId: msg.mentionUserId });
+}
+
+// Outbound -> Discord message: a content string, { content, files } for attachments,
+// or { content, embeds, components } for task lists and choices.
+function renderDiscordMessage(msg) {
+  if (msg.type === "menu") return buildHelpText();
+  if (msg.type === "file") return { content: msg.filename, files: [{ attachment: Buffer.from(msg.content), name: msg.filename }] };
+  if (msg.type === "task_list" && msg.tasks.length) return buildDiscordTaskListPayload(msg);
+  if (msg.type === "choices" && msg.tasks.length) return buildDiscordChoicesPayload(msg);
+  return msg.mentionUserId ? `<@${msg.mentionUserId}> ${msg.text}` : msg.text;
+}
+
+// Outbound -> Telegram sendMessage fields. Mentions by id need an HTML tg:// link.
+function renderTelegramMessage(msg) {
+  if (msg.type === "file") return { text: formatFileLinkText(msg) };
+  const text = msg.type === "menu" ? buildHelpText() : msg.text;
+  if (!msg.mentionUserId || !/^\d+$/.test(msg.mentionUserId)) return { text };
+  const esc = (v) => String(v).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const name = _actorNames.get(msg.mentionUserId) || "担当者";
+  return { text: `<a href="tg://user?id=${msg.mentionUserId}">${esc(name)}</a> ${esc(text)}`, parse_mode: "HTML" };
+}
 
-  await send("解釈できませんでした。『タスク一覧』『タスク追加』などをお試しください。");
+// Outbound -> Slack message text (mrkdwn).
+function renderSlackMessage(msg) {
+  if (msg.type === "menu") return buildHelpText();
+  if (msg.type === "file") return formatFileLinkText(msg);
+  return msg.mentionUserId ? `<@${msg.mentionUserId}> ${msg.text}` : msg.text;
 }
 
 // =====================
@@ -613,86 +1515,659 @@ function buildMenuFlex() {
   };
 }
 
-// =====================
-// Sheets (Google Sheets API)
-// =====================
-function getSheetsClient() {
-  if (!SHEETS_SA_KEY_JSON) throw new Error("Missing env: KAI_BOT_SHEETS_SA_KEY_JSON");
-  if (!SPREADSHEET_ID) throw new Error("Missing env: KAI_BOT_SHEETS_SPREADSHEET_ID");
-
-  const key = JSON.parse(SHEETS_SA_KEY_JSON);
-  const auth = new google.auth.JWT({
-    email: key.client_email,
-    key: key.private_key,
-    scopes: ["https://www.googleapis.com/auth/spreadsheets"],
-  });
+// Task list as a carousel: one bubble per task with buttons that carry the task_id,
+// plus a page bubble. A carousel holds 12 bubbles, so 10 tasks + navigation fit.
+const TASK_LIST_PAGE_SIZE = 10;
+const STATUS_BADGE_COLORS = { open: "#9E9E9E", doing: "#1E88E5", done: "#43A047" };
 
-  return google.sheets({ version: "v4", auth });
+function buildPostbackData(params) {
+  return Object.entries(params)
+    .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(String(v))}`)
+    .join("&");
 }
 
-async function sheetsGetValues(rangeA1) {
-  const sheets = getSheetsClient();
-  const res = await sheets.spreadsheets.values.get({
-    spreadsheetId: SPREADSHEET_ID,
-    range: rangeA1,
-  });
-  return res.data.values || [];
+function postbackButton(label, params, style = "secondary") {
+  return { type: "button", style, height: "sm", action: { type: "postback", label, data: buildPostbackData(params) } };
 }
 
-async function sheetsAppendRow(sheetName, rowValues) {
-  const sheets = getSheetsClient();
-  await sheets.spreadsheets.values.append({
-    spreadsheetId: SPREADSHEET_ID,
-    range: `${sheetName}!A:Z`,
-    valueInputOption: "RAW",
-    insertDataOption: "INSERT_ROWS",
-    resource: { values: [rowValues] },
-  });
+function buildTaskBubble(task, nowJst) {
+  const status = String(task.status || "open").toLowerCase();
+  const done = status === "done";
+  const overdue = isOverdue(task, nowJst);
+  const meta = [formatAssignee(task) && `担当: ${formatAssignee(task)}`, formatPriorityJa(task.priority) && `優先度: ${formatPriorityJa(task.priority)}`, formatTags(task.tags)]
+    .filter(Boolean)
+    .join(" / ");
+  // Picker values are local time without a zone, same as our JST "YYYY-MM-DD HH:mm".
+  const due = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/.test(String(task.due_at || "")) ? task.due_at.replace(" ", "T") : "";
+  const dueButton = {
+    type: "button",
+    style: "secondary",
+    height: "sm",
+    action: { type: "datetimepicker", label: "期限変更", data: buildPostbackData({ a: "task_due", id: task.task_id }), mode: "datetime", ...(due ? { initial: due } : {}) },
+  };
+  return {
+    type: "bubble",
+    size: "kilo",
+    body: {
+      type: "box",
+      layout: "vertical",
+      spacing: "sm",
+      contents: [
+        {
+          type: "box",
+          layout: "horizontal",
+          contents: [
+            {
+              type: "box",
+              layout: "vertical",
+              flex: 0,
+              backgroundColor: STATUS_BADGE_COLORS[status] || STATUS_BADGE_COLORS.open,
+              cornerRadius: "md",
+              paddingStart: "8px",
+              paddingEnd: "8px",
+              paddingTop: "2px",
+              paddingBottom: "2px",
+              contents: [{ type: "text", text: formatStatusJa(status), size: "xs", color: "#FFFFFF" }],
+            },
+          ],
+        },
+        { type: "text", text: task.title || "(no title)", weight: "bold", wrap: true, maxLines: 3 },
+        { type: "text", text: `期限: ${task.due_at || "未設定"}${overdue ? "（期限切れ）" : ""}`, size: "sm", color: overdue ? "#E53935" : "#666666" },
+        ...(meta ? [{ type: "text", text: meta, size: "xs", color: "#888888", wrap: true }] : []),
+      ],
+    },
+    footer: {
+      type: "box",
+      layout: "vertical",
+      spacing: "sm",
+      contents: [
+        {
+          type: "box",
+          layout: "horizontal",
+          spacing: "sm",
+          contents: [
+            done ? postbackButton("再開", { a: "task_open", id: task.task_id }) : postbackButton("完了", { a: "task_done", id: task.task_id }, "primary"),
+            postbackButton("進行中", { a: "task_doing", id: task.task_id }),
+          ],
+        },
+        {
+          type: "box",
+          layout: "horizontal",
+          spacing: "sm",
+          contents: [dueButton, postbackButton("削除", { a: "task_delete", id: task.task_id })],
+        },
+      ],
+    },
+  };
 }
 
-function headerIndex(headerRow) {
-  return Object.fromEntries((headerRow || []).map((h, i) => [String(h || "").trim(), i]));
+function buildTaskListPageBubble({ page, pageCount, total }) {
+  const buttons = [];
+  if (page > 1) buttons.push(postbackButton("前へ", { a: "task_list", p: page - 1 }));
+  if (page < pageCount) buttons.push(postbackButton("次へ", { a: "task_list", p: page + 1 }, "primary"));
+  return {
+    type: "bubble",
+    size: "kilo",
+    body: {
+      type: "box",
+      layout: "vertical",
+      spacing: "sm",
+      justifyContent: "center",
+      contents: [
+        { type: "text", text: `${page} / ${pageCount} ページ`, weight: "bold", align: "center" },
+        { type: "text", text: `全 ${total} 件`, size: "sm", color: "#666666", align: "center" },
+      ],
+    },
+    footer: { type: "box", layout: "vertical", spacing: "sm", contents: buttons },
+  };
 }
 
-function requireColumns(idx, cols, sheetName) {
-  const missing = cols.filter((c) => idx[c] === undefined);
-  if (missing.length) {
-    throw new Error(
-      `${sheetName} sheet is missing required columns: ${missing.join(", ")}. ` +
-        `Please ensure header row contains at least: ${cols.join(", ")}`
-    );
-  }
+// Open work first (by due date), finished tasks at the end.
+async function buildTaskListFlex(spaceId, page = 1) {
+  const tasks = (await sheetsGetTasksBySpace(spaceId, 100000, { sort: "due" })).sort(
+    (a, b) => (String(a.status).toLowerCase() === "done") - (String(b.status).toLowerCase() === "done")
+  );
+  if (!tasks.length) return { type: "text", text: formatTaskList([]) };
+  const pageCount = Math.ceil(tasks.length / TASK_LIST_PAGE_SIZE);
+  const p = Math.min(Math.max(1, Math.floor(Number(page)) || 1), pageCount);
+  const nowJst = formatJst(toJstDate());
+  const bubbles = tasks.slice((p - 1) * TASK_LIST_PAGE_SIZE, p * TASK_LIST_PAGE_SIZE).map((t) => buildTaskBubble(t, nowJst));
+  if (pageCount > 1) bubbles.push(buildTaskListPageBubble({ page: p, pageCount, total: tasks.length }));
+  return {
+    type: "flex",
+    altText: `タスク一覧（${p}/${pageCount}ページ・全${tasks.length}件）`,
+    contents: { type: "carousel", contents: bubbles },
+  };
 }
 
-function makeId(prefix) {
-  const ts = Date.now().toString(36);
-  const rnd = crypto.randomBytes(3).toString("hex");
-  return `${prefix}_${ts}_${rnd}`;
-}
+// Buttons on task lists (LINE bubbles, Discord components). They name the task by id, so no title matching.
+const TASK_BUTTON_ACTIONS = ["task_done", "task_open", "task_doing", "task_due", "task_delete"];
 
-function getSpaceId(event) {
-  const s = event.source || {};
-  // For tasks/projects, treat group/room/user uniformly.
-  return s.groupId || s.roomId || s.userId || null;
+async function findTaskById(spaceId, taskId) {
+  return (await sheetsGetTasksBySpace(spaceId, 100000)).find((t) => String(t.task_id) === String(taskId)) || null;
 }
 
-async function sheetsGetTasksBySpace(spaceId, limit = 20, { includeDeleted = false } = {}) {
-  if (isDbEnabled()) {
-    const pool = await getDbPool();
-    const res = await pool.query(
-      `SELECT task_id, project_id, title, description, status, due_at, created_at, done_at, created_by, updated_at
-       FROM tasks
-       WHERE space_id = $1
-       ${includeDeleted ? "" : "AND (status IS NULL OR status <> 'deleted') AND (deleted_at IS NULL OR deleted_at = '')"}
-       ORDER BY created_at ASC
-       LIMIT $2`,
-      [String(spaceId || ""), limit]
-    );
-    return res.rows || [];
+async function handleTaskButton({ spaceId, userId, role = "member", action, taskId, params = {} }) {
+  const task = await findTaskById(spaceId, taskId);
+  if (!task) return "タスクが見つかりませんでした（削除済みの可能性があります）。";
+  const status = String(task.status || "open").toLowerCase();
+
+  if (action === "task_done") {
+    if (status === "done") return `既に完了しています: ${task.title}`;
+    await sheetsUpdateTask(task.task_id, { status: "done", done_at: new Date().toISOString() }, { actor: userId });
+    const nextDue = await spawnNextRecurrence(spaceId, task, userId);
+    return `タスクを完了にしました: ${task.title}${nextDue ? `\n次回分を作成しました（期限: ${nextDue}）` : ""}`;
+  }
+  if (action === "task_open") {
+    await sheetsUpdateTask(task.task_id, { status: "open", done_at: "" }, { actor: userId });
+    return `タスクを再開にしました: ${task.title}`;
+  }
+  if (action === "task_doing") {
+    if (status === "doing") return `既に進行中です: ${task.title}`;
+    await sheetsUpdateTask(task.task_id, { status: "doing", done_at: "" }, { actor: userId });
+    return `タスクを進行中にしました: ${task.title}`;
   }
+  if (action === "task_due") {
+    const picked = String(params.datetime || (params.date ? `${params.date}T18:00` : ""));
+    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(picked)) return "期限が選択されませんでした。";
+    const due = picked.replace("T", " ");
+    await sheetsUpdateTask(task.task_id, { due_at: due }, { actor: userId });
+    return `期限を変更しました: ${task.title}（${task.due_at || "未設定"} → ${due}）`;
+  }
+  const denied = checkPermission("delete_task", { role, userId }, task);
+  if (denied) return denied;
+  await sheetsUpdateTask(task.task_id, { status: "deleted", deleted_at: new Date().toISOString() }, { actor: userId });
+  return `タスクを削除しました: ${task.title}\n（間違えた場合は「元に戻す」）`;
+}
 
-  const values = await sheetsGetValues("Tasks!A:Z");
-  if (values.length <= 1) return [];
+// Settings screen: one row per setting, each with the buttons that change it.
+// Buttons post a=settings_set&k=<key>&v=<value>; handled by applySettingsChange.
+function settingsRow(label, value, buttons) {
+  return {
+    type: "box",
+    layout: "vertical",
+    spacing: "xs",
+    contents: [
+      { type: "text", text: label, size: "xs", color: "#888888" },
+      { type: "text", text: value, size: "sm", weight: "bold", wrap: true },
+      ...(buttons.length ? [{ type: "box", layout: "horizontal", spacing: "sm", contents: buttons }] : []),
+    ],
+  };
+}
+
+function buildSettingsFlex(view) {
+  const l = formatSettingsLines(view);
+  const set = (label, k, v, style) => postbackButton(label, { a: "settings_set", k, v }, style);
+  const digestTime = {
+    type: "button",
+    style: "secondary",
+    height: "sm",
+    action: { type: "datetimepicker", label: "時刻変更", data: buildPostbackData({ a: "settings_set", k: "digest_time" }), mode: "time", initial: view.digest.time },
+  };
+  const rows = [
+    settingsRow("期限リマインダー", l.reminders, [view.reminders ? set("オフにする", "reminders", "off") : set("オンにする", "reminders", "on", "primary")]),
+    settingsRow("ダイジェスト", l.digest, [view.digest.enabled ? set("オフにする", "digest", "off") : set("オンにする", "digest", "on", "primary"), digestTime]),
+    settingsRow("1日の解析上限", l.quota, LLM_QUOTA_PRESETS.map((n) => {
+      const current = n ? !view.quotaIsDefault && view.quota === n : view.quotaIsDefault;
+      return set(n ? `${n}回` : "既定", "quota", String(n), current ? "primary" : "secondary");
+    })),
+    settingsRow("既定のプロジェクト", l.defaultProject, [
+      postbackButton("選ぶ", { a: "settings_project" }),
+      ...(view.defaultProjectTitle ? [set("解除", "default_project", "")] : []),
+    ]),
+    settingsRow("応答", l.verbosity, [view.verbosity === "quiet" ? set("通常にする", "verbosity", "normal") : set("簡潔にする", "verbosity", "quiet")]),
+    settingsRow("オーナー", l.owner, view.owner ? [] : [postbackButton("自分をオーナーにする", { a: "settings_set", k: "owner", op: "add" })]),
+    settingsRow("管理者", l.admins, [postbackButton("自分を追加/解除", { a: "settings_set", k: "admins", op: "toggle" })]),
+    settingsRow("パワーユーザー（解析上限なし）", l.powerUsers, [postbackButton("自分を追加/解除", { a: "settings_set", k: "power_users", op: "toggle" })]),
+  ];
+  return {
+    type: "flex",
+    altText: "KAI bot 設定",
+    contents: {
+      type: "bubble",
+      size: "mega",
+      header: {
+        type: "box",
+        layout: "vertical",
+        contents: [{ type: "text", text: "⚙️ 設定", weight: "bold", size: "lg" }],
+      },
+      body: { type: "box", layout: "vertical", spacing: "lg", contents: rows },
+      footer: {
+        type: "box",
+        layout: "vertical",
+        contents: [
+          {
+            type: "text",
+            text: "他の人を指定: ‘設定 オーナー @名前’ / ‘設定 管理者 @名前’ / ‘設定 パワーユーザー @名前 削除’\n上限の数値: ‘設定 上限 100’ / 役割の説明: ‘役割’",
+            size: "xs",
+            color: "#666666",
+            wrap: true,
+          },
+        ],
+      },
+    },
+  };
+}
+
+// Open projects to pick the default from (a bubble holds a handful of buttons).
+function buildDefaultProjectFlex(projects) {
+  const open = projects.filter((p) => !["done", "deleted"].includes(String(p.status || "").toLowerCase())).slice(0, 8);
+  if (!open.length) return { type: "text", text: "プロジェクトがありません。先に ‘プロジェクト『卒論』を追加’ のように作成してください。" };
+  return {
+    type: "flex",
+    altText: "既定のプロジェクトを選択",
+    contents: {
+      type: "bubble",
+      body: {
+        type: "box",
+        layout: "vertical",
+        spacing: "sm",
+        contents: [
+          { type: "text", text: "既定のプロジェクトを選択", weight: "bold" },
+          ...open.map((p) =>
+            postbackButton(String(p.title || "(no title)").slice(0, 20), { a: "settings_set", k: "default_project", v: p.project_id })
+          ),
+        ],
+      },
+    },
+  };
+}
+
+// Text version of the menu for platforms without Flex.
+function buildHelpText() {
+  return [
+    "KAI bot メニュー",
+    "・タスク追加: ‘議事録作成を明日18時までに追加’",
+    "・タスク一覧: ‘タスク一覧’",
+    "・タスク完了: ‘議事録のタスク終わったよ’",
+    "・プロジェクト追加: ‘プロジェクト『卒論』を追加’",
+    "・プロジェクト一覧: ‘プロジェクト一覧’",
+    "・履歴 / 元に戻す",
+    "・ダッシュボード: ‘ダッシュボード’",
+    "・エクスポート: ‘エクスポート csv / json / markdown’",
+    "・一括登録: ‘インポート’ の次の行から1行に1タスク（箇条書き / チェックリスト / CSV）",
+    "・まとめて操作: ‘議事録、資料作成を完了’ / ‘期限切れを全部完了’",
+    "・設定: ‘設定’（通知 / 解析上限 / 既定のプロジェクト / 応答 / 管理者）",
+    "・解析の使用量: ‘使用量’（管理者）",
+    "・役割: ‘役割’（オーナー / 管理者 / メンバーと、できること）",
+  ].join("\n");
+}
+
+// =====================
+// Sheets (Google Sheets API)
+// =====================
+function getSheetsClient() {
+  if (!SHEETS_SA_KEY_JSON) throw new Error("Missing env: KAI_BOT_SHEETS_SA_KEY_JSON");
+  if (!SPREADSHEET_ID) throw new Error("Missing env: KAI_BOT_SHEETS_SPREADSHEET_ID");
+
+  const key = JSON.parse(SHEETS_SA_KEY_JSON);
+  const auth = new google.auth.JWT({
+    email: key.client_email,
+    key: key.private_key,
+    scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+  });
+
+  return google.sheets({ version: "v4", auth });
+}
+
+// Spreadsheet-shaped tables. Google Sheets in production; the memory backend swaps in
+// local tables with the same tabs and headers so every tab* function below runs unchanged.
+// A spreadsheet from an older version gets its missing tabs / header columns on first use
+// (ensureSheetTabs); a tab that still can't be read counts as empty.
+const googleSheetsTables = {
+  async getValues(rangeA1) {
+    await ensureSheetTabs();
+    const sheets = getSheetsClient();
+    try {
+      const res = await sheets.spreadsheets.values.get({
+        spreadsheetId: SPREADSHEET_ID,
+        range: rangeA1,
+      });
+      return res.data.values || [];
+    } catch (e) {
+      if (!/Unable to parse range/i.test(String(e && e.message))) throw e;
+      console.warn(`sheet tab missing, read as empty: ${rangeA1}`);
+      return [];
+    }
+  },
+
+  async appendRows(sheetName, rows) {
+    await ensureSheetTabs();
+    const sheets = getSheetsClient();
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `${sheetName}!A:Z`,
+      valueInputOption: "RAW",
+      insertDataOption: "INSERT_ROWS",
+      resource: { values: rows },
+    });
+  },
+
+  async updateRow(sheetName, rowNumber, rowValues) {
+    await ensureSheetTabs();
+    const sheets = getSheetsClient();
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `${sheetName}!A${rowNumber}:Z${rowNumber}`,
+      valueInputOption: "RAW",
+      requestBody: { values: [rowValues] },
+    });
+  },
+};
+
+// Tabs and header rows the Sheets backend needs (and the memory backend starts with).
+// Column order doesn't matter; tab* functions look columns up by header name.
+const TABLE_HEADERS = {
+  Tasks: [
+    "task_id",
+    "group_id",
+    "project_id",
+    "title",
+    "description",
+    "status",
+    "due_at",
+    "created_at",
+    "done_at",
+    "created_by",
+    "deleted_at",
+    "updated_at",
+    "assignee_id",
+    "assignee_name",
+    "recurrence",
+    "priority",
+    "tags",
+  ],
+  Projects: [
+    "project_id",
+    "group_id",
+    "title",
+    "description",
+    "status",
+    "due_at",
+    "created_at",
+    "created_by",
+    "updated_at",
+    "deleted_at",
+    "tags",
+  ],
+  Subtasks: [
+    "subtask_id",
+    "task_id",
+    "group_id",
+    "title",
+    "status",
+    "created_at",
+    "done_at",
+    "created_by",
+    "updated_at",
+    "deleted_at",
+  ],
+  Templates: ["text", "action", "target_type", "query", "project_title", "status", "due_at", "created_at"],
+  Spaces: ["space_id", "platform", "channel_id", "updated_at"],
+  Settings: ["space_id", "key", "value", "updated_at"],
+  LlmUsage: ["space_id", "date", "user_id", "count", "updated_at"],
+  Reminders: ["task_id", "kind", "due_at", "sent_at"],
+  Pending: ["space_id", "user_id", "state", "expires_at", "updated_at"],
+  Activity: [
+    "activity_id",
+    "group_id",
+    "actor_id",
+    "actor_name",
+    "action",
+    "entity_type",
+    "entity_id",
+    "entity_title",
+    "before_json",
+    "after_json",
+    "created_at",
+    "undone_at",
+  ],
+};
+
+// Adds the tabs of TABLE_HEADERS the spreadsheet lacks and appends missing header columns,
+// once per process. Best effort: without edit rights the bot still runs on what exists.
+let _sheetTabsReady = null;
+
+function ensureSheetTabs() {
+  if (!_sheetTabsReady) {
+    _sheetTabsReady = createMissingSheetTabs().catch((e) => {
+      console.warn("ensureSheetTabs failed", e && e.message ? e.message : e);
+    });
+  }
+  return _sheetTabsReady;
+}
+
+async function createMissingSheetTabs() {
+  const sheets = getSheetsClient();
+  const names = Object.keys(TABLE_HEADERS);
+  const meta = await sheets.spreadsheets.get({ spreadsheetId: SPREADSHEET_ID, fields: "sheets.properties.title" });
+  const existing = new Set((meta.data.sheets || []).map((sh) => sh.properties.title));
+  const missing = names.filter((name) => !existing.has(name));
+  if (missing.length) {
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId: SPREADSHEET_ID,
+      requestBody: { requests: missing.map((title) => ({ addSheet: { properties: { title } } })) },
+    });
+    console.log("created sheet tabs:", missing.join(", "));
+  }
+
+  const res = await sheets.spreadsheets.values.batchGet({ spreadsheetId: SPREADSHEET_ID, ranges: names.map((name) => `${name}!A1:Z1`) });
+  const data = [];
+  (res.data.valueRanges || []).forEach((range, i) => {
+    const header = (range.values && range.values[0]) || [];
+    const idx = headerIndex(header);
+    const add = TABLE_HEADERS[names[i]].filter((col) => idx[col] === undefined);
+    if (add.length) data.push({ range: `${names[i]}!A1:Z1`, values: [[...header, ...add]] });
+  });
+  if (data.length) {
+    await sheets.spreadsheets.values.batchUpdate({ spreadsheetId: SPREADSHEET_ID, requestBody: { valueInputOption: "RAW", data } });
+  }
+}
+
+// In-memory tables, optionally saved to a JSON file after every write.
+function createLocalTables(filePath) {
+  let data = null;
+
+  function load() {
+    if (data) return data;
+    data = filePath && fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf8")) : {};
+    for (const [name, header] of Object.entries(TABLE_HEADERS)) {
+      if (!Array.isArray(data[name])) data[name] = [header.slice()];
+    }
+    return data;
+  }
+
+  function save() {
+    if (!filePath) return;
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, filePath);
+  }
+
+  function table(sheetName) {
+    const rows = load()[sheetName];
+    if (!rows) throw new Error(`Unable to parse range: ${sheetName}`);
+    return rows;
+  }
+
+  return {
+    async getValues(rangeA1) {
+      const m = String(rangeA1 || "").match(/^([^!]+)!A(\d*):Z(\d*)$/);
+      if (!m) throw new Error(`Unsupported range: ${rangeA1}`);
+      const rows = table(m[1]);
+      const from = m[2] ? Number(m[2]) - 1 : 0;
+      const to = m[3] ? Number(m[3]) : rows.length;
+      return rows.slice(from, to).map((r) => r.map((v) => (v === undefined || v === null ? "" : String(v))));
+    },
+
+    async appendRows(sheetName, rows) {
+      table(sheetName).push(...rows.map((r) => r.slice()));
+      save();
+    },
+
+    async updateRow(sheetName, rowNumber, rowValues) {
+      const rows = table(sheetName);
+      while (rows.length < rowNumber) rows.push([]);
+      rows[rowNumber - 1] = rowValues.slice();
+      save();
+    },
+  };
+}
+
+let _localTables = null;
+
+function getTables() {
+  if (STORAGE_BACKEND !== "memory") return googleSheetsTables;
+  if (!_localTables) _localTables = createLocalTables(STORAGE_FILE);
+  return _localTables;
+}
+
+async function sheetsGetValues(rangeA1) {
+  return getTables().getValues(rangeA1);
+}
+
+async function sheetsAppendRow(sheetName, rowValues) {
+  await getTables().appendRows(sheetName, [rowValues]);
+}
+
+async function sheetsAppendRows(sheetName, rows) {
+  if (!rows.length) return;
+  await getTables().appendRows(sheetName, rows);
+}
+
+async function sheetsUpdateRow(sheetName, rowNumber, rowValues) {
+  await getTables().updateRow(sheetName, rowNumber, rowValues);
+}
+
+// =====================
+// Storage backends
+// =====================
+// Every backend implements the same methods. pg* talk to Postgres; tab* read and write
+// spreadsheet tabs through getTables(), which is Google Sheets or the local tables.
+// The public sheetsXxx / getXxx functions delegate here and add caching or activity logging.
+const postgresStorage = {
+  getTasksBySpace: pgGetTasksBySpace,
+  getProjectsBySpace: pgGetProjectsBySpace,
+  appendTask: pgAppendTask,
+  appendTasks: pgAppendTasks,
+  appendProject: pgAppendProject,
+  updateTask: pgUpdateTask,
+  updateProject: pgUpdateProject,
+  getSubtasksBySpace: pgGetSubtasksBySpace,
+  appendSubtasks: pgAppendSubtasks,
+  updateSubtask: pgUpdateSubtask,
+  loadTemplates: pgLoadTemplates,
+  appendTemplate: pgAppendTemplate,
+  upsertSpace: pgUpsertSpace,
+  getSpacesById: pgGetSpacesById,
+  getAllSpaceSettings: pgGetAllSpaceSettings,
+  getSpaceSettings: pgGetSpaceSettings,
+  setSpaceSettings: pgSetSpaceSettings,
+  addLlmUsage: pgAddLlmUsage,
+  getLlmUsage: pgGetLlmUsage,
+  appendActivities: pgAppendActivities,
+  getActivities: pgGetActivities,
+  markActivityUndone: pgMarkActivityUndone,
+  getOpenTasksWithDue: pgGetOpenTasksWithDue,
+  getSentReminderKeys: pgGetSentReminderKeys,
+  markRemindersSent: pgMarkRemindersSent,
+  getPendingState: pgGetPendingState,
+  savePendingState: pgSavePendingState,
+};
+
+const tableStorage = {
+  getTasksBySpace: tabGetTasksBySpace,
+  getProjectsBySpace: tabGetProjectsBySpace,
+  appendTask: tabAppendTask,
+  appendTasks: tabAppendTasks,
+  appendProject: tabAppendProject,
+  updateTask: tabUpdateTask,
+  updateProject: tabUpdateProject,
+  getSubtasksBySpace: tabGetSubtasksBySpace,
+  appendSubtasks: tabAppendSubtasks,
+  updateSubtask: tabUpdateSubtask,
+  loadTemplates: tabLoadTemplates,
+  appendTemplate: tabAppendTemplate,
+  upsertSpace: tabUpsertSpace,
+  getSpacesById: tabGetSpacesById,
+  getAllSpaceSettings: tabGetAllSpaceSettings,
+  getSpaceSettings: tabGetSpaceSettings,
+  setSpaceSettings: tabSetSpaceSettings,
+  addLlmUsage: tabAddLlmUsage,
+  getLlmUsage: tabGetLlmUsage,
+  appendActivities: tabAppendActivities,
+  getActivities: tabGetActivities,
+  markActivityUndone: tabMarkActivityUndone,
+  getOpenTasksWithDue: tabGetOpenTasksWithDue,
+  getSentReminderKeys: tabGetSentReminderKeys,
+  markRemindersSent: tabMarkRemindersSent,
+  getPendingState: tabGetPendingState,
+  savePendingState: tabSavePendingState,
+};
+
+const STORAGE_BACKENDS = {
+  postgres: postgresStorage,
+  sheets: tableStorage,
+  memory: tableStorage,
+};
+
+function getStorage() {
+  const storage = STORAGE_BACKENDS[STORAGE_BACKEND];
+  if (!storage) throw new Error(`Unknown KAI_BOT_STORAGE: ${STORAGE_BACKEND} (use postgres, sheets or memory)`);
+  if (STORAGE_BACKEND === "postgres" && !DB_INSTANCE) throw new Error("Missing env: KAI_BOT_DB_INSTANCE");
+  return storage;
+}
+
+function headerIndex(headerRow) {
+  return Object.fromEntries((headerRow || []).map((h, i) => [String(h || "").trim(), i]));
+}
+
+function requireColumns(idx, cols, sheetName) {
+  const missing = cols.filter((c) => idx[c] === undefined);
+  if (missing.length) {
+    throw new Error(
+      `${sheetName} sheet is missing required columns: ${missing.join(", ")}. ` +
+        `Please ensure header row contains at least: ${cols.join(", ")}`
+    );
+  }
+}
+
+function makeId(prefix) {
+  const ts = Date.now().toString(36);
+  const rnd = crypto.randomBytes(3).toString("hex");
+  return `${prefix}_${ts}_${rnd}`;
+}
+
+function getSpaceId(event) {
+  const s = event.source || {};
+  // For tasks/projects, treat group/room/user uniformly.
+  return s.groupId || s.roomId || s.userId || null;
+}
+
+async function sheetsGetTasksBySpace(...args) {
+  return getStorage().getTasksBySpace(...args);
+}
+
+async function pgGetTasksBySpace(spaceId, limit = 20, { includeDeleted = false, sort = "created" } = {}) {
+  const order = TASK_SORTS[sort] ? sort : "created";
+  const pool = await getDbPool();
+  const res = await pool.query(
+    `SELECT task_id, project_id, title, description, status, due_at, created_at, done_at, created_by, updated_at,
+            deleted_at, assignee_id, assignee_name, recurrence, priority, tags
+     FROM tasks
+     WHERE space_id = $1
+     ${includeDeleted ? "" : "AND (status IS NULL OR status <> 'deleted') AND (deleted_at IS NULL OR deleted_at = '')"}
+     ORDER BY ${TASK_SORTS[order].sql}
+     LIMIT $2`,
+    [String(spaceId || ""), limit]
+  );
+  return res.rows || [];
+}
+
+async function tabGetTasksBySpace(spaceId, limit = 20, { includeDeleted = false, sort = "created" } = {}) {
+  const order = TASK_SORTS[sort] ? sort : "created";
+  const values = await sheetsGetValues("Tasks!A:Z");
+  if (values.length <= 1) return [];
 
   const header = values[0];
   const rows = values.slice(1);
@@ -717,12 +2192,20 @@ async function sheetsGetTasksBySpace(spaceId, limit = 20, { includeDeleted = fal
       done_at: idx.done_at !== undefined ? r[idx.done_at] || "" : "",
       created_by: idx.created_by !== undefined ? r[idx.created_by] || "" : "",
       updated_at: idx.updated_at !== undefined ? r[idx.updated_at] || "" : "",
+      deleted_at: idx.deleted_at !== undefined ? r[idx.deleted_at] || "" : "",
+      assignee_id: idx.assignee_id !== undefined ? r[idx.assignee_id] || "" : "",
+      assignee_name: idx.assignee_name !== undefined ? r[idx.assignee_name] || "" : "",
+      recurrence: idx.recurrence !== undefined ? r[idx.recurrence] || "" : "",
+      priority: idx.priority !== undefined ? r[idx.priority] || "" : "",
+      tags: idx.tags !== undefined ? r[idx.tags] || "" : "",
     };
     if (!includeDeleted && String(row.status || "").toLowerCase() === "deleted") continue;
     out.push(row);
-    if (out.length >= limit) break;
+    // Sheet rows are already in creation order; other sorts need every row first.
+    if (order === "created" && out.length >= limit) break;
   }
-  return out;
+  if (order === "created") return out;
+  return out.sort(compareTasksBy(order)).slice(0, limit);
 }
 
 function formatStatusJa(status) {
@@ -734,12 +2217,24 @@ function formatStatusJa(status) {
   return status || "未設定";
 }
 
-function formatTaskList(tasks) {
+function formatAssignee(item) {
+  if (!item) return "";
+  if (item.assignee_name) return item.assignee_name;
+  return item.assignee_id ? `ID:${String(item.assignee_id).slice(-6)}` : "";
+}
+
+function formatTaskList(tasks, subtasksByTask = new Map()) {
   if (!tasks.length) return "このスペースのタスクはまだありません。";
   const lines = tasks.map((t, i) => {
     const due = t.due_at ? t.due_at : "未設定";
     const st = formatStatusJa(t.status);
-    const parts = [`${i + 1}. ${t.title}`, `期限: ${due}`, `状態: ${st}`];
+    const progress = formatSubtaskProgress(subtasksByTask.get(String(t.task_id || "")));
+    const parts = [`${i + 1}. ${t.title}${progress ? ` [${progress}]` : ""}`, `期限: ${due}`, `状態: ${st}`];
+    const assignee = formatAssignee(t);
+    if (assignee) parts.push(`担当: ${assignee}`);
+    if (t.recurrence) parts.push(`繰り返し: ${formatRecurrenceJa(t.recurrence)}`);
+    if (formatPriorityJa(t.priority)) parts.push(`優先度: ${formatPriorityJa(t.priority)}`);
+    if (formatTags(t.tags)) parts.push(`タグ: ${formatTags(t.tags)}`);
     return parts.join("\n");
   });
   return lines.join("\n\n");
@@ -756,21 +2251,25 @@ async function findTasksByQuery(spaceId, query, limit = 200) {
   return tasks.filter((t) => String(t.title || "").toLowerCase().includes(low));
 }
 
-async function sheetsGetProjectsBySpace(spaceId, limit = 50, { includeDeleted = false } = {}) {
-  if (isDbEnabled()) {
-    const pool = await getDbPool();
-    const res = await pool.query(
-      `SELECT project_id, title, description, status, due_at, created_at
-       FROM projects
-       WHERE space_id = $1
-       ${includeDeleted ? "" : "AND (status IS NULL OR status <> 'deleted') AND (deleted_at IS NULL OR deleted_at = '')"}
-       ORDER BY created_at ASC
-       LIMIT $2`,
-      [String(spaceId || ""), limit]
-    );
-    return res.rows || [];
-  }
+async function sheetsGetProjectsBySpace(...args) {
+  return getStorage().getProjectsBySpace(...args);
+}
+
+async function pgGetProjectsBySpace(spaceId, limit = 50, { includeDeleted = false } = {}) {
+  const pool = await getDbPool();
+  const res = await pool.query(
+    `SELECT project_id, title, description, status, due_at, created_at, created_by, updated_at, deleted_at, tags
+     FROM projects
+     WHERE space_id = $1
+     ${includeDeleted ? "" : "AND (status IS NULL OR status <> 'deleted') AND (deleted_at IS NULL OR deleted_at = '')"}
+     ORDER BY created_at ASC
+     LIMIT $2`,
+    [String(spaceId || ""), limit]
+  );
+  return res.rows || [];
+}
 
+async function tabGetProjectsBySpace(spaceId, limit = 50, { includeDeleted = false } = {}) {
   const values = await sheetsGetValues("Projects!A:Z");
   if (values.length <= 1) return [];
 
@@ -792,6 +2291,10 @@ async function sheetsGetProjectsBySpace(spaceId, limit = 50, { includeDeleted =
       status: idx.status !== undefined ? r[idx.status] || "" : "",
       due_at: idx.due_at !== undefined ? r[idx.due_at] || "" : "",
       created_at: idx.created_at !== undefined ? r[idx.created_at] || "" : "",
+      created_by: idx.created_by !== undefined ? r[idx.created_by] || "" : "",
+      updated_at: idx.updated_at !== undefined ? r[idx.updated_at] || "" : "",
+      deleted_at: idx.deleted_at !== undefined ? r[idx.deleted_at] || "" : "",
+      tags: idx.tags !== undefined ? r[idx.tags] || "" : "",
     };
     if (!includeDeleted && String(row.status || "").toLowerCase() === "deleted") continue;
     out.push(row);
@@ -807,6 +2310,7 @@ function formatProjectList(projects) {
       const st = formatStatusJa(p.status);
       const due = p.due_at ? p.due_at : "未設定";
       const parts = [`${i + 1}. ${p.title}`, `期限: ${due}`, `状態: ${st}`];
+      if (formatTags(p.tags)) parts.push(`タグ: ${formatTags(p.tags)}`);
       return parts.join("\n");
     })
     .join("\n\n");
@@ -823,19 +2327,32 @@ async function findProjectsByQuery(spaceId, query, limit = 200) {
   return projects.filter((p) => String(p.title || "").toLowerCase().includes(low));
 }
 
-async function sheetsAppendProject({ spaceId, title, description, status, due_at, created_by }) {
-  if (isDbEnabled()) {
-    const pool = await getDbPool();
-    const now = new Date().toISOString();
-    const pid = makeId("prj");
-    await pool.query(
-      `INSERT INTO projects (project_id, space_id, title, description, status, due_at, created_at, created_by)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
-      [pid, String(spaceId || ""), title || "", description || "", status || "open", due_at || "", now, created_by || ""]
-    );
-    return pid;
-  }
+async function sheetsAppendProject(fields) {
+  const id = await getStorage().appendProject(fields);
+  await recordActivity({
+    spaceId: fields.spaceId,
+    actorId: fields.created_by,
+    action: "create",
+    entityType: "project",
+    entityId: id,
+    entityTitle: fields.title,
+  });
+  return id;
+}
+
+async function pgAppendProject({ spaceId, title, description, status, due_at, created_by, tags }) {
+  const pool = await getDbPool();
+  const now = new Date().toISOString();
+  const pid = makeId("prj");
+  await pool.query(
+    `INSERT INTO projects (project_id, space_id, title, description, status, due_at, created_at, created_by, tags)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+    [pid, String(spaceId || ""), title || "", description || "", status || "open", due_at || "", now, created_by || "", tags || ""]
+  );
+  return pid;
+}
 
+async function tabAppendProject({ spaceId, title, description, status, due_at, created_by, tags }) {
   const values = await sheetsGetValues("Projects!A:Z");
   if (values.length <= 0) throw new Error("Projects sheet is empty (need header row)");
 
@@ -854,24 +2371,97 @@ async function sheetsAppendProject({ spaceId, title, description, status, due_at
   if (idx.due_at !== undefined) row[idx.due_at] = due_at || "";
   if (idx.created_at !== undefined) row[idx.created_at] = now;
   if (idx.created_by !== undefined) row[idx.created_by] = created_by || "";
+  if (idx.tags !== undefined) row[idx.tags] = tags || "";
 
   await sheetsAppendRow("Projects", row);
   return row[idx.project_id];
 }
 
-async function sheetsAppendTask({ spaceId, project_id, title, description, status, due_at, created_by }) {
-  if (isDbEnabled()) {
-    const pool = await getDbPool();
-    const now = new Date().toISOString();
-    const tid = makeId("tsk");
-    await pool.query(
-      `INSERT INTO tasks (task_id, space_id, project_id, title, description, status, due_at, created_at, created_by, updated_at)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
-      [tid, String(spaceId || ""), project_id || "", title || "", description || "", status || "open", due_at || "", now, created_by || "", now]
-    );
-    return tid;
-  }
+async function sheetsAppendTask(fields) {
+  const [id] = await sheetsAppendTasks([fields]);
+  return id;
+}
+
+// One storage write for the whole list (bulk import); still one activity entry per task.
+async function sheetsAppendTasks(list) {
+  if (!list.length) return [];
+  const ids = await getStorage().appendTasks(list);
+  await recordActivities(
+    list.map((f, i) => ({
+      spaceId: f.spaceId,
+      actorId: f.created_by,
+      action: "create",
+      entityType: "task",
+      entityId: ids[i],
+      entityTitle: f.title,
+    }))
+  );
+  return ids;
+}
+
+// created_at is staggered by 1ms per item so a batch keeps its order under "作成順".
+function batchTimestamps(count) {
+  const base = Date.now();
+  return Array.from({ length: count }, (_, i) => new Date(base + i).toISOString());
+}
+
+const PG_TASK_INSERT_COLUMNS = [
+  "task_id",
+  "space_id",
+  "project_id",
+  "title",
+  "description",
+  "status",
+  "due_at",
+  "created_at",
+  "done_at",
+  "created_by",
+  "updated_at",
+  "assignee_id",
+  "assignee_name",
+  "recurrence",
+  "priority",
+  "tags",
+];
+
+async function pgAppendTask(fields) {
+  const [id] = await pgAppendTasks([fields]);
+  return id;
+}
 
+async function pgAppendTasks(list) {
+  const pool = await getDbPool();
+  const stamps = batchTimestamps(list.length);
+  const rows = list.map((f, i) => [
+    makeId("tsk"),
+    String(f.spaceId || ""),
+    f.project_id || "",
+    f.title || "",
+    f.description || "",
+    f.status || "open",
+    f.due_at || "",
+    stamps[i],
+    f.done_at || "",
+    f.created_by || "",
+    stamps[i],
+    f.assignee_id || "",
+    f.assignee_name || "",
+    f.recurrence || "",
+    f.priority || "",
+    f.tags || "",
+  ]);
+  const width = PG_TASK_INSERT_COLUMNS.length;
+  const placeholders = rows.map((_, r) => `(${PG_TASK_INSERT_COLUMNS.map((__, c) => `$${r * width + c + 1}`).join(",")})`);
+  await pool.query(`INSERT INTO tasks (${PG_TASK_INSERT_COLUMNS.join(", ")}) VALUES ${placeholders.join(",")}`, rows.flat());
+  return rows.map((row) => row[0]);
+}
+
+async function tabAppendTask(fields) {
+  const [id] = await tabAppendTasks([fields]);
+  return id;
+}
+
+async function tabAppendTasks(list) {
   const values = await sheetsGetValues("Tasks!A:Z");
   if (values.length <= 0) throw new Error("Tasks sheet is empty (need header row)");
 
@@ -879,22 +2469,31 @@ async function sheetsAppendTask({ spaceId, project_id, title, description, statu
   const idx = headerIndex(header);
   requireColumns(idx, ["task_id", "group_id", "title"], "Tasks");
 
-  const row = new Array(header.length).fill("");
-  const now = new Date().toISOString();
-
-  row[idx.task_id] = makeId("tsk");
-  row[idx.group_id] = String(spaceId || "");
-  if (idx.project_id !== undefined) row[idx.project_id] = project_id || "";
-  row[idx.title] = title || "";
-  if (idx.description !== undefined) row[idx.description] = description || "";
-  if (idx.status !== undefined) row[idx.status] = status || "open";
-  if (idx.due_at !== undefined) row[idx.due_at] = due_at || "";
-  if (idx.created_at !== undefined) row[idx.created_at] = now;
-  if (idx.created_by !== undefined) row[idx.created_by] = created_by || "";
-  if (idx.updated_at !== undefined) row[idx.updated_at] = now;
+  const stamps = batchTimestamps(list.length);
+  const rows = list.map((f, i) => {
+    const row = new Array(header.length).fill("");
+    const now = stamps[i];
+    row[idx.task_id] = makeId("tsk");
+    row[idx.group_id] = String(f.spaceId || "");
+    if (idx.project_id !== undefined) row[idx.project_id] = f.project_id || "";
+    row[idx.title] = f.title || "";
+    if (idx.description !== undefined) row[idx.description] = f.description || "";
+    if (idx.status !== undefined) row[idx.status] = f.status || "open";
+    if (idx.due_at !== undefined) row[idx.due_at] = f.due_at || "";
+    if (idx.created_at !== undefined) row[idx.created_at] = now;
+    if (idx.done_at !== undefined) row[idx.done_at] = f.done_at || "";
+    if (idx.created_by !== undefined) row[idx.created_by] = f.created_by || "";
+    if (idx.updated_at !== undefined) row[idx.updated_at] = now;
+    if (idx.assignee_id !== undefined) row[idx.assignee_id] = f.assignee_id || "";
+    if (idx.assignee_name !== undefined) row[idx.assignee_name] = f.assignee_name || "";
+    if (idx.recurrence !== undefined) row[idx.recurrence] = f.recurrence || "";
+    if (idx.priority !== undefined) row[idx.priority] = f.priority || "";
+    if (idx.tags !== undefined) row[idx.tags] = f.tags || "";
+    return row;
+  });
 
-  await sheetsAppendRow("Tasks", row);
-  return row[idx.task_id];
+  await sheetsAppendRows("Tasks", rows);
+  return rows.map((row) => row[idx.task_id]);
 }
 
 async function sheetsFindRowById(sheetName, id, idColumnIndex = 0) {
@@ -915,36 +2514,45 @@ async function sheetsFindRowById(sheetName, id, idColumnIndex = 0) {
   return null;
 }
 
-async function sheetsUpdateTask(taskId, patch) {
-  if (isDbEnabled()) {
-    const pool = await getDbPool();
-    const now = new Date().toISOString();
-    const fields = [];
-    const values = [];
-    let idx = 1;
-
-    const setField = (name, value) => {
-      fields.push(`${name} = $${idx++}`);
-      values.push(value);
-    };
-
-    if (patch.title !== undefined) setField("title", patch.title);
-    if (patch.description !== undefined) setField("description", patch.description);
-    if (patch.status !== undefined) setField("status", patch.status);
-    if (patch.due_at !== undefined) setField("due_at", patch.due_at);
-    if (patch.done_at !== undefined) setField("done_at", patch.done_at);
-    if (patch.project_id !== undefined) setField("project_id", patch.project_id);
-    if (patch.deleted_at !== undefined) setField("deleted_at", patch.deleted_at);
-    setField("updated_at", patch.updated_at !== undefined ? patch.updated_at : now);
+// opts.actor is recorded in the activity log; opts.action overrides the inferred kind (e.g. "undo").
+async function sheetsUpdateTask(taskId, patch, opts = {}) {
+  const prev = await getStorage().updateTask(taskId, patch);
+  await logEntityChange("task", taskId, prev, patch, opts);
+}
 
-    if (!fields.length) return;
-    values.push(taskId);
-    await pool.query(`UPDATE tasks SET ${fields.join(", ")} WHERE task_id = $${idx}`, values);
-    return;
-  }
+async function pgUpdateTask(taskId, patch) {
+  const pool = await getDbPool();
+  const now = new Date().toISOString();
+  const prevRes = await pool.query("SELECT * FROM tasks WHERE task_id = $1", [taskId]);
+  const fields = [];
+  const values = [];
+  let idx = 1;
+
+  const setField = (name, value) => {
+    fields.push(`${name} = $${idx++}`);
+    values.push(value);
+  };
 
-  const sheets = getSheetsClient();
+  if (patch.title !== undefined) setField("title", patch.title);
+  if (patch.description !== undefined) setField("description", patch.description);
+  if (patch.status !== undefined) setField("status", patch.status);
+  if (patch.due_at !== undefined) setField("due_at", patch.due_at);
+  if (patch.done_at !== undefined) setField("done_at", patch.done_at);
+  if (patch.project_id !== undefined) setField("project_id", patch.project_id);
+  if (patch.deleted_at !== undefined) setField("deleted_at", patch.deleted_at);
+  if (patch.assignee_id !== undefined) setField("assignee_id", patch.assignee_id);
+  if (patch.assignee_name !== undefined) setField("assignee_name", patch.assignee_name);
+  if (patch.recurrence !== undefined) setField("recurrence", patch.recurrence);
+  if (patch.priority !== undefined) setField("priority", patch.priority);
+  if (patch.tags !== undefined) setField("tags", patch.tags);
+  setField("updated_at", patch.updated_at !== undefined ? patch.updated_at : now);
+
+  values.push(taskId);
+  await pool.query(`UPDATE tasks SET ${fields.join(", ")} WHERE task_id = $${idx}`, values);
+  return (prevRes.rows && prevRes.rows[0]) || null;
+}
 
+async function tabUpdateTask(taskId, patch) {
   const values = await sheetsGetValues("Tasks!A:Z");
   if (!values.length) throw new Error("Tasks sheet is empty");
 
@@ -956,11 +2564,8 @@ async function sheetsUpdateTask(taskId, patch) {
   const rowNumber = await sheetsFindRowById("Tasks", taskId, 0);
   if (!rowNumber) throw new Error(`Task not found: ${taskId}`);
 
-  const rowRes = await sheets.spreadsheets.values.get({
-    spreadsheetId: SPREADSHEET_ID,
-    range: `Tasks!A${rowNumber}:Z${rowNumber}`,
-  });
-  const row = rowRes.data.values && rowRes.data.values[0] ? rowRes.data.values[0] : [];
+  const row = (values[rowNumber - 1] || []).slice();
+  const prev = header ? Object.fromEntries(header.map((h, i) => [h, row[i] || ""])) : null;
 
   const iTitle = idx["title"];
   const iDescription = idx["description"];
@@ -970,6 +2575,11 @@ async function sheetsUpdateTask(taskId, patch) {
   const iProject = idx["project_id"];
   const iDeleted = idx["deleted_at"];
   const iUpdated = idx["updated_at"] ?? 11;
+  const iAssigneeId = idx["assignee_id"];
+  const iAssigneeName = idx["assignee_name"];
+  const iRecurrence = idx["recurrence"];
+  const iPriority = idx["priority"];
+  const iTags = idx["tags"];
 
   function setCell(i, v) {
     while (row.length <= i) row.push("");
@@ -984,44 +2594,50 @@ async function sheetsUpdateTask(taskId, patch) {
   if (patch.done_at !== undefined) setCell(iDone, patch.done_at);
   if (patch.project_id !== undefined && iProject !== undefined) setCell(iProject, patch.project_id);
   if (patch.deleted_at !== undefined && iDeleted !== undefined) setCell(iDeleted, patch.deleted_at);
+  if (patch.assignee_id !== undefined && iAssigneeId !== undefined) setCell(iAssigneeId, patch.assignee_id);
+  if (patch.assignee_name !== undefined && iAssigneeName !== undefined) setCell(iAssigneeName, patch.assignee_name);
+  if (patch.recurrence !== undefined && iRecurrence !== undefined) setCell(iRecurrence, patch.recurrence);
+  if (patch.priority !== undefined && iPriority !== undefined) setCell(iPriority, patch.priority);
+  if (patch.tags !== undefined && iTags !== undefined) setCell(iTags, patch.tags);
   if (idx["updated_at"] !== undefined) setCell(iUpdated, patch.updated_at !== undefined ? patch.updated_at : now);
 
-  await sheets.spreadsheets.values.update({
-    spreadsheetId: SPREADSHEET_ID,
-    range: `Tasks!A${rowNumber}:Z${rowNumber}`,
-    valueInputOption: "RAW",
-    requestBody: { values: [row] },
-  });
+  await sheetsUpdateRow("Tasks", rowNumber, row);
+  return prev;
 }
 
-async function sheetsUpdateProject(projectId, patch) {
-  if (isDbEnabled()) {
-    const pool = await getDbPool();
-    const now = new Date().toISOString();
-    const fields = [];
-    const values = [];
-    let idx = 1;
-
-    const setField = (name, value) => {
-      fields.push(`${name} = $${idx++}`);
-      values.push(value);
-    };
-
-    if (patch.title !== undefined) setField("title", patch.title);
-    if (patch.description !== undefined) setField("description", patch.description);
-    if (patch.status !== undefined) setField("status", patch.status);
-    if (patch.due_at !== undefined) setField("due_at", patch.due_at);
-    if (patch.deleted_at !== undefined) setField("deleted_at", patch.deleted_at);
-    setField("updated_at", patch.updated_at !== undefined ? patch.updated_at : now);
+// opts.actor is recorded in the activity log; opts.action overrides the inferred kind (e.g. "undo").
+async function sheetsUpdateProject(projectId, patch, opts = {}) {
+  const prev = await getStorage().updateProject(projectId, patch);
+  await logEntityChange("project", projectId, prev, patch, opts);
+}
 
-    if (!fields.length) return;
-    values.push(projectId);
-    await pool.query(`UPDATE projects SET ${fields.join(", ")} WHERE project_id = $${idx}`, values);
-    return;
-  }
+async function pgUpdateProject(projectId, patch) {
+  const pool = await getDbPool();
+  const now = new Date().toISOString();
+  const prevRes = await pool.query("SELECT * FROM projects WHERE project_id = $1", [projectId]);
+  const fields = [];
+  const values = [];
+  let idx = 1;
+
+  const setField = (name, value) => {
+    fields.push(`${name} = $${idx++}`);
+    values.push(value);
+  };
 
-  const sheets = getSheetsClient();
+  if (patch.title !== undefined) setField("title", patch.title);
+  if (patch.description !== undefined) setField("description", patch.description);
+  if (patch.status !== undefined) setField("status", patch.status);
+  if (patch.due_at !== undefined) setField("due_at", patch.due_at);
+  if (patch.deleted_at !== undefined) setField("deleted_at", patch.deleted_at);
+  if (patch.tags !== undefined) setField("tags", patch.tags);
+  setField("updated_at", patch.updated_at !== undefined ? patch.updated_at : now);
+
+  values.push(projectId);
+  await pool.query(`UPDATE projects SET ${fields.join(", ")} WHERE project_id = $${idx}`, values);
+  return (prevRes.rows && prevRes.rows[0]) || null;
+}
 
+async function tabUpdateProject(projectId, patch) {
   const values = await sheetsGetValues("Projects!A:Z");
   if (!values.length) throw new Error("Projects sheet is empty");
 
@@ -1033,11 +2649,8 @@ async function sheetsUpdateProject(projectId, patch) {
   const rowNumber = await sheetsFindRowById("Projects", projectId, 0);
   if (!rowNumber) throw new Error(`Project not found: ${projectId}`);
 
-  const rowRes = await sheets.spreadsheets.values.get({
-    spreadsheetId: SPREADSHEET_ID,
-    range: `Projects!A${rowNumber}:Z${rowNumber}`,
-  });
-  const row = rowRes.data.values && rowRes.data.values[0] ? rowRes.data.values[0] : [];
+  const row = (values[rowNumber - 1] || []).slice();
+  const prev = header ? Object.fromEntries(header.map((h, i) => [h, row[i] || ""])) : null;
 
   const iTitle = idx["title"];
   const iDescription = idx["description"];
@@ -1045,6 +2658,7 @@ async function sheetsUpdateProject(projectId, patch) {
   const iDue = idx["due_at"] ?? 5;
   const iDeleted = idx["deleted_at"];
   const iUpdated = idx["updated_at"] ?? 8;
+  const iTags = idx["tags"];
 
   function setCell(i, v) {
     while (row.length <= i) row.push("");
@@ -1057,57 +2671,201 @@ async function sheetsUpdateProject(projectId, patch) {
   if (patch.status !== undefined) setCell(iStatus, patch.status);
   if (patch.due_at !== undefined) setCell(iDue, patch.due_at);
   if (patch.deleted_at !== undefined && iDeleted !== undefined) setCell(iDeleted, patch.deleted_at);
+  if (patch.tags !== undefined && iTags !== undefined) setCell(iTags, patch.tags);
   if (idx["updated_at"] !== undefined) setCell(iUpdated, patch.updated_at !== undefined ? patch.updated_at : now);
 
-  await sheets.spreadsheets.values.update({
-    spreadsheetId: SPREADSHEET_ID,
-    range: `Projects!A${rowNumber}:Z${rowNumber}`,
-    valueInputOption: "RAW",
-    requestBody: { values: [row] },
-  });
+  await sheetsUpdateRow("Projects", rowNumber, row);
+  return prev;
 }
 
-// =====================
-// Vertex AI: Natural language -> structured command
-// =====================
-function extractJsonObject(text) {
-  const s = String(text || "");
-  const first = s.indexOf("{");
-  const last = s.lastIndexOf("}");
-  if (first === -1 || last === -1 || last <= first) return null;
-  return s.slice(first, last + 1);
+async function sheetsGetSubtasksBySpace(...args) {
+  return getStorage().getSubtasksBySpace(...args);
 }
 
-async function vertexGenerateJson({ userText, locale = "ja" }) {
-  if (!VERTEX_PROJECT) {
-    throw new Error(
-      "Missing Vertex project id. Set env one of: KAI_BOT_GCP_PROJECT / GOOGLE_CLOUD_PROJECT / GCLOUD_PROJECT / GCP_PROJECT"
-    );
-  }
-
-  const auth = new google.auth.GoogleAuth({
-    scopes: ["https://www.googleapis.com/auth/cloud-platform"],
-  });
-  const client = await auth.getClient();
-  const tokenResp = await client.getAccessToken();
-  const token = typeof tokenResp === "string" ? tokenResp : tokenResp && tokenResp.token;
-  if (!token) {
-    throw new Error("Vertex access token is empty. Check service account auth.");
-  }
-
-  const endpoint = `https://${VERTEX_LOCATION}-aiplatform.googleapis.com/v1/projects/${VERTEX_PROJECT}/locations/${VERTEX_LOCATION}/publishers/google/models/${VERTEX_MODEL_ID}:generateContent`;
+async function pgGetSubtasksBySpace(spaceId, { includeDeleted = false } = {}) {
+  const pool = await getDbPool();
+  const res = await pool.query(
+    `SELECT subtask_id, task_id, title, status, created_at, done_at, created_by
+     FROM subtasks
+     WHERE space_id = $1
+     ${includeDeleted ? "" : "AND (status IS NULL OR status <> 'deleted') AND (deleted_at IS NULL OR deleted_at = '')"}
+     ORDER BY created_at ASC, subtask_id ASC`,
+    [String(spaceId || "")]
+  );
+  return res.rows || [];
+}
 
-  const prompt =
-    `あなたはタスク管理ボットのコマンド解析器です。必ずJSONのみで返してください。\n` +
-    `次のいずれかの action を返してください: create_task, update_task, delete_task, complete_task, reopen_task, list_tasks, create_project, update_project, delete_project, list_projects, help, ask_user, unknown\n` +
-    `出力JSONスキーマ（省略可のキーは空文字でも可）:\n` +
-    `{\n  "action":"...",\n  "next_action":"",\n  "target_type":"task|project|none",\n  "question":"",\n  "task_id":"",\n  "project_id":"",\n  "title":"",\n  "new_title":"",\n  "description":"",\n  "due_at":"",\n  "status":"",\n  "project_title":"",\n  "query":""\n}\n` +
-    `注意: 対象が曖昧な場合は action=ask_user にして question と next_action を返す。\n` +
-    `ID が文中に無い場合は空文字にする。対象がID不明の場合は query にタイトル断片を入れる。期限は文にある場合だけ入れる（例: 2026-01-10 18:00）。\n` +
-    `ユーザー入力: ${userText}`;
+async function tabGetSubtasksBySpace(spaceId, { includeDeleted = false } = {}) {
+  const values = await sheetsGetValues("Subtasks!A:Z");
+  if (values.length <= 1) return [];
+  const idx = headerIndex(values[0]);
+  requireColumns(idx, ["subtask_id", "task_id", "group_id", "title"], "Subtasks");
 
-  const body = {
-    contents: [{ role: "user", parts: [{ text: prompt }] }],
+  const sid = String(spaceId || "").trim();
+  const out = [];
+  for (const r of values.slice(1)) {
+    if (String(r[idx.group_id] || "").trim() !== sid) continue;
+    const row = {
+      subtask_id: r[idx.subtask_id] || "",
+      task_id: r[idx.task_id] || "",
+      title: r[idx.title] || "",
+      status: idx.status !== undefined ? r[idx.status] || "" : "",
+      created_at: idx.created_at !== undefined ? r[idx.created_at] || "" : "",
+      done_at: idx.done_at !== undefined ? r[idx.done_at] || "" : "",
+      created_by: idx.created_by !== undefined ? r[idx.created_by] || "" : "",
+    };
+    if (!includeDeleted && String(row.status || "").toLowerCase() === "deleted") continue;
+    out.push(row);
+  }
+  return out;
+}
+
+async function sheetsAppendSubtasks(...args) {
+  return getStorage().appendSubtasks(...args);
+}
+
+async function pgAppendSubtasks({ spaceId, task_id, titles, created_by }) {
+  const now = new Date().toISOString();
+  // Same created_at for the whole batch; the id suffix keeps insertion order stable.
+  const items = titles.map((title, i) => ({ subtask_id: `${makeId("sub")}_${String(i).padStart(2, "0")}`, title }));
+
+  const pool = await getDbPool();
+  for (const it of items) {
+    await pool.query(
+      `INSERT INTO subtasks (subtask_id, task_id, space_id, title, status, created_at, created_by, updated_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
+      [it.subtask_id, task_id, String(spaceId || ""), it.title, "open", now, created_by || "", now]
+    );
+  }
+  return items.map((it) => it.subtask_id);
+}
+
+async function tabAppendSubtasks({ spaceId, task_id, titles, created_by }) {
+  const now = new Date().toISOString();
+  // Same created_at for the whole batch; the id suffix keeps insertion order stable.
+  const items = titles.map((title, i) => ({ subtask_id: `${makeId("sub")}_${String(i).padStart(2, "0")}`, title }));
+
+  const values = await sheetsGetValues("Subtasks!A:Z");
+  if (values.length <= 0) throw new Error("Subtasks sheet is empty (need header row)");
+  const header = values[0];
+  const idx = headerIndex(header);
+  requireColumns(idx, ["subtask_id", "task_id", "group_id", "title"], "Subtasks");
+
+  const rows = items.map((it) => {
+    const row = new Array(header.length).fill("");
+    row[idx.subtask_id] = it.subtask_id;
+    row[idx.task_id] = task_id;
+    row[idx.group_id] = String(spaceId || "");
+    row[idx.title] = it.title;
+    if (idx.status !== undefined) row[idx.status] = "open";
+    if (idx.created_at !== undefined) row[idx.created_at] = now;
+    if (idx.created_by !== undefined) row[idx.created_by] = created_by || "";
+    if (idx.updated_at !== undefined) row[idx.updated_at] = now;
+    return row;
+  });
+  await sheetsAppendRows("Subtasks", rows);
+  return items.map((it) => it.subtask_id);
+}
+
+async function sheetsUpdateSubtask(...args) {
+  return getStorage().updateSubtask(...args);
+}
+
+async function pgUpdateSubtask(subtaskId, patch) {
+  const now = new Date().toISOString();
+  const pool = await getDbPool();
+  const fields = [];
+  const values = [];
+  let idx = 1;
+  const setField = (name, value) => {
+    fields.push(`${name} = $${idx++}`);
+    values.push(value);
+  };
+
+  if (patch.title !== undefined) setField("title", patch.title);
+  if (patch.status !== undefined) setField("status", patch.status);
+  if (patch.done_at !== undefined) setField("done_at", patch.done_at);
+  if (patch.deleted_at !== undefined) setField("deleted_at", patch.deleted_at);
+  setField("updated_at", patch.updated_at !== undefined ? patch.updated_at : now);
+
+  values.push(subtaskId);
+  await pool.query(`UPDATE subtasks SET ${fields.join(", ")} WHERE subtask_id = $${idx}`, values);
+  return;
+}
+
+async function tabUpdateSubtask(subtaskId, patch) {
+  const now = new Date().toISOString();
+  const values = await sheetsGetValues("Subtasks!A:Z");
+  if (!values.length) throw new Error("Subtasks sheet is empty");
+  const idx = headerIndex(values[0]);
+  requireColumns(idx, ["subtask_id", "task_id", "group_id", "title"], "Subtasks");
+
+  const rowNumber = await sheetsFindRowById("Subtasks", subtaskId, idx.subtask_id);
+  if (!rowNumber) throw new Error(`Subtask not found: ${subtaskId}`);
+  const row = (values[rowNumber - 1] || []).slice();
+
+  function setCell(i, v) {
+    if (i === undefined) return;
+    while (row.length <= i) row.push("");
+    row[i] = v;
+  }
+
+  if (patch.title !== undefined) setCell(idx.title, patch.title);
+  if (patch.status !== undefined) setCell(idx.status, patch.status);
+  if (patch.done_at !== undefined) setCell(idx.done_at, patch.done_at);
+  if (patch.deleted_at !== undefined) setCell(idx.deleted_at, patch.deleted_at);
+  setCell(idx.updated_at, patch.updated_at !== undefined ? patch.updated_at : now);
+
+  await sheetsUpdateRow("Subtasks", rowNumber, row);
+}
+
+// =====================
+// Vertex AI: Natural language -> structured command
+// =====================
+function extractJsonObject(text) {
+  const s = String(text || "");
+  const first = s.indexOf("{");
+  const last = s.lastIndexOf("}");
+  if (first === -1 || last === -1 || last <= first) return null;
+  return s.slice(first, last + 1);
+}
+
+async function vertexGenerateJson({ userText, locale = "ja" }) {
+  if (!VERTEX_PROJECT) {
+    throw new Error(
+      "Missing Vertex project id. Set env one of: KAI_BOT_GCP_PROJECT / GOOGLE_CLOUD_PROJECT / GCLOUD_PROJECT / GCP_PROJECT"
+    );
+  }
+
+  const auth = new google.auth.GoogleAuth({
+    scopes: ["https://www.googleapis.com/auth/cloud-platform"],
+  });
+  const client = await auth.getClient();
+  const tokenResp = await client.getAccessToken();
+  const token = typeof tokenResp === "string" ? tokenResp : tokenResp && tokenResp.token;
+  if (!token) {
+    throw new Error("Vertex access token is empty. Check service account auth.");
+  }
+
+  const endpoint = `https://${VERTEX_LOCATION}-aiplatform.googleapis.com/v1/projects/${VERTEX_PROJECT}/locations/${VERTEX_LOCATION}/publishers/google/models/${VERTEX_MODEL_ID}:generateContent`;
+
+  const prompt =
+    `あなたはタスク管理ボットのコマンド解析器です。必ずJSONのみで返してください。\n` +
+    `次のいずれかの action を返してください: create_task, update_task, delete_task, complete_task, reopen_task, assign_task, set_priority, add_tags, remove_tags, stop_recurrence, add_subtasks, complete_subtask, reopen_subtask, show_subtasks, list_tasks, create_project, update_project, delete_project, list_projects, show_history, undo, help, ask_user, unknown\n` +
+    `出力JSONスキーマ（省略可のキーは空文字でも可）:\n` +
+    `{\n  "action":"...",\n  "next_action":"",\n  "target_type":"task|project|none",\n  "question":"",\n  "task_id":"",\n  "project_id":"",\n  "title":"",\n  "new_title":"",\n  "description":"",\n  "due_at":"",\n  "status":"",\n  "project_title":"",\n  "assignee":"",\n  "recurrence":"",\n  "items":[],\n  "subtask_query":"",\n  "priority":"high|medium|low",\n  "sort":"created|newest|due|priority",\n  "tags":[],\n  "query":""\n}\n` +
+    `注意: 対象が曖昧な場合は action=ask_user にして question と next_action を返す。\n` +
+    `#から始まる語はタグ。tags に # を除いて配列で入れ、title や query には含めない。\n` +
+    `優先度（高/中/低, P1〜P3）は priority に high/medium/low で入れる。一覧の並び順（期限順/優先度順/新しい順）は sort。\n` +
+    `サブタスク（チェック項目）の追加は add_subtasks で query に親タスク名、items に項目名の配列。チェックは complete_subtask で subtask_query に項目名。\n` +
+    `繰り返し（毎週月曜・毎月末・隔週・平日など）は recurrence に原文のまま入れる。繰り返しをやめるのは stop_recurrence。\n` +
+    `担当者の指定があれば assignee に名前を入れる（発言者自身なら "me"）。担当者の設定は assign_task、担当者で絞り込む一覧は list_tasks + assignee。\n` +
+    `対象が複数のとき（完了/再開/削除/更新）は query にタイトル断片を「、」区切りで入れる。\n` +
+    `ID が文中に無い場合は空文字にする。対象がID不明の場合は query にタイトル断片を入れる。期限は文にある場合だけ入れる（例: 2026-01-10 18:00）。\n` +
+    `ユーザー入力: ${userText}`;
+
+  const body = {
+    contents: [{ role: "user", parts: [{ text: prompt }] }],
     generationConfig: {
       temperature: 0,
       maxOutputTokens: 512,
@@ -1149,7 +2907,7 @@ function normalizeText(text) {
 }
 
 function extractQueryFromText(text, removePatterns = []) {
-  let t = normalizeText(text);
+  let t = normalizeText(stripTagsFromText(text));
   if (!t) return "";
   for (const re of removePatterns) t = t.replace(re, " ");
   t = t.replace(/\s+/g, " ").trim();
@@ -1165,7 +2923,7 @@ function splitQueries(text) {
 }
 
 function sanitizeQuery(text) {
-  let t = normalizeText(text);
+  let t = normalizeText(stripTagsFromText(text));
   if (!t) return "";
   t = t.replace(/^[「『"“](.+)[」』"”]$/, "$1");
   t = t.replace(/(を|は|が|の|です|だ|よ|ね)\s*$/g, "");
@@ -1242,6 +3000,22 @@ function formatJst(dateJst) {
   return `${y}-${m}-${d} ${hh}:${mm}`;
 }
 
+// Inverse of formatJst: "YYYY-MM-DD HH:mm" (JST) -> Date. Strings with an explicit
+// offset (e.g. from Vertex) are parsed as-is. Date-only values default to 18:00 like parseDueAtFromText.
+function parseJstDateTime(value) {
+  const s = normalizeText(value);
+  if (!s) return null;
+  const m = s.match(/^(\d{4})[\/\-](\d{1,2})[\/\-](\d{1,2})(?:[ T](\d{1,2}):(\d{2}))?/);
+  if (!m) return null;
+  if (/(?:[zZ]|[+\-]\d{2}:?\d{2})$/.test(s)) {
+    const d = new Date(s);
+    return isNaN(d.getTime()) ? null : d;
+  }
+  const hour = m[4] !== undefined ? Number(m[4]) : 18;
+  const minute = m[5] !== undefined ? Number(m[5]) : 0;
+  return new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), hour - 9, minute));
+}
+
 function parseTimeFromText(text) {
   const t = String(text || "");
 
@@ -1352,6 +3126,221 @@ function stripDiscordTrigger(text, botId) {
   return normalizeText(t);
 }
 
+// Telegram: "/kai ..." (or /kai@ThisBot), "@ThisBot" anywhere, plus the usual triggers.
+function isTelegramTriggered(text, botUsername) {
+  const t = String(text || "").trim();
+  const cmd = t.match(/^\/kai(?:@(\w+))?(?:\s|$)/i);
+  if (cmd) return !cmd[1] || !botUsername || cmd[1].toLowerCase() === botUsername.toLowerCase();
+  if (botUsername && new RegExp(`@${botUsername}\\b`, "i").test(t)) return true;
+  return isTriggeredText(t);
+}
+
+function stripTelegramTrigger(text, botUsername) {
+  let t = String(text || "").replace(/^\s*\/kai(?:@\w+)?/i, " ");
+  if (botUsername) t = t.replace(new RegExp(`@${botUsername}\\b`, "gi"), " ");
+  return stripTriggerPrefix(t);
+}
+
+// =====================
+// Mentions / assignees
+// =====================
+// Normalized mention: { id, name }. id is the platform user id (may be empty when
+// LINE can't resolve the user), name is what was written after "@".
+function getLineMentions(message) {
+  const text = String((message && message.text) || "");
+  const mentionees = (message && message.mention && message.mention.mentionees) || [];
+  return mentionees
+    .filter((m) => m && m.type !== "all" && !m.isSelf)
+    .map((m) => ({
+      id: m.userId || "",
+      name: text.substr(m.index, m.length).replace(/^[@＠]/, "").trim(),
+    }))
+    .filter((m) => m.name && !/^KAI\s*bot$/i.test(m.name));
+}
+
+function getDiscordMentions(text, botId, resolveName = () => "") {
+  const out = [];
+  const re = /<@!?(\d+)>/g;
+  let m;
+  while ((m = re.exec(String(text || "")))) {
+    if (m[1] === botId || out.some((x) => x.id === m[1])) continue;
+    out.push({ id: m[1], name: resolveName(m[1]) || "" });
+  }
+  return out;
+}
+
+// Telegram entities: "mention" is @username (no id), "text_mention" carries the user.
+function getTelegramMentions(message, botUsername) {
+  const text = String((message && message.text) || "");
+  const out = [];
+  for (const e of (message && message.entities) || []) {
+    if (e.type === "text_mention" && e.user && !e.user.is_bot) {
+      out.push({ id: String(e.user.id), name: getTelegramUserName(e.user) });
+    } else if (e.type === "mention") {
+      const name = text.substr(e.offset, e.length).replace(/^@/, "");
+      if (botUsername && name.toLowerCase() === botUsername.toLowerCase()) continue;
+      out.push({ id: "", name });
+    }
+  }
+  return out;
+}
+
+// Slack writes mentions as <@U123> or <@U123|name> (slash commands with escaping on).
+async function getSlackMentions(text, botUserId) {
+  const out = [];
+  const re = /<@([A-Z0-9]+)(?:\|([^>]*))?>/g;
+  let m;
+  while ((m = re.exec(String(text || "")))) {
+    if (m[1] === botUserId || out.some((x) => x.id === m[1])) continue;
+    out.push({ id: m[1], name: m[2] || (await getSlackUserName(m[1])) });
+  }
+  return out;
+}
+
+// Slack mrkdwn -> plain text: drop user mentions (kept in `mentions`), unwrap links, unescape.
+function stripSlackText(text) {
+  return normalizeText(
+    String(text || "")
+      .replace(/<@[A-Z0-9]+(?:\|[^>]*)?>/g, " ")
+      .replace(/<(?:[^>|]+)\|([^>]+)>/g, "$1")
+      .replace(/<([^>]+)>/g, "$1")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&amp;/g, "&")
+  );
+}
+
+function stripMentionText(text, mentions = []) {
+  let t = String(text || "").replace(/<@!?\d+>/g, " ");
+  for (const m of mentions) {
+    if (!m.name) continue;
+    t = t.split(`@${m.name}`).join(" ").split(`＠${m.name}`).join(" ");
+  }
+  return normalizeText(collapseSpaces(t));
+}
+
+function cleanAssigneeName(name) {
+  return normalizeText(name)
+    .replace(/^[@＠]/, "")
+    .replace(/(さん|くん|君|ちゃん|様)$/, "")
+    .trim();
+}
+
+const ASSIGNEE_ACTIONS = ["create_task", "assign_task", "list_tasks", "update_task", "bulk_tasks", "update_settings"];
+
+// Fill assignee_id/assignee_name from mentions or "自分". Mentions win over names
+// parsed from text because they carry a real user id.
+function applyAssignee(cmd, { userId, userName, mentions = [] } = {}) {
+  if (!cmd || !ASSIGNEE_ACTIONS.includes(cmd.action)) return cmd;
+  const m = mentions[0];
+  if (m) {
+    cmd.assignee_id = m.id || "";
+    cmd.assignee_name = m.name || cleanAssigneeName(cmd.assignee_name || "");
+    return cmd;
+  }
+  const name = cleanAssigneeName(cmd.assignee_name || "");
+  if (/^(me|自分|私|わたし|僕|俺)$/i.test(name)) {
+    cmd.assignee_id = userId || "";
+    cmd.assignee_name = userName || "";
+  } else if (name) {
+    cmd.assignee_name = name;
+  }
+  return cmd;
+}
+
+function filterTasksByAssignee(tasks, { assignee_id, assignee_name }) {
+  if (assignee_id) return tasks.filter((t) => String(t.assignee_id || "") === String(assignee_id));
+  const name = String(assignee_name || "").toLowerCase();
+  if (!name) return tasks;
+  return tasks.filter((t) => String(t.assignee_name || "").toLowerCase().includes(name));
+}
+
+// LINE textV2 renders {assignee} as a real mention.
+function buildLineTextMessage(text, { mentionUserId } = {}) {
+  if (!mentionUserId || !/^U[0-9a-f]{32}$/.test(mentionUserId)) return { type: "text", text };
+  return {
+    type: "textV2",
+    text: `{assignee} ${String(text).replace(/\{/g, "{{").replace(/\}/g, "}}")}`,
+    substitution: { assignee: { type: "mention", mentionee: { type: "user", userId: mentionUserId } } },
+  };
+}
+
+async function loadSubtasksByTask(spaceId) {
+  try {
+    return groupSubtasksByTask(await sheetsGetSubtasksBySpace(spaceId));
+  } catch (e) {
+    // Progress is optional decoration; a missing Subtasks sheet must not break lists.
+    console.warn("loadSubtasksByTask failed", e && e.message ? e.message : e);
+    return new Map();
+  }
+}
+
+// { text, tasks }: the rendered list plus the rows in it, for platforms that add controls.
+async function buildTaskListView(spaceId, cmd = {}) {
+  const byAssignee = !!(cmd.assignee_id || cmd.assignee_name);
+  const tags = cmd.tags || [];
+  const status = ["open", "doing", "done"].includes(cmd.status) ? cmd.status : "";
+  const sort = TASK_SORTS[cmd.sort] ? cmd.sort : "created";
+  const subtasksByTask = await loadSubtasksByTask(spaceId);
+  const heading = [];
+  if (sort !== "created") heading.push(`並び順: ${TASK_SORTS[sort].label}`);
+  if (!byAssignee && !tags.length && !status) {
+    const tasks = await sheetsGetTasksBySpace(spaceId, 20, { sort });
+    const body = formatTaskList(tasks, subtasksByTask);
+    return { text: heading.length ? `${heading.join("\n")}\n\n${body}` : body, tasks };
+  }
+
+  let tasks = await sheetsGetTasksBySpace(spaceId, 500, { sort });
+  const labels = [];
+  if (status) {
+    tasks = tasks.filter((t) => String(t.status || "open").toLowerCase() === status);
+    labels.push(formatStatusJa(status));
+    heading.unshift(`状態: ${formatStatusJa(status)}`);
+  }
+  if (tags.length) {
+    tasks = filterByTags(tasks, tags);
+    labels.push(tags.map((x) => `#${x}`).join(" "));
+    heading.unshift(`タグ: ${labels[labels.length - 1]}`);
+  }
+  if (byAssignee) {
+    const label = cmd.assignee_name || formatAssignee(cmd) || "指定ユーザー";
+    tasks = filterTasksByAssignee(tasks, cmd);
+    labels.push(`${label} が担当`);
+    heading.unshift(`担当: ${label}`);
+  }
+  tasks = tasks.slice(0, 20);
+  if (!tasks.length) return { text: `${labels.join(" / ")} のタスクはありません。`, tasks };
+  return { text: `${heading.join("\n")}\n\n${formatTaskList(tasks, subtasksByTask)}`, tasks };
+}
+
+async function handleAssignTask({ spaceId, userId, cmd, send }) {
+  const q = cmd.task_id || cmd.query || cmd.title;
+  if (!q) {
+    await send("担当を設定するタスクが見つかりません。例: 議事録を田中さんに割り当て");
+    return;
+  }
+  if (!cmd.clear_assignee && !cmd.assignee_id && !cmd.assignee_name) {
+    await send("担当者が分かりません。例: 議事録を田中さんに割り当て / 議事録を @田中 に割り当て");
+    return;
+  }
+  const matches = await findTasksByQuery(spaceId, sanitizeQuery(q), 200);
+  if (!matches.length) {
+    await send("一致するタスクが見つかりませんでした。");
+    return;
+  }
+  if (matches.length > 1) {
+    await send(`複数見つかりました。より具体的に教えてください:\n${formatTaskMatches(matches)}`);
+    return;
+  }
+  if (cmd.clear_assignee) {
+    await sheetsUpdateTask(matches[0].task_id, { assignee_id: "", assignee_name: "" }, { actor: userId });
+    await send(`担当を外しました: ${matches[0].title}`);
+    return;
+  }
+  await sheetsUpdateTask(matches[0].task_id, { assignee_id: cmd.assignee_id || "", assignee_name: cmd.assignee_name || "" }, { actor: userId });
+  await send(`担当を設定しました: ${matches[0].title} → ${formatAssignee(cmd)}`, { mentionUserId: cmd.assignee_id || "" });
+}
+
 // =====================
 // Templates (learned phrases)
 // =====================
@@ -1362,42 +3351,7 @@ async function loadTemplates() {
   if (_templateCache.data && now < _templateCache.expMs) return _templateCache.data;
 
   try {
-    let data = [];
-    if (isDbEnabled()) {
-      const pool = await getDbPool();
-      const res = await pool.query(
-        "SELECT text, action, target_type, query, project_title, status, due_at FROM templates"
-      );
-      data = (res.rows || []).map((r) => ({
-        text: String(r.text || "").trim(),
-        action: String(r.action || "").trim(),
-        target_type: String(r.target_type || "").trim(),
-        query: String(r.query || "").trim(),
-        project_title: String(r.project_title || "").trim(),
-        status: String(r.status || "").trim(),
-        due_at: String(r.due_at || "").trim(),
-      }));
-    } else {
-      const values = await sheetsGetValues("Templates!A:Z");
-      if (!values.length) return [];
-      const header = values[0].map((v) => String(v || "").trim());
-      const idx = headerIndex(header);
-      if (idx.text === undefined || idx.action === undefined) return [];
-
-      const rows = values.slice(1);
-      data = rows
-        .map((r) => ({
-          text: String(r[idx.text] || "").trim(),
-          action: String(r[idx.action] || "").trim(),
-          target_type: idx.target_type !== undefined ? String(r[idx.target_type] || "").trim() : "",
-          query: idx.query !== undefined ? String(r[idx.query] || "").trim() : "",
-          project_title: idx.project_title !== undefined ? String(r[idx.project_title] || "").trim() : "",
-          status: idx.status !== undefined ? String(r[idx.status] || "").trim() : "",
-          due_at: idx.due_at !== undefined ? String(r[idx.due_at] || "").trim() : "",
-        }))
-        .filter((r) => r.text && r.action);
-    }
-
+    const data = await getStorage().loadTemplates();
     _templateCache = { data, expMs: now + 60 * 1000 };
     return data;
   } catch {
@@ -1405,6 +3359,41 @@ async function loadTemplates() {
   }
 }
 
+async function pgLoadTemplates() {
+  const pool = await getDbPool();
+  const res = await pool.query("SELECT text, action, target_type, query, project_title, status, due_at FROM templates");
+  return (res.rows || []).map((r) => ({
+    text: String(r.text || "").trim(),
+    action: String(r.action || "").trim(),
+    target_type: String(r.target_type || "").trim(),
+    query: String(r.query || "").trim(),
+    project_title: String(r.project_title || "").trim(),
+    status: String(r.status || "").trim(),
+    due_at: String(r.due_at || "").trim(),
+  }));
+}
+
+async function tabLoadTemplates() {
+  const values = await sheetsGetValues("Templates!A:Z");
+  if (!values.length) return [];
+  const header = values[0].map((v) => String(v || "").trim());
+  const idx = headerIndex(header);
+  if (idx.text === undefined || idx.action === undefined) return [];
+
+  const rows = values.slice(1);
+  return rows
+    .map((r) => ({
+      text: String(r[idx.text] || "").trim(),
+      action: String(r[idx.action] || "").trim(),
+      target_type: idx.target_type !== undefined ? String(r[idx.target_type] || "").trim() : "",
+      query: idx.query !== undefined ? String(r[idx.query] || "").trim() : "",
+      project_title: idx.project_title !== undefined ? String(r[idx.project_title] || "").trim() : "",
+      status: idx.status !== undefined ? String(r[idx.status] || "").trim() : "",
+      due_at: idx.due_at !== undefined ? String(r[idx.due_at] || "").trim() : "",
+    }))
+    .filter((r) => r.text && r.action);
+}
+
 async function matchTemplate(text) {
   const key = normalizeText(text).toLowerCase();
   if (!key) return null;
@@ -1421,55 +3410,202 @@ async function matchTemplate(text) {
   };
 }
 
+// Commands that carry fields the Templates table can't store (time, weekdays, ...).
+const TEMPLATE_EXCLUDED_ACTIONS = new Set([
+  "set_digest",
+  "assign_task",
+  "add_subtasks",
+  "complete_subtask",
+  "reopen_subtask",
+  "set_subtask_auto_complete",
+  "set_priority",
+  "add_tags",
+  "remove_tags",
+  "import_tasks",
+  "bulk_tasks",
+  "update_settings",
+]);
+
 async function recordTemplate(text, cmd) {
   const key = normalizeText(text);
   if (!key || !cmd || !cmd.action) return;
+  if (TEMPLATE_EXCLUDED_ACTIONS.has(cmd.action)) return;
+  if (cmd.assignee_id || cmd.assignee_name || cmd.recurrence || cmd.priority || cmd.sort) return;
+  if (cmd.tags && cmd.tags.length) return;
   const templates = await loadTemplates();
   if (templates.some((t) => t.text.toLowerCase() === key.toLowerCase())) return;
 
   try {
-    if (isDbEnabled()) {
-      const pool = await getDbPool();
-      await pool.query(
-        `INSERT INTO templates (text, action, target_type, query, project_title, status, due_at, created_at)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
-        [
-          key,
-          cmd.action || "",
-          cmd.target_type || "",
-          cmd.query || cmd.title || "",
-          cmd.project_title || "",
-          cmd.status || "",
-          cmd.due_at || "",
-          new Date().toISOString(),
-        ]
-      );
-    } else {
-      await sheetsAppendRow("Templates", [
-        key,
-        cmd.action || "",
-        cmd.target_type || "",
-        cmd.query || cmd.title || "",
-        cmd.project_title || "",
-        cmd.status || "",
-        cmd.due_at || "",
-        new Date().toISOString(),
-      ]);
-    }
+    await getStorage().appendTemplate([
+      key,
+      cmd.action || "",
+      cmd.target_type || "",
+      cmd.query || cmd.title || "",
+      cmd.project_title || "",
+      cmd.status || "",
+      cmd.due_at || "",
+      new Date().toISOString(),
+    ]);
     _templateCache.expMs = 0;
   } catch {
     // If Templates sheet doesn't exist, ignore.
   }
 }
 
+// row: [text, action, target_type, query, project_title, status, due_at, created_at]
+async function pgAppendTemplate(row) {
+  const pool = await getDbPool();
+  await pool.query(
+    `INSERT INTO templates (text, action, target_type, query, project_title, status, due_at, created_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
+    row
+  );
+}
+
+async function tabAppendTemplate(row) {
+  await sheetsAppendRow("Templates", row);
+}
+
+// Hashtags are pulled out first so they never end up inside titles or queries.
 function regexQuickParse(text) {
+  const raw = normalizeText(text);
+  // Checked before tags: the pasted list after "インポート" may contain anything.
+  if (IMPORT_HEAD_RE.test(raw)) return { action: "import_tasks" };
+  const tags = parseTagsFromText(raw);
+  if (!tags.length) return regexQuickParseText(raw);
+
+  const t = stripTagsFromText(raw);
+  const isProject = /プロジェクト|project/i.test(t);
+  const target = (re) =>
+    extractQueryFromText(t, [/(おーい|ボット|@?KAI\s*bot)/gi, /(タグ|tag)/gi, re, /(\s*(に|から|を|の|は))+\s*$/]);
+  if (/(外す|外して|はずす|取る|取って|取り除)/.test(t) || (/タグ|tag/i.test(t) && /(削除|解除)/.test(t))) {
+    const query = target(/(外す|外して|はずす|取る|取って|取り除く?|削除|解除)(して)?/g);
+    return { action: "remove_tags", target_type: isProject ? "project" : "task", query, tags };
+  }
+  if (/(付け|つけ)/.test(t) || (/タグ|tag/i.test(t) && /(追加|設定)/.test(t))) {
+    const query = target(/(付けて|付ける|つけて|つける|付け|つけ|追加|設定)(して)?/g);
+    return { action: "add_tags", target_type: isProject ? "project" : "task", query, tags };
+  }
+  // "#会計" / "#会計 のタスク" -> filtered list
+  if (!t || /^の?\s*(?:タスク)?\s*(?:一覧)?$/.test(t)) return { action: "list_tasks", tags };
+
+  const cmd = regexQuickParseText(t);
+  if (cmd) cmd.tags = tags;
+  return cmd;
+}
+
+function regexQuickParseText(text) {
   const t = normalizeText(text);
   const quoted = extractQuotedText(t);
 
+  // digest ("ダイジェスト" / "ダイジェスト 平日9時" / "ダイジェスト停止"). Anchored, and the rest may only
+  // be schedule words, so a title like "ダイジェスト記事を書く" still reaches the task branches.
+  if (
+    /^(?:ダイジェスト|digest)(?:配信)?(?:[\s・、,\/と]*(?:を|は|に)?\s*(?:停止|オフ|off|解除|やめる?|止める?|設定(?:する)?|配信|オン|on|表示|見せて|確認|毎日|毎朝|毎晩|毎夕|平日|週末|土日|毎週|[月火水木金土日](?:曜日?)?|\d{1,2}[:：]\d{2}|\d{1,2}\s*時(?:\s*\d{1,2}\s*分?)?|正午))*\s*$/i.test(t)
+  ) {
+    if (/(停止|オフ|off|解除|やめ|止め)/i.test(t)) return { action: "set_digest", enabled: false };
+    const tm = parseTimeFromText(t);
+    const days = parseWeekdaysFromText(t.replace(/ダイジェスト|digest/gi, " "));
+    if (tm || days.length || /(設定|配信|オン|on)/i.test(t)) {
+      const time = tm ? `${String(tm.hour).padStart(2, "0")}:${String(tm.minute).padStart(2, "0")}` : "";
+      return { action: "set_digest", enabled: true, time, days };
+    }
+    return { action: "show_digest" };
+  }
+
+  // Vertex usage ("使用量" / "解析の使用量")
+  if (/^(?:(?:解析|AI|LLM)の?)?(?:使用量|利用状況|使用状況)(?:を?(?:表示|見せて|確認))?$|^usage$/i.test(t)) return { action: "show_usage" };
+
+  // roles ("役割" / "権限")
+  if (/^(?:役割|権限|ロール|roles?)(?:一覧|を?(?:表示|見せて|確認))?$/i.test(t)) return { action: "show_roles" };
+
+  // settings ("設定" / "設定 上限 100"); before the project branches ("設定 既定プロジェクト 卒論")
+  const settingsCmd = parseSettingsCommand(t);
+  if (settingsCmd) return settingsCmd;
+
+  // dashboard link ("ダッシュボード" / "ダッシュボード無効化")
+  if (/^(?:ダッシュボード|dashboard)(?:\s*の?\s*(?:リンク|URL|link))?(?:\s*(?:を?(?:発行|教えて|見せて|表示)|を?(無効化?|停止|失効|取り消し?|リセット|revoke)))?$/i.test(t)) {
+    return { action: /(無効|停止|失効|取り消|リセット|revoke)/i.test(t) ? "revoke_dashboard" : "show_dashboard" };
+  }
+
+  // export ("エクスポート" / "エクスポート json 削除済みも"); only format / deleted modifiers may follow
+  if (
+    /^(?:エクスポート|export|書き出し|データ出力)(?:[\s、,]*(?:を|は|で|の)?\s*(?:csv|json|markdown|マークダウン|md|チェックリスト|形式|削除済み(?:も|を含む)?|削除したもの(?:も)?|削除も|削除を含む|deleted|して|する))*\s*(?:で|にして)?$/i.test(t)
+  ) {
+    return {
+      action: "export",
+      format: parseExportFormat(t),
+      include_deleted: /(削除済み|削除した|削除も|削除を含|deleted)/i.test(t),
+    };
+  }
+
+  // ICS feed ("カレンダー" / "カレンダー無効化")
+  if (/^(?:カレンダー|calendar|ics|ical)(?:\s*(?:購読|連携|フィード|feed|URL|リンク))?(?:\s*(?:を?(?:発行|教えて|見せて)|(無効化?|停止|失効|リセット|revoke)))?$/i.test(t)) {
+    return { action: /(無効|停止|失効|リセット|revoke)/i.test(t) ? "revoke_calendar" : "show_calendar" };
+  }
+
+  // API token ("APIトークン発行" / "APIトークン無効化")
+  if (/^api\s*(?:トークン|token)\s*(?:を)?\s*(?:発行|再発行|作成|生成|issue|無効化?|削除|失効|取り消し?|revoke)(?:して|する)?$/i.test(t)) {
+    if (/(無効|削除|失効|取り消|revoke)/i.test(t)) return { action: "revoke_api_token" };
+    if (/(発行|作成|生成|issue)/i.test(t)) return { action: "issue_api_token" };
+  }
+
+  // activity history / undo ("履歴" / "議事録の履歴" / "元に戻す")
+  if (/^(?:さっきの(?:操作|変更)を?)?\s*(?:元に戻す|元に戻して|もとに戻す|もとに戻して|取り消し|取り消す|取り消して|undo)$/i.test(t)) {
+    return { action: "undo" };
+  }
+  const mHistory = t.match(/^(.*?)\s*(?:の)?\s*(?:変更|操作)?履歴(?:を?(?:見せて|表示|教えて))?$|^history$/i);
+  if (mHistory) return { action: "show_history", query: sanitizeQuery(String(mHistory[1] || "").replace(/(タスク|プロジェクト)$/, "")) };
+
+  // list by assignee ("@user のタスク" arrives here as "のタスク" with the mention stripped)
+  const sort = parseSortFromText(t);
+  const tList = normalizeText(t.replace(SORT_PHRASE_RE, " "));
+  if (/^(?:自分|私|わたし|僕|俺)の\s*タスク(?:一覧)?$/.test(tList)) return { action: "list_tasks", assignee_name: "me", sort };
+  const mAssigneeList = tList.match(/^(.+?)(?:さん|くん|君|ちゃん|様)の\s*タスク(?:一覧)?$/);
+  if (mAssigneeList) return { action: "list_tasks", assignee_name: cleanAssigneeName(mAssigneeList[1]), sort };
+  if (/^の\s*タスク(?:一覧)?$/.test(tList)) return { action: "list_tasks", sort };
+
   // list
-  if (/タスク一覧|list\s*tasks/i.test(t)) return { action: "list_tasks" };
+  if (/タスク一覧|list\s*tasks/i.test(t) || (sort && /^(?:タスク)?$/.test(tList))) return { action: "list_tasks", sort };
   if (/プロジェクト一覧|list\s*projects/i.test(t)) return { action: "list_projects" };
 
+  // subtasks ("議事録に『録音確認』『要約』を追加" / "議事録の『要約』完了" / "議事録のサブタスク")
+  if (/(サブタスク|チェックリスト)/.test(t) && /自動完了/.test(t)) {
+    return { action: "set_subtask_auto_complete", enabled: !/(オフ|off|しない|停止|無効)/i.test(t) };
+  }
+  const mSubAdd = t.match(/^(.+?)\s*に\s*((?:[「『"“][^」』"”]+[」』"”]\s*[、,と・]?\s*)+)\s*を?\s*(?:追加|登録)/);
+  if (mSubAdd && !/プロジェクト|project/i.test(mSubAdd[1])) {
+    const items = [...mSubAdd[2].matchAll(/[「『"“]([^」』"”]+)[」』"”]/g)].map((m) => m[1].trim());
+    return { action: "add_subtasks", query: mSubAdd[1].trim(), items };
+  }
+  const mSubLabel = t.match(/^(?:サブタスク|チェックリスト)(?:追加)?[:：\s]+(.+?)\s*[:：]\s*(.+)$/);
+  if (mSubLabel) return { action: "add_subtasks", query: mSubLabel[1].trim(), items: splitQueries(mSubLabel[2]) };
+  const mSubStatus = t.match(
+    /^(.+?)\s*の\s*[「『"“](.+?)[」』"”]\s*(?:を|は|が)?\s*(完了|終わった|終わりました|済んだ|done|チェック|未完了|再開|戻す)/i
+  );
+  if (mSubStatus) {
+    const reopen = /(未完了|再開|戻す)/.test(mSubStatus[3]);
+    return { action: reopen ? "reopen_subtask" : "complete_subtask", query: mSubStatus[1].trim(), subtask_query: mSubStatus[2].trim() };
+  }
+  const mSubShow = t.match(/^(.+?)\s*の\s*(?:サブタスク|チェックリスト)(?:一覧)?$/);
+  if (mSubShow) return { action: "show_subtasks", query: mSubShow[1].trim() };
+
+  // stop recurrence ("定例資料の繰り返しを停止" / "繰り返し停止 定例資料")
+  if (/(繰り返し|繰返し|リピート|定期)/.test(t) && /(停止|止め|やめ|解除|終了|削除|オフ)/.test(t)) {
+    const title = quoted || extractQueryFromText(t, [
+      /(おーい|ボット|@?KAI\s*bot)/gi,
+      /(タスク|task)/gi,
+      /(繰り返し|繰返し|リピート|定期)/g,
+      /(停止|止める|止めて|やめる|やめて|解除|終了|削除|オフ)(して|する)?/g,
+      /(を|は|が|の|です|だ|よ|ね)(\s|$)/g,
+    ]);
+    return { action: "stop_recurrence", query: title };
+  }
+
+  // bulk by filter ("期限切れを全部完了" / "プロジェクト卒論のタスクを全部削除")
+  const bulk = parseBulkTaskCommand(t);
+  if (bulk) return bulk;
+
   // project complete/reopen/delete (status-based)
   if (/プロジェクト|project/i.test(t) && /(完了|終わった|終わりました|済んだ|done)/i.test(t)) {
     const title = quoted || t
@@ -1552,12 +3688,18 @@ function regexQuickParse(text) {
         "";
       projectTitle = String(projectTitle || "").trim();
     }
+    const mAssignee = t.match(/(?:担当|assignee)[:：\s]+([^/\n]+?)(?:\s*(?:\/|$|\n))/i);
+    const mRepeat = t.match(/(?:繰り返し|repeat)[:：\s]+([^/\n]+?)(?:\s*(?:\/|$|\n))/i);
+    const mPriorityLabel = t.match(/(?:優先度|priority)[:：\s]+([^/\n]+?)(?:\s*(?:\/|$|\n))/i);
     return {
       action: "create_task",
       title: String(mTitle[1] || "").trim(),
       due_at: mDue ? String(mDue[1] || "").trim() : "",
       status: mStatus ? String(mStatus[1] || "").trim() : "",
       project_title: projectTitle,
+      assignee_name: mAssignee ? cleanAssigneeName(mAssignee[1]) : "",
+      recurrence: mRepeat ? parseRecurrenceFromText(mRepeat[1]) : "",
+      priority: mPriorityLabel ? normalizePriority(mPriorityLabel[1]) : "",
     };
   }
 
@@ -1571,6 +3713,21 @@ function regexQuickParse(text) {
     };
   }
 
+  // create recurring task ("毎週月曜に定例資料" / "日報を平日18時に追加")
+  if (!/プロジェクト|project/i.test(t) && parseRecurrenceFromText(t)) {
+    const title = quoted || extractQueryFromText(t, [
+      /(おーい|ボット|@?KAI\s*bot)/gi,
+      RECURRENCE_PHRASE_RE,
+      /優先(?:度|順位)?\s*[:：は]?\s*(高|中|低)|(?:^|\s)P[1-3](?=\s|$)/gi,
+      /\d{1,2}[:：]\d{2}|\d{1,2}\s*時(?:\s*\d{1,2}\s*分?)?(?:まで)?/g,
+      /(タスク|task)/gi,
+      /(追加|作成|登録)(して|する)?/g,
+      /^\s*(に|の|は|で)\s*/,
+      /(\s*(を|に|の|で))+\s*$/,
+    ]);
+    if (title) return { action: "create_task", title, recurrence: parseRecurrenceFromText(t) };
+  }
+
   // create project (label)
   const pTitle = t.match(/(?:プロジェクト|project)[:：\s]+([^/\n]+?)(?:\s*(?:\/|$|\n))/i);
   if (pTitle) {
@@ -1597,6 +3754,24 @@ function regexQuickParse(text) {
     if (title) return { action: "create_project", title: String(title).trim() };
   }
 
+  // priority ("議事録の優先度を高に" / "議事録をP1に")
+  const mPriority =
+    t.match(/^(.+?)\s*の\s*優先(?:度|順位)?\s*(?:を|は)?\s*(高|中|低|high|medium|low|P[1-3])/i) ||
+    t.match(/^(.+?)\s*を\s*(P[1-3])\s*に/i);
+  if (mPriority) return { action: "set_priority", query: mPriority[1].trim(), priority: normalizePriority(mPriority[2]) };
+
+  // assign task ("議事録を田中さんに割り当て" / "議事録の担当を田中さんに変更" / "議事録の担当を外す")
+  if (!/プロジェクト|project/i.test(t) && /(割り当て|割当|アサイン|担当)/.test(t)) {
+    const mClear = t.match(/^(.+?)\s*の?\s*担当(?:者)?\s*(?:を|は)?\s*(?:外す|外して|解除|なし|無し|クリア)/);
+    if (mClear) return { action: "assign_task", query: sanitizeQuery(mClear[1]), clear_assignee: true };
+    const mAssign =
+      t.match(/^(.+?)\s*の\s*担当(?:者)?\s*を\s*(.*?)\s*に/) ||
+      t.match(/^(.+?)\s*を\s*(.*?)\s*に\s*(?:割り当て|割当|アサイン|担当)/);
+    if (mAssign) {
+      return { action: "assign_task", query: sanitizeQuery(mAssign[1]), assignee_name: cleanAssigneeName(mAssign[2]) };
+    }
+  }
+
   // update task/project (status or due)
   if (/(編集|更新|変更|修正)/.test(t)) {
     const isProject = /プロジェクト|project/i.test(t);
@@ -1662,6 +3837,13 @@ async function parseCommandFromText(text) {
       due_at: String(obj.due_at || ""),
       status: String(obj.status || ""),
       project_title: String(obj.project_title || ""),
+      assignee_name: String(obj.assignee || ""),
+      recurrence: parseRecurrenceFromText(String(obj.recurrence || "")),
+      items: Array.isArray(obj.items) ? obj.items.map((x) => String(x || "")).filter(Boolean) : [],
+      subtask_query: String(obj.subtask_query || ""),
+      priority: normalizePriority(obj.priority),
+      sort: TASK_SORTS[obj.sort] ? String(obj.sort) : "",
+      tags: Array.isArray(obj.tags) ? obj.tags.map((x) => String(x || "").replace(/^[#＃]/, "").trim()).filter(Boolean) : [],
       query: String(obj.query || ""),
     };
     if (!cmd.project_title && /プロジェクト|project/i.test(stripped)) {
@@ -1714,683 +3896,3817 @@ function buildCreatedSummary(kind, item) {
   const lines = [`${kind}を追加しました。`, `名前: ${item.title}`];
   if (item.project_title) lines.push(`プロジェクト: ${item.project_title}`);
   if (item.due_at) lines.push(`期限: ${item.due_at}`);
+  if (formatAssignee(item)) lines.push(`担当: ${formatAssignee(item)}`);
+  if (item.recurrence) lines.push(`繰り返し: ${formatRecurrenceJa(item.recurrence)}`);
+  if (formatPriorityJa(item.priority)) lines.push(`優先度: ${formatPriorityJa(item.priority)}`);
+  if (formatTags(item.tags)) lines.push(`タグ: ${formatTags(item.tags)}`);
   if (item.status) lines.push(`状態: ${formatStatusJa(item.status)}`);
   if (item.description) lines.push(`詳細: ${item.description}`);
   return lines.join("\n");
 }
 
 // =====================
-// Postback data parsing
+// Spaces (delivery targets for scheduled pushes)
 // =====================
-function parsePostbackData(data) {
-  const out = {};
-  if (!data) return out;
-  for (const part of String(data).split("&")) {
-    const [k, v] = part.split("=");
-    if (!k) continue;
-    out[decodeURIComponent(k)] = decodeURIComponent(v || "");
-  }
-  return out;
+// A space is a LINE group/room/user or a Discord guild/DM. Discord guild ids can't be
+// sent to directly, so we remember the last channel the bot was used in.
+const _spaceTouchCache = new Map();
+
+function guessPlatformFromSpaceId(spaceId) {
+  return /^[UCR][0-9a-f]{32}$/.test(String(spaceId || "")) ? "line" : "";
 }
 
-// =====================
-// Web
-// =====================
-app.get("/", (req, res) => res.status(200).send("ok"));
+async function recordSpace(spaceId, platform, channelId) {
+  if (!spaceId || !platform) return;
+  const key = `${platform}|${channelId || ""}`;
+  if (_spaceTouchCache.get(spaceId) === key) return;
 
-app.post("/line/webhook", async (req, res) => {
-  if (!verifySignature(req)) {
-    console.warn("invalid signature (LINE_CHANNEL_SECRET mismatch or bad request)");
-    return res.status(401).send("invalid signature");
+  try {
+    await getStorage().upsertSpace(String(spaceId), platform, channelId || "");
+    _spaceTouchCache.set(spaceId, key);
+  } catch (e) {
+    console.warn("recordSpace failed", e && e.message ? e.message : e);
   }
+}
 
-  const body = req.body || {};
-  const events = Array.isArray(body.events) ? body.events : [];
+async function pgUpsertSpace(spaceId, platform, channelId) {
+  const pool = await getDbPool();
+  await pool.query(
+    `INSERT INTO spaces (space_id, platform, channel_id, updated_at)
+     VALUES ($1,$2,$3,$4)
+     ON CONFLICT (space_id) DO UPDATE SET platform = EXCLUDED.platform, channel_id = EXCLUDED.channel_id, updated_at = EXCLUDED.updated_at`,
+    [spaceId, platform, channelId, new Date().toISOString()]
+  );
+}
 
-  // Respond immediately to avoid LINE timeout
-  res.status(200).send("ok");
+async function tabUpsertSpace(spaceId, platform, channelId) {
+  const values = await sheetsGetValues("Spaces!A:Z");
+  if (values.length <= 0) throw new Error("Spaces sheet is empty (need header row)");
+  const header = values[0];
+  const idx = headerIndex(header);
+  requireColumns(idx, ["space_id", "platform", "channel_id"], "Spaces");
+
+  const i = values.findIndex((r, n) => n > 0 && String(r[idx.space_id] || "").trim() === spaceId);
+  const row = i > 0 ? values[i].slice() : new Array(header.length).fill("");
+  while (row.length < header.length) row.push("");
+  row[idx.space_id] = spaceId;
+  row[idx.platform] = platform;
+  row[idx.channel_id] = channelId;
+  if (idx.updated_at !== undefined) row[idx.updated_at] = new Date().toISOString();
+  if (i > 0) await sheetsUpdateRow("Spaces", i + 1, row);
+  else await sheetsAppendRow("Spaces", row);
+}
+
+async function getSpacesById(...args) {
+  return getStorage().getSpacesById(...args);
+}
+
+async function pgGetSpacesById() {
+  const out = new Map();
+  const pool = await getDbPool();
+  const res = await pool.query("SELECT space_id, platform, channel_id FROM spaces");
+  for (const r of res.rows || []) out.set(String(r.space_id), r);
+  return out;
+}
+
+async function tabGetSpacesById() {
+  const out = new Map();
+  const values = await sheetsGetValues("Spaces!A:Z");
+  if (values.length <= 1) return out;
+  const idx = headerIndex(values[0]);
+  requireColumns(idx, ["space_id", "platform", "channel_id"], "Spaces");
+  for (const r of values.slice(1)) {
+    const sid = String(r[idx.space_id] || "").trim();
+    if (!sid) continue;
+    out.set(sid, { space_id: sid, platform: r[idx.platform] || "", channel_id: r[idx.channel_id] || "" });
+  }
+  return out;
+}
+
+async function deliverToSpace(spaceId, space, text) {
+  const platform = (space && space.platform) || guessPlatformFromSpaceId(spaceId);
+  if (platform === "line") {
+    await push(spaceId, [{ type: "text", text: text.slice(0, 5000) }]);
+    return true;
+  }
+  if (platform === "discord") {
+    const channelId = (space && space.channel_id) || "";
+    if (!channelId) return false;
+    await discordSendChannel(channelId, text.slice(0, 2000));
+    return true;
+  }
+  if (platform === "telegram") {
+    await telegramSendMessage((space && space.channel_id) || spaceId, { text: text.slice(0, 4096) });
+    return true;
+  }
+  if (platform === "slack") {
+    await slackPostMessage((space && space.channel_id) || spaceId, text.slice(0, 4000));
+    return true;
+  }
+  return false;
+}
+
+// =====================
+// Space settings (key/value per space)
+// =====================
+async function getAllSpaceSettings(...args) {
+  return getStorage().getAllSpaceSettings(...args);
+}
+
+async function pgGetAllSpaceSettings() {
+  const out = new Map();
+  const put = (sid, key, value) => {
+    if (!sid || !key) return;
+    if (!out.has(sid)) out.set(sid, {});
+    out.get(sid)[key] = value;
+  };
+
+  const pool = await getDbPool();
+  const res = await pool.query("SELECT space_id, key, value FROM space_settings");
+  for (const r of res.rows || []) put(String(r.space_id), String(r.key), String(r.value || ""));
+  return out;
+}
+
+async function tabGetAllSpaceSettings() {
+  const out = new Map();
+  const put = (sid, key, value) => {
+    if (!sid || !key) return;
+    if (!out.has(sid)) out.set(sid, {});
+    out.get(sid)[key] = value;
+  };
+
+  const values = await sheetsGetValues("Settings!A:Z");
+  if (values.length <= 1) return out;
+  const idx = headerIndex(values[0]);
+  requireColumns(idx, ["space_id", "key", "value"], "Settings");
+  for (const r of values.slice(1)) {
+    put(String(r[idx.space_id] || "").trim(), String(r[idx.key] || "").trim(), String(r[idx.value] || ""));
+  }
+  return out;
+}
+
+async function getSpaceSettings(...args) {
+  return getStorage().getSpaceSettings(...args);
+}
+
+async function pgGetSpaceSettings(spaceId) {
+  if (!spaceId) return {};
+  const pool = await getDbPool();
+  const res = await pool.query("SELECT key, value FROM space_settings WHERE space_id = $1", [String(spaceId)]);
+  return Object.fromEntries((res.rows || []).map((r) => [String(r.key), String(r.value || "")]));
+}
+
+async function tabGetSpaceSettings(spaceId) {
+  if (!spaceId) return {};
+  const all = await tabGetAllSpaceSettings();
+  return all.get(String(spaceId)) || {};
+}
+
+async function setSpaceSettings(...args) {
+  return getStorage().setSpaceSettings(...args);
+}
+
+async function pgSetSpaceSettings(spaceId, patch) {
+  if (!spaceId) return;
+  const now = new Date().toISOString();
+  const entries = Object.entries(patch || {}).map(([k, v]) => [k, v === undefined || v === null ? "" : String(v)]);
+  if (!entries.length) return;
+
+  const pool = await getDbPool();
+  for (const [key, value] of entries) {
+    await pool.query(
+      `INSERT INTO space_settings (space_id, key, value, updated_at) VALUES ($1,$2,$3,$4)
+       ON CONFLICT (space_id, key) DO UPDATE SET value = EXCLUDED.value, updated_at = EXCLUDED.updated_at`,
+      [String(spaceId), key, value, now]
+    );
+  }
+  return;
+}
+
+async function tabSetSpaceSettings(spaceId, patch) {
+  if (!spaceId) return;
+  const now = new Date().toISOString();
+  const entries = Object.entries(patch || {}).map(([k, v]) => [k, v === undefined || v === null ? "" : String(v)]);
+  if (!entries.length) return;
+
+  const values = await sheetsGetValues("Settings!A:Z");
+  if (values.length <= 0) throw new Error("Settings sheet is empty (need header row)");
+  const header = values[0];
+  const idx = headerIndex(header);
+  requireColumns(idx, ["space_id", "key", "value"], "Settings");
+
+  for (const [key, value] of entries) {
+    const i = values.findIndex(
+      (r, n) => n > 0 && String(r[idx.space_id] || "").trim() === String(spaceId) && String(r[idx.key] || "").trim() === key
+    );
+    const row = i > 0 ? values[i].slice() : new Array(header.length).fill("");
+    while (row.length < header.length) row.push("");
+    row[idx.space_id] = String(spaceId);
+    row[idx.key] = key;
+    row[idx.value] = value;
+    if (idx.updated_at !== undefined) row[idx.updated_at] = now;
+    if (i > 0) await sheetsUpdateRow("Settings", i + 1, row);
+    else await sheetsAppendRow("Settings", row);
+  }
+}
+
+// =====================
+// LLM usage (daily Vertex call counter)
+// =====================
+// One row per space, JST date and user. Rows are never pruned; a day is a handful of rows per space.
+async function addLlmUsage(...args) {
+  return getStorage().addLlmUsage(...args);
+}
+
+async function pgAddLlmUsage(spaceId, date, userId) {
+  const pool = await getDbPool();
+  await pool.query(
+    `INSERT INTO llm_usage (space_id, date, user_id, count, updated_at) VALUES ($1,$2,$3,1,$4)
+     ON CONFLICT (space_id, date, user_id) DO UPDATE SET count = llm_usage.count + 1, updated_at = EXCLUDED.updated_at`,
+    [String(spaceId), date, String(userId || ""), new Date().toISOString()]
+  );
+}
+
+async function tabAddLlmUsage(spaceId, date, userId) {
+  const now = new Date().toISOString();
+  const values = await sheetsGetValues("LlmUsage!A:Z");
+  if (values.length <= 0) throw new Error("LlmUsage sheet is empty (need header row)");
+  const header = values[0];
+  const idx = headerIndex(header);
+  requireColumns(idx, ["space_id", "date", "user_id", "count"], "LlmUsage");
+
+  const i = values.findIndex(
+    (r, n) =>
+      n > 0 &&
+      String(r[idx.space_id] || "").trim() === String(spaceId) &&
+      String(r[idx.date] || "").trim() === date &&
+      String(r[idx.user_id] || "").trim() === String(userId || "")
+  );
+  const row = i > 0 ? values[i].slice() : new Array(header.length).fill("");
+  while (row.length < header.length) row.push("");
+  row[idx.space_id] = String(spaceId);
+  row[idx.date] = date;
+  row[idx.user_id] = String(userId || "");
+  row[idx.count] = String((Number(row[idx.count]) || 0) + 1);
+  if (idx.updated_at !== undefined) row[idx.updated_at] = now;
+  if (i > 0) await sheetsUpdateRow("LlmUsage", i + 1, row);
+  else await sheetsAppendRow("LlmUsage", row);
+}
+
+// Rows for dates >= sinceDate: [{ date, user_id, count }]
+async function getLlmUsage(...args) {
+  return getStorage().getLlmUsage(...args);
+}
+
+async function pgGetLlmUsage(spaceId, sinceDate) {
+  const pool = await getDbPool();
+  const res = await pool.query("SELECT date, user_id, count FROM llm_usage WHERE space_id = $1 AND date >= $2", [String(spaceId), sinceDate]);
+  return (res.rows || []).map((r) => ({ date: String(r.date), user_id: String(r.user_id || ""), count: Number(r.count) || 0 }));
+}
+
+async function tabGetLlmUsage(spaceId, sinceDate) {
+  let values;
+  try {
+    values = await sheetsGetValues("LlmUsage!A:Z");
+  } catch (e) {
+    // A spreadsheet without the LlmUsage tab just has no usage yet.
+    console.warn("tabGetLlmUsage failed", e && e.message ? e.message : e);
+    return [];
+  }
+  if (values.length <= 1) return [];
+  const idx = headerIndex(values[0]);
+  requireColumns(idx, ["space_id", "date", "user_id", "count"], "LlmUsage");
+  return values
+    .slice(1)
+    .filter((r) => String(r[idx.space_id] || "").trim() === String(spaceId) && String(r[idx.date] || "").trim() >= sinceDate)
+    .map((r) => ({ date: String(r[idx.date]).trim(), user_id: String(r[idx.user_id] || "").trim(), count: Number(r[idx.count]) || 0 }));
+}
+
+// =====================
+// API tokens (issued from chat; used by /api/*)
+// =====================
+// One token per space. Only its sha256 is kept in space settings, so a lost token
+// can't be shown again; re-issuing replaces it.
+function hashApiToken(token) {
+  return crypto.createHash("sha256").update(String(token || "")).digest("hex");
+}
+
+async function issueApiToken(spaceId) {
+  const token = `kai_${crypto.randomBytes(24).toString("base64url")}`;
+  await setSpaceSettings(spaceId, { api_token_hash: hashApiToken(token), api_token_issued_at: new Date().toISOString() });
+  return token;
+}
+
+async function verifyApiToken(spaceId, token) {
+  if (!spaceId || !token) return false;
+  const stored = String((await getSpaceSettings(spaceId)).api_token_hash || "");
+  const computed = hashApiToken(token);
+  if (!stored || stored.length !== computed.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(computed), Buffer.from(stored));
+}
+
+async function handleApiTokenCommand({ spaceId, userId, role, cmd, send }) {
+  const denied = checkPermission("manage_api_token", { role, userId });
+  if (denied) {
+    await send(denied);
+    return;
+  }
+  if (cmd.action === "revoke_api_token") {
+    await setSpaceSettings(spaceId, { api_token_hash: "", api_token_issued_at: "" });
+    await send("APIトークンを無効にしました。");
+    return;
+  }
+  const token = await issueApiToken(spaceId);
+  await send(
+    `APIトークンを発行しました（以前のトークンは無効になります）:\n${token}\n\n` +
+      `使い方: Authorization: Bearer <トークン>\nGET /api/spaces/${spaceId}/tasks\n無効化: APIトークン無効化`
+  );
+}
+
+// =====================
+// Activity log (履歴 / 元に戻す)
+// =====================
+// Append-only. before/after hold only the fields a mutation actually changed, so
+// undo is a plain patch back to "before" (or a soft delete for creations).
+const ACTIVITY_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "due_at",
+  "done_at",
+  "project_id",
+  "deleted_at",
+  "assignee_id",
+  "assignee_name",
+  "recurrence",
+  "priority",
+  "tags",
+];
+const ACTIVITY_FIELD_LABELS = {
+  title: "タイトル",
+  description: "内容",
+  status: "状態",
+  due_at: "期限",
+  project_id: "プロジェクト",
+  assignee_name: "担当",
+  recurrence: "繰り返し",
+  priority: "優先度",
+  tags: "タグ",
+};
+const ACTIVITY_ACTION_LABELS = {
+  create: "作成",
+  update: "更新",
+  complete: "完了",
+  reopen: "未完了に戻す",
+  delete: "削除",
+  undo: "元に戻す",
+};
+
+// Display names are not stored with tasks, so remember the last one seen per user.
+const _actorNames = new Map();
+
+function rememberActorName(userId, name) {
+  if (userId && name) _actorNames.set(String(userId), String(name));
+}
+
+function diffForActivity(prev, patch) {
+  const before = {};
+  const after = {};
+  for (const key of ACTIVITY_FIELDS) {
+    if (patch[key] === undefined) continue;
+    const oldValue = prev && prev[key] !== undefined && prev[key] !== null ? String(prev[key]) : "";
+    const newValue = patch[key] === null ? "" : String(patch[key]);
+    if (oldValue === newValue) continue;
+    before[key] = oldValue;
+    after[key] = newValue;
+  }
+  return { before, after };
+}
+
+function classifyChange(patch) {
+  if (patch.status === "deleted") return "delete";
+  if (patch.status === "done") return "complete";
+  if (patch.status === "open" && patch.done_at !== undefined) return "reopen";
+  return "update";
+}
+
+async function recordActivity(item) {
+  await recordActivities([item]);
+}
+
+// One storage write for the whole list (bulk import logs every created task at once).
+async function recordActivities(list) {
+  if (!list.length) return;
+  try {
+    const now = new Date().toISOString();
+    const entries = list.map(({ spaceId, actorId, action, entityType, entityId, entityTitle, before, after }) => ({
+      activity_id: makeId("act"),
+      space_id: String(spaceId || ""),
+      actor_id: String(actorId || ""),
+      actor_name: _actorNames.get(String(actorId || "")) || "",
+      action: action || "update",
+      entity_type: entityType,
+      entity_id: String(entityId || ""),
+      entity_title: entityTitle || "",
+      before_json: before ? JSON.stringify(before) : "",
+      after_json: after ? JSON.stringify(after) : "",
+      created_at: now,
+    }));
+    await getStorage().appendActivities(entries);
+  } catch (e) {
+    console.warn("activity log failed:", e && e.message ? e.message : e);
+  }
+}
+
+const PG_ACTIVITY_COLUMNS = [
+  "activity_id",
+  "space_id",
+  "actor_id",
+  "actor_name",
+  "action",
+  "entity_type",
+  "entity_id",
+  "entity_title",
+  "before_json",
+  "after_json",
+  "created_at",
+];
+
+async function pgAppendActivities(entries) {
+  if (!entries.length) return;
+  const pool = await getDbPool();
+  const width = PG_ACTIVITY_COLUMNS.length;
+  const placeholders = entries.map((_, r) => `(${PG_ACTIVITY_COLUMNS.map((__, c) => `$${r * width + c + 1}`).join(",")})`);
+  await pool.query(
+    `INSERT INTO activity_log (${PG_ACTIVITY_COLUMNS.join(", ")}) VALUES ${placeholders.join(",")}`,
+    entries.flatMap((entry) => PG_ACTIVITY_COLUMNS.map((col) => entry[col]))
+  );
+}
+
+async function tabAppendActivities(entries) {
+  if (!entries.length) return;
+  const values = await sheetsGetValues("Activity!A:Z");
+  if (values.length <= 0) throw new Error("Activity sheet is empty (need header row)");
+  const header = values[0];
+  const idx = headerIndex(header);
+  requireColumns(idx, ["activity_id", "group_id", "action", "entity_type", "entity_id"], "Activity");
+  const rows = entries.map((entry) => {
+    const row = new Array(header.length).fill("");
+    for (const [key, value] of Object.entries(entry)) {
+      const col = key === "space_id" ? "group_id" : key;
+      if (idx[col] !== undefined) row[idx[col]] = value;
+    }
+    return row;
+  });
+  await sheetsAppendRows("Activity", rows);
+}
+
+async function logEntityChange(entityType, entityId, prev, patch, opts = {}) {
+  if (!prev) return;
+  const { before, after } = diffForActivity(prev, patch);
+  if (!Object.keys(after).length) return;
+  await recordActivity({
+    spaceId: prev.space_id || prev.group_id,
+    actorId: opts.actor,
+    action: opts.action || classifyChange(patch),
+    entityType,
+    entityId,
+    entityTitle: prev.title,
+    before,
+    after,
+  });
+}
+
+function parseActivityJson(value) {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Newest first.
+async function getActivities(...args) {
+  return getStorage().getActivities(...args);
+}
+
+async function pgGetActivities(spaceId, { limit = 10, actorId = "" } = {}) {
+  const sid = String(spaceId || "");
+  const toEntry = (r) => ({
+    activity_id: String(r.activity_id || ""),
+    space_id: sid,
+    actor_id: String(r.actor_id || ""),
+    actor_name: String(r.actor_name || ""),
+    action: String(r.action || ""),
+    entity_type: String(r.entity_type || ""),
+    entity_id: String(r.entity_id || ""),
+    entity_title: String(r.entity_title || ""),
+    before: parseActivityJson(r.before_json),
+    after: parseActivityJson(r.after_json),
+    created_at: String(r.created_at || ""),
+    undone_at: String(r.undone_at || ""),
+  });
+
+  const pool = await getDbPool();
+  const params = [sid, limit];
+  const res = await pool.query(
+    `SELECT activity_id, actor_id, actor_name, action, entity_type, entity_id, entity_title, before_json, after_json, created_at, undone_at
+     FROM activity_log
+     WHERE space_id = $1 ${actorId ? "AND actor_id = $3" : ""}
+     ORDER BY created_at DESC, activity_id DESC
+     LIMIT $2`,
+    actorId ? [...params, String(actorId)] : params
+  );
+  return (res.rows || []).map(toEntry);
+}
+
+async function tabGetActivities(spaceId, { limit = 10, actorId = "" } = {}) {
+  const sid = String(spaceId || "");
+  const toEntry = (r) => ({
+    activity_id: String(r.activity_id || ""),
+    space_id: sid,
+    actor_id: String(r.actor_id || ""),
+    actor_name: String(r.actor_name || ""),
+    action: String(r.action || ""),
+    entity_type: String(r.entity_type || ""),
+    entity_id: String(r.entity_id || ""),
+    entity_title: String(r.entity_title || ""),
+    before: parseActivityJson(r.before_json),
+    after: parseActivityJson(r.after_json),
+    created_at: String(r.created_at || ""),
+    undone_at: String(r.undone_at || ""),
+  });
+
+  const values = await sheetsGetValues("Activity!A:Z");
+  if (values.length <= 1) return [];
+  const idx = headerIndex(values[0]);
+  requireColumns(idx, ["activity_id", "group_id", "action", "entity_type", "entity_id"], "Activity");
+  const out = [];
+  for (let i = values.length - 1; i >= 1 && out.length < limit; i--) {
+    const r = values[i] || [];
+    if (String(r[idx.group_id] || "").trim() !== sid) continue;
+    const obj = Object.fromEntries(Object.entries(idx).map(([k, n]) => [k, r[n] || ""]));
+    if (actorId && obj.actor_id !== String(actorId)) continue;
+    out.push(toEntry(obj));
+  }
+  return out;
+}
+
+async function markActivityUndone(...args) {
+  return getStorage().markActivityUndone(...args);
+}
+
+async function pgMarkActivityUndone(activityId) {
+  const now = new Date().toISOString();
+  const pool = await getDbPool();
+  await pool.query("UPDATE activity_log SET undone_at = $1 WHERE activity_id = $2", [now, String(activityId)]);
+  return;
+}
+
+async function tabMarkActivityUndone(activityId) {
+  const now = new Date().toISOString();
+  const values = await sheetsGetValues("Activity!A:Z");
+  const idx = headerIndex(values[0] || []);
+  if (idx.undone_at === undefined) return;
+  const i = values.findIndex((r, n) => n > 0 && String(r[idx.activity_id] || "") === String(activityId));
+  if (i <= 0) return;
+  const row = values[i].slice();
+  while (row.length <= idx.undone_at) row.push("");
+  row[idx.undone_at] = now;
+  await sheetsUpdateRow("Activity", i + 1, row);
+}
+
+function formatActivityValue(key, value) {
+  if (!value) return "なし";
+  if (key === "status") return formatStatusJa(value);
+  if (key === "priority") return formatPriorityJa(value) || value;
+  if (key === "recurrence") return formatRecurrenceJa(value) || value;
+  if (key === "tags") return formatTags(value);
+  return value;
+}
+
+function formatActivity(a) {
+  const at = new Date(a.created_at);
+  const when = Number.isNaN(at.getTime()) ? "" : formatJst(toJstDate(at)).slice(5);
+  const who = a.actor_name || (a.actor_id ? `${a.actor_id.slice(0, 6)}…` : "(不明)");
+  const kind = a.entity_type === "project" ? "プロジェクト" : "タスク";
+  const label = ACTIVITY_ACTION_LABELS[a.action] || a.action;
+  let line = `${when} ${who}: ${kind}「${a.entity_title || a.entity_id}」を${label}`;
+  if (a.action === "update" && a.after) {
+    const changes = Object.keys(a.after)
+      .filter((k) => ACTIVITY_FIELD_LABELS[k])
+      .map((k) => `${ACTIVITY_FIELD_LABELS[k]}: ${formatActivityValue(k, (a.before || {})[k])} → ${formatActivityValue(k, a.after[k])}`);
+    if (changes.length) line += `（${changes.join(" / ")}）`;
+  }
+  if (a.undone_at) line += " ※取り消し済み";
+  return line;
+}
+
+async function handleShowHistory({ spaceId, cmd, send }) {
+  const q = sanitizeQuery(cmd.query || "");
+  let entries = await getActivities(spaceId, { limit: q ? 200 : 10 });
+  if (q) {
+    const low = q.toLowerCase();
+    entries = entries.filter((a) => a.entity_title.toLowerCase().includes(low)).slice(0, 10);
+  }
+  if (!entries.length) {
+    await send(q ? `「${q}」の履歴はありません。` : "履歴はまだありません。");
+    return;
+  }
+  await send(`最近の変更${q ? `（${q}）` : ""}:\n${entries.map(formatActivity).join("\n")}`);
+}
+
+// Reverts the most recent change made by this user in this space.
+async function handleUndo({ spaceId, userId, send }) {
+  if (!userId) {
+    await send("操作したユーザーが分からないため、元に戻せません。");
+    return;
+  }
+  const entries = await getActivities(spaceId, { limit: 20, actorId: userId });
+  const last = entries.find((a) => !a.undone_at && a.action !== "undo");
+  if (!last) {
+    await send("元に戻せる操作が見つかりませんでした。");
+    return;
+  }
+
+  const isProject = last.entity_type === "project";
+  const kind = isProject ? "プロジェクト" : "タスク";
+  const update = isProject ? sheetsUpdateProject : sheetsUpdateTask;
+  let patch = last.before;
+  if (last.action === "create") patch = { status: "deleted", deleted_at: new Date().toISOString() };
+  if (!patch || !Object.keys(patch).length) {
+    await send("この操作は元に戻せません。");
+    return;
+  }
+
+  // Refuse when someone else touched the same fields afterwards.
+  if (last.action !== "create" && last.after) {
+    const current = isProject
+      ? (await sheetsGetProjectsBySpace(spaceId, 500, { includeDeleted: true })).find((p) => p.project_id === last.entity_id)
+      : (await sheetsGetTasksBySpace(spaceId, 500, { includeDeleted: true })).find((t) => t.task_id === last.entity_id);
+    if (!current) {
+      await send(`${kind}が見つからないため元に戻せません: ${last.entity_title}`);
+      return;
+    }
+    const changed = Object.keys(last.after).some((k) => current[k] !== undefined && String(current[k] || "") !== last.after[k]);
+    if (changed) {
+      await send(`その後に別の変更があったため元に戻せません: ${last.entity_title}\n「履歴」で確認してください。`);
+      return;
+    }
+  }
+
+  await update(last.entity_id, patch, { actor: userId, action: "undo" });
+  await markActivityUndone(last.activity_id);
+  const label = ACTIVITY_ACTION_LABELS[last.action] || last.action;
+  await send(`元に戻しました: ${kind}「${last.entity_title}」の${label}`);
+}
+
+// =====================
+// Reminders (due-date notices; driven by POST /cron/reminders)
+// =====================
+const REMINDER_KINDS = [
+  { kind: "overdue", label: "期限切れ" },
+  { kind: "hour", label: "1時間前" },
+  { kind: "day", label: "1日前" },
+];
+
+function verifyCronRequest(req) {
+  if (!CRON_SECRET) return false;
+  const auth = req.get("authorization") || "";
+  const given = req.get("x-kai-cron-secret") || (auth.startsWith("Bearer ") ? auth.slice(7) : "");
+  if (!given) return false;
+  return safeEqual(given, CRON_SECRET);
+}
+
+// Only the most urgent notice applies: a task first seen 30 minutes before its
+// deadline gets "1時間前" and never a late "1日前".
+function reminderKindFor(dueAt, now = new Date()) {
+  const due = parseJstDateTime(dueAt);
+  if (!due) return "";
+  const diffMs = due.getTime() - now.getTime();
+  if (diffMs <= 0) return "overdue";
+  if (diffMs <= 60 * 60 * 1000) return "hour";
+  if (diffMs <= 24 * 60 * 60 * 1000) return "day";
+  return "";
+}
+
+async function getOpenTasksWithDue(...args) {
+  return getStorage().getOpenTasksWithDue(...args);
+}
+
+async function pgGetOpenTasksWithDue() {
+  const pool = await getDbPool();
+  const res = await pool.query(
+    `SELECT task_id, space_id, project_id, title, status, due_at
+     FROM tasks
+     WHERE due_at IS NOT NULL AND due_at <> ''
+       AND (status IS NULL OR status NOT IN ('done', 'deleted'))
+       AND (deleted_at IS NULL OR deleted_at = '')`
+  );
+  return res.rows || [];
+}
+
+async function tabGetOpenTasksWithDue() {
+  const values = await sheetsGetValues("Tasks!A:Z");
+  if (values.length <= 1) return [];
+  const idx = headerIndex(values[0]);
+  requireColumns(idx, ["task_id", "group_id", "title"], "Tasks");
+  if (idx.due_at === undefined) return [];
+
+  const out = [];
+  for (const r of values.slice(1)) {
+    const status = idx.status !== undefined ? String(r[idx.status] || "").toLowerCase() : "";
+    const dueAt = String(r[idx.due_at] || "").trim();
+    if (!dueAt || status === "done" || status === "deleted") continue;
+    if (idx.deleted_at !== undefined && String(r[idx.deleted_at] || "").trim()) continue;
+    out.push({
+      task_id: r[idx.task_id] || "",
+      space_id: String(r[idx.group_id] || "").trim(),
+      project_id: idx.project_id !== undefined ? r[idx.project_id] || "" : "",
+      title: r[idx.title] || "",
+      status,
+      due_at: dueAt,
+    });
+  }
+  return out;
+}
+
+function reminderKey(taskId, kind, dueAt) {
+  return `${taskId}|${kind}|${dueAt}`;
+}
+
+async function getSentReminderKeys(...args) {
+  return getStorage().getSentReminderKeys(...args);
+}
+
+async function pgGetSentReminderKeys(taskIds) {
+  const sent = new Set();
+  if (!taskIds.length) return sent;
+  const pool = await getDbPool();
+  const res = await pool.query("SELECT task_id, kind, due_at FROM reminder_log WHERE task_id = ANY($1)", [taskIds]);
+  for (const r of res.rows || []) sent.add(reminderKey(r.task_id, r.kind, r.due_at));
+  return sent;
+}
+
+async function tabGetSentReminderKeys(taskIds) {
+  const sent = new Set();
+  if (!taskIds.length) return sent;
+  const values = await sheetsGetValues("Reminders!A:Z");
+  if (values.length <= 0) throw new Error("Reminders sheet is empty (need header row)");
+  const idx = headerIndex(values[0]);
+  requireColumns(idx, ["task_id", "kind", "due_at"], "Reminders");
+  for (const r of values.slice(1)) {
+    sent.add(reminderKey(String(r[idx.task_id] || "").trim(), String(r[idx.kind] || "").trim(), String(r[idx.due_at] || "").trim()));
+  }
+  return sent;
+}
+
+async function markRemindersSent(...args) {
+  return getStorage().markRemindersSent(...args);
+}
+
+async function pgMarkRemindersSent(items) {
+  const now = new Date().toISOString();
+  const pool = await getDbPool();
+  for (const it of items) {
+    await pool.query(
+      `INSERT INTO reminder_log (task_id, kind, due_at, sent_at) VALUES ($1,$2,$3,$4)
+       ON CONFLICT (task_id, kind, due_at) DO NOTHING`,
+      [it.task_id, it.kind, it.due_at, now]
+    );
+  }
+  return;
+}
+
+async function tabMarkRemindersSent(items) {
+  const now = new Date().toISOString();
+  for (const it of items) {
+    await sheetsAppendRow("Reminders", [it.task_id, it.kind, it.due_at, now]);
+  }
+}
+
+function formatReminderMessage(items) {
+  const lines = ["⏰ 期限リマインダー"];
+  for (const { kind, label } of REMINDER_KINDS) {
+    const group = items.filter((it) => it.kind === kind);
+    if (!group.length) continue;
+    lines.push("", `【${label}】`);
+    for (const it of group.slice(0, 20)) lines.push(`・${it.title}（期限: ${it.due_at}）`);
+    if (group.length > 20) lines.push(`…他${group.length - 20}件`);
+  }
+  return lines.join("\n");
+}
+
+async function runReminders(now = new Date()) {
+  const tasks = await getOpenTasksWithDue();
+  const due = tasks
+    .map((t) => ({ ...t, kind: reminderKindFor(t.due_at, now) }))
+    .filter((t) => t.kind && t.space_id);
+  if (!due.length) return { spaces: 0, sent: 0 };
+
+  const sentKeys = await getSentReminderKeys(due.map((t) => String(t.task_id)));
+  const pending = due.filter((t) => !sentKeys.has(reminderKey(t.task_id, t.kind, t.due_at)));
+
+  const bySpace = new Map();
+  for (const t of pending) {
+    if (!bySpace.has(t.space_id)) bySpace.set(t.space_id, []);
+    bySpace.get(t.space_id).push(t);
+  }
+
+  const spaces = await getSpacesById();
+  const settingsBySpace = await getAllSpaceSettings();
+  let sent = 0;
+  let delivered = 0;
+  for (const [spaceId, items] of bySpace) {
+    try {
+      if (!parseSpacePrefs(settingsBySpace.get(spaceId)).reminders) {
+        // Turned off in 設定: mark them sent so switching back on doesn't replay old notices.
+        await markRemindersSent(items);
+        continue;
+      }
+      const ok = await deliverToSpace(spaceId, spaces.get(spaceId), formatReminderMessage(items));
+      if (!ok) {
+        console.warn("reminder_skip_no_target", { spaceId });
+        continue;
+      }
+      await markRemindersSent(items);
+      sent += items.length;
+      delivered += 1;
+    } catch (e) {
+      console.error("reminder delivery failed", spaceId, e);
+    }
+  }
+  return { spaces: delivered, sent };
+}
+
+// =====================
+// Digest (daily/weekly summary; driven by POST /cron/digest)
+// =====================
+const WEEKDAYS_JA = ["日", "月", "火", "水", "木", "金", "土"];
+
+function parseWeekdaysFromText(text) {
+  const t = normalizeText(text);
+  if (/(毎日|毎朝|毎晩|毎夕)/.test(t)) return [0, 1, 2, 3, 4, 5, 6];
+  if (/平日/.test(t)) return [1, 2, 3, 4, 5];
+  if (/(週末|土日)/.test(t)) return [0, 6];
+  const days = new Set();
+  const re = /([月火水木金土日])(?:曜日?|[・、,\/\sと]|(?=[月火水木金土日])|$)/g;
+  let m;
+  while ((m = re.exec(t))) days.add(WEEKDAYS_JA.indexOf(m[1]));
+  return [...days].sort((a, b) => a - b);
+}
+
+function formatWeekdaysJa(days) {
+  const list = (days || []).slice().sort((a, b) => a - b);
+  if (list.length === 7) return "毎日";
+  if (list.join(",") === "1,2,3,4,5") return "平日";
+  if (list.join(",") === "0,6") return "週末";
+  return list.map((d) => WEEKDAYS_JA[d]).join("・");
+}
+
+function parseDigestSettings(settings) {
+  const s = settings || {};
+  const days = String(s.digest_days || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter((x) => /^[0-6]$/.test(x))
+    .map(Number);
+  return {
+    enabled: s.digest_enabled === "on",
+    time: /^\d{2}:\d{2}$/.test(s.digest_time || "") ? s.digest_time : "09:00",
+    days: days.length ? days : [1, 2, 3, 4, 5],
+    lastDate: s.digest_last_date || "",
+  };
+}
+
+function isDigestDue(settings, now = new Date()) {
+  const cfg = parseDigestSettings(settings);
+  if (!cfg.enabled) return false;
+  const nowJst = toJstDate(now);
+  const [date, hhmm] = formatJst(nowJst).split(" ");
+  if (cfg.lastDate === date) return false;
+  if (!cfg.days.includes(nowJst.getUTCDay())) return false;
+  return hhmm >= cfg.time;
+}
+
+function bucketTasksForDigest(tasks, now = new Date()) {
+  const nowJst = toJstDate(now);
+  const today = formatJst(nowJst).slice(0, 10);
+  // End of this week = coming Sunday 23:59 JST (weeks start on Monday).
+  const daysToSunday = (7 - nowJst.getUTCDay()) % 7;
+  const weekEnd = formatJst(new Date(nowJst.getTime() + daysToSunday * 24 * 60 * 60 * 1000)).slice(0, 10);
+
+  const buckets = { overdue: [], today: [], week: [], later: [], none: [] };
+  for (const t of tasks) {
+    const st = String(t.status || "").toLowerCase();
+    if (st === "done" || st === "deleted") continue;
+    const due = parseJstDateTime(t.due_at);
+    if (!due) {
+      buckets.none.push(t);
+      continue;
+    }
+    const dueDate = formatJst(toJstDate(due)).slice(0, 10);
+    if (due.getTime() < now.getTime()) buckets.overdue.push(t);
+    else if (dueDate === today) buckets.today.push(t);
+    else if (dueDate <= weekEnd) buckets.week.push(t);
+    else buckets.later.push(t);
+  }
+  for (const key of Object.keys(buckets)) {
+    buckets[key].sort((a, b) => String(a.due_at || "").localeCompare(String(b.due_at || "")));
+  }
+  return buckets;
+}
+
+function formatDigest(tasks, projects, now = new Date()) {
+  const buckets = bucketTasksForDigest(tasks, now);
+  const projectTitles = new Map((projects || []).map((p) => [String(p.project_id), p.title]));
+  const sections = [
+    ["overdue", "⚠️ 期限切れ"],
+    ["today", "📌 今日が期限"],
+    ["week", "🗓 今週が期限"],
+    ["later", "来週以降"],
+    ["none", "期限なし"],
+  ];
+
+  const lines = [`📋 タスクダイジェスト（${formatJst(toJstDate(now)).slice(0, 10)}）`];
+  const openCount = Object.values(buckets).reduce((n, b) => n + b.length, 0);
+  if (!openCount) {
+    lines.push("", "未完了のタスクはありません。");
+    return lines.join("\n");
+  }
+  lines.push(`未完了: ${openCount}件 / 期限切れ: ${buckets.overdue.length}件 / 今日: ${buckets.today.length}件`);
+
+  for (const [key, label] of sections) {
+    const items = buckets[key];
+    if (!items.length) continue;
+    lines.push("", `【${label}】${items.length}件`);
+
+    const byProject = new Map();
+    for (const t of items) {
+      const title = projectTitles.get(String(t.project_id || "")) || "";
+      if (!byProject.has(title)) byProject.set(title, []);
+      byProject.get(title).push(t);
+    }
+    // Tasks without a project go last.
+    const groups = [...byProject.entries()].sort(([a], [b]) => (a === "") - (b === "") || a.localeCompare(b));
+    for (const [projectTitle, group] of groups) {
+      if (byProject.size > 1 || projectTitle) lines.push(`［${projectTitle || "プロジェクトなし"}］`);
+      for (const t of group.slice(0, 15)) {
+        lines.push(t.due_at ? `・${t.title}（${t.due_at}）` : `・${t.title}`);
+      }
+      if (group.length > 15) lines.push(`…他${group.length - 15}件`);
+    }
+  }
+  return lines.join("\n");
+}
+
+async function buildDigestForSpace(spaceId, now = new Date()) {
+  const tasks = await sheetsGetTasksBySpace(spaceId, 500);
+  const projects = await sheetsGetProjectsBySpace(spaceId, 200);
+  return formatDigest(tasks, projects, now);
+}
+
+async function runDigests(now = new Date()) {
+  const all = await getAllSpaceSettings();
+  const spaces = await getSpacesById();
+  const today = formatJst(toJstDate(now)).slice(0, 10);
+  let sent = 0;
+  for (const [spaceId, settings] of all) {
+    if (!isDigestDue(settings, now)) continue;
+    try {
+      const ok = await deliverToSpace(spaceId, spaces.get(spaceId), await buildDigestForSpace(spaceId, now));
+      if (!ok) {
+        console.warn("digest_skip_no_target", { spaceId });
+        continue;
+      }
+      await setSpaceSettings(spaceId, { digest_last_date: today });
+      sent += 1;
+    } catch (e) {
+      console.error("digest delivery failed", spaceId, e);
+    }
+  }
+  return { sent };
+}
+
+async function handleDigestCommand({ spaceId, userId, role, cmd, send }) {
+  if (cmd.action === "show_digest") {
+    await send(await buildDigestForSpace(spaceId));
+    return;
+  }
+
+  const denied = checkPermission("change_settings", { role, userId });
+  if (denied) {
+    await send(denied);
+    return;
+  }
+
+  if (!cmd.enabled) {
+    await setSpaceSettings(spaceId, { digest_enabled: "" });
+    await send("ダイジェスト配信を停止しました。");
+    return;
+  }
+
+  const current = parseDigestSettings(await getSpaceSettings(spaceId));
+  const time = cmd.time || current.time;
+  const days = cmd.days && cmd.days.length ? cmd.days : current.days;
+  await setSpaceSettings(spaceId, { digest_enabled: "on", digest_time: time, digest_days: days.join(",") });
+  await send(`ダイジェスト配信を設定しました: ${formatWeekdaysJa(days)} ${time}\n停止: ダイジェスト停止`);
+}
+
+// =====================
+// Space settings (設定: notifications, LLM quota, members, defaults)
+// =====================
+// Stored in the space_settings KV next to the digest keys:
+//   reminders_enabled "off" | (on)        llm_daily_quota  "<n>" | "" (KAI_BOT_LLM_DAILY_QUOTA)
+//   verbosity "quiet" | (normal)          default_project_id
+//   owner / admins / power_users  JSON [{ id, name }] (owner: at most one)
+// Who may change them: see Roles and permissions. Power users are not held to the quota.
+// 0 in the presets is "back to the default".
+const LLM_QUOTA_PRESETS = [0, 50, 200];
+const SETTINGS_MEMBER_KEYS = { owner: "オーナー", admins: "管理者", power_users: "パワーユーザー" };
+const VERBOSITY_LABELS = { normal: "通常", quiet: "簡潔" };
+
+function parseSettingsMembers(value) {
+  try {
+    const list = JSON.parse(value || "[]");
+    return Array.isArray(list) ? list.filter((u) => u && u.id).map((u) => ({ id: String(u.id), name: String(u.name || "") })) : [];
+  } catch {
+    return [];
+  }
+}
+
+function parseSpacePrefs(settings) {
+  const s = settings || {};
+  const quota = Math.floor(Number(s.llm_daily_quota));
+  return {
+    reminders: s.reminders_enabled !== "off",
+    digest: parseDigestSettings(s),
+    quota: quota > 0 ? quota : Math.max(0, Math.floor(LLM_DAILY_QUOTA) || 0),
+    quotaIsDefault: !(quota > 0),
+    verbosity: s.verbosity === "quiet" ? "quiet" : "normal",
+    defaultProjectId: String(s.default_project_id || ""),
+    owner: parseSettingsMembers(s.owner)[0] || null,
+    admins: parseSettingsMembers(s.admins),
+    powerUsers: parseSettingsMembers(s.power_users),
+  };
+}
+
+function memberLabel(u) {
+  return u.name || _actorNames.get(u.id) || `${u.id.slice(0, 6)}…`;
+}
+
+// The default project only applies while it still exists.
+async function getDefaultProject(spaceId, settings) {
+  const id = parseSpacePrefs(settings).defaultProjectId;
+  if (!id) return null;
+  const project = (await sheetsGetProjectsBySpace(spaceId, 500)).find((p) => String(p.project_id) === id);
+  return project && String(project.status || "").toLowerCase() !== "deleted" ? project : null;
+}
+
+// Everything the settings screen shows; rendered as Flex on LINE and as text elsewhere.
+async function buildSettingsView(spaceId) {
+  const settings = await getSpaceSettings(spaceId);
+  const prefs = parseSpacePrefs(settings);
+  const project = await getDefaultProject(spaceId, settings);
+  const usedToday = sumLlmUsage(await getLlmUsage(spaceId, jstToday()));
+  return { ...prefs, usedToday, defaultProjectTitle: project ? project.title : "" };
+}
+
+function formatSettingsLines(view) {
+  const members = (list, empty) => (list.length ? list.map(memberLabel).join("、") : empty);
+  return {
+    reminders: view.reminders ? "オン" : "オフ",
+    digest: view.digest.enabled ? `${formatWeekdaysJa(view.digest.days)} ${view.digest.time}` : "オフ",
+    quota: `${view.quota ? `${view.quota}回` : "無制限"}${view.quotaIsDefault ? "（既定）" : ""} / 本日 ${view.usedToday}回`,
+    defaultProject: view.defaultProjectTitle || "なし",
+    verbosity: VERBOSITY_LABELS[view.verbosity],
+    owner: view.owner ? memberLabel(view.owner) : "未設定",
+    admins: members(view.admins, view.owner ? "なし" : "未設定（オーナーも未設定のため全員が管理者扱い）"),
+    powerUsers: members(view.powerUsers, "なし"),
+  };
+}
+
+function formatSettingsText(view) {
+  const l = formatSettingsLines(view);
+  return [
+    "⚙️ 設定",
+    `・期限リマインダー: ${l.reminders}`,
+    `・ダイジェスト: ${l.digest}`,
+    `・1日の解析上限: ${l.quota}`,
+    `・既定のプロジェクト: ${l.defaultProject}`,
+    `・応答: ${l.verbosity}`,
+    `・オーナー: ${l.owner}`,
+    `・管理者: ${l.admins}`,
+    `・パワーユーザー: ${l.powerUsers}`,
+    "",
+    "変更例: 設定 リマインダー オフ / ダイジェスト 平日9時 / 設定 上限 100（既定に戻す: 設定 上限 既定） / 設定 既定プロジェクト 卒論 / 設定 応答 簡潔 / 設定 オーナー 自分 / 設定 管理者 @名前 / 設定 パワーユーザー 自分 削除",
+  ].join("\n");
+}
+
+// "設定" / "設定 上限 100" / "設定 管理者 @田中" ...; null when the text isn't a settings command.
+function parseSettingsCommand(text) {
+  const t = normalizeText(text);
+  if (/^(?:設定|settings)(?:画面|一覧|を?(?:表示|見せて|確認))?$/i.test(t)) return { action: "show_settings" };
+  const m = t.match(/^(?:設定|settings)\s*(?:の|で|を)?\s*(.+)$/i);
+  if (!m) return null;
+  const rest = m[1];
+  const off = /(オフ|off|停止|しない|無効)/i.test(rest);
+
+  if (/^(?:期限)?(?:リマインダー|リマインド|通知)/.test(rest)) return { action: "update_settings", key: "reminders", value: off ? "off" : "on" };
+  const quota = rest.match(/^(?:1日の)?(?:解析)?上限\s*(?:を|は)?\s*(\d+|既定|なし|無制限|解除)/);
+  if (quota) return { action: "update_settings", key: "quota", value: /^\d+$/.test(quota[1]) ? quota[1] : "" };
+  const project = rest.match(/^(?:既定|デフォルト)の?プロジェクト\s*(?:を|は)?\s*(.*)$/);
+  if (project) {
+    const title = sanitizeQuery(project[1].replace(/(に|へ)?\s*(?:する|して|変更|設定)$/, ""));
+    return { action: "update_settings", key: "default_project", value: PENDING_SKIP_RE.test(title) || /^(解除|なし)$/.test(title) ? "" : title };
+  }
+  const verbosity = rest.match(/^(?:応答|返信|詳しさ)\s*(?:を|は)?\s*(通常|簡潔|普通|短く)/);
+  if (verbosity) return { action: "update_settings", key: "verbosity", value: /^(簡潔|短く)$/.test(verbosity[1]) ? "quiet" : "normal" };
+  const member = rest.match(/^(オーナー|管理者|パワーユーザー)\s*(?:に|を|から)?\s*(.*)$/);
+  if (member) {
+    const remove = /(削除|外す|外して|解除|やめ)/.test(member[2]);
+    const name = member[2].replace(/(に|を|から)?\s*(追加|して|削除|外す|外して|解除|やめる)+\s*$/, "").trim();
+    return {
+      action: "update_settings",
+      key: Object.keys(SETTINGS_MEMBER_KEYS).find((k) => SETTINGS_MEMBER_KEYS[k] === member[1]),
+      op: remove ? "remove" : "add",
+      assignee_name: name,
+    };
+  }
+  return { action: "update_settings", key: "" };
+}
+
+// Shared by "設定 ..." commands and the LINE settings buttons. Returns the reply text.
+async function applySettingsChange({ spaceId, userId, role, change }) {
+  const prefs = parseSpacePrefs(await getSpaceSettings(spaceId));
+  const { key, value = "" } = change;
+  // Until someone owns the space an admin may claim it; after that only the owner hands it over.
+  const denied = checkPermission(key === "owner" && prefs.owner ? "change_owner" : "change_settings", { role, userId });
+  if (denied) return denied;
+
+  if (key === "owner") return changeSpaceOwner({ spaceId, prefs, change });
+
+  if (key === "reminders") {
+    await setSpaceSettings(spaceId, { reminders_enabled: value === "off" ? "off" : "on" });
+    return value === "off" ? "期限リマインダーをオフにしました。" : "期限リマインダーをオンにしました。";
+  }
+  if (key === "digest") {
+    if (value === "off") {
+      await setSpaceSettings(spaceId, { digest_enabled: "" });
+      return "ダイジェスト配信を停止しました。";
+    }
+    await setSpaceSettings(spaceId, { digest_enabled: "on", digest_time: prefs.digest.time, digest_days: prefs.digest.days.join(",") });
+    return `ダイジェスト配信をオンにしました: ${formatWeekdaysJa(prefs.digest.days)} ${prefs.digest.time}`;
+  }
+  if (key === "digest_time") {
+    if (!/^\d{2}:\d{2}$/.test(value)) return "時刻が選択されませんでした。";
+    await setSpaceSettings(spaceId, { digest_enabled: "on", digest_time: value, digest_days: prefs.digest.days.join(",") });
+    return `ダイジェスト配信を設定しました: ${formatWeekdaysJa(prefs.digest.days)} ${value}`;
+  }
+  if (key === "quota") {
+    const quota = Math.floor(Number(value)) > 0 ? String(Math.floor(Number(value))) : "";
+    await setSpaceSettings(spaceId, { llm_daily_quota: quota });
+    if (quota) return `1日の解析上限を ${quota}回 にしました。`;
+    return `1日の解析上限を既定（${LLM_DAILY_QUOTA > 0 ? `${LLM_DAILY_QUOTA}回` : "無制限"}）に戻しました。`;
+  }
+  if (key === "verbosity") {
+    const verbosity = value === "quiet" ? "quiet" : "normal";
+    await setSpaceSettings(spaceId, { verbosity });
+    return `応答を「${VERBOSITY_LABELS[verbosity]}」にしました。`;
+  }
+  if (key === "default_project") {
+    if (!value) {
+      await setSpaceSettings(spaceId, { default_project_id: "" });
+      return "既定のプロジェクトを解除しました。";
+    }
+    const projects = await sheetsGetProjectsBySpace(spaceId, 500);
+    const byId = projects.find((p) => String(p.project_id) === value);
+    const matches = byId ? [byId] : await findProjectsByQuery(spaceId, value, 200);
+    if (!matches.length) return `プロジェクトが見つかりませんでした: ${value}`;
+    if (matches.length > 1) return `複数のプロジェクトが見つかりました。名前をもう少し具体的にしてください:\n${formatProjectMatches(matches)}`;
+    await setSpaceSettings(spaceId, { default_project_id: matches[0].project_id });
+    return `既定のプロジェクトを「${matches[0].title}」にしました。プロジェクト指定のないタスクはここに入ります。`;
+  }
+  if (SETTINGS_MEMBER_KEYS[key]) {
+    const label = SETTINGS_MEMBER_KEYS[key];
+    const list = key === "admins" ? prefs.admins : prefs.powerUsers;
+    const targetId = String(change.user_id || "");
+    if (!targetId) return `${label}はメンションか「自分」で指定してください。例: 設定 ${label} @名前`;
+    const target = { id: targetId, name: change.user_name || _actorNames.get(targetId) || "" };
+    const has = list.some((u) => u.id === targetId);
+    const op = change.op === "toggle" ? (has ? "remove" : "add") : change.op;
+    if (op === "remove") {
+      if (!has) return `${memberLabel(target)}さんは${label}ではありません。`;
+      await setSpaceSettings(spaceId, { [key]: JSON.stringify(list.filter((u) => u.id !== targetId)) });
+      return `${memberLabel(target)}さんを${label}から外しました。`;
+    }
+    if (has) return `${memberLabel(target)}さんは既に${label}です。`;
+    await setSpaceSettings(spaceId, { [key]: JSON.stringify([...list, target]) });
+    const note = key === "admins" && !prefs.admins.length && !prefs.owner ? "\n今後、設定の変更やプロジェクトの削除は管理者のみができます。" : "";
+    return `${memberLabel(target)}さんを${label}にしました。${note}`;
+  }
+  return `変更できる設定が分かりません。\n\n${formatSettingsText(await buildSettingsView(spaceId))}`;
+}
+
+// The previous owner stays on as an admin so a hand-over never locks them out.
+async function changeSpaceOwner({ spaceId, prefs, change }) {
+  const targetId = String(change.user_id || "");
+  if (change.op === "remove") {
+    if (!prefs.owner) return "オーナーは設定されていません。";
+    const admins = prefs.admins.some((u) => u.id === prefs.owner.id) ? prefs.admins : [...prefs.admins, prefs.owner];
+    await setSpaceSettings(spaceId, { owner: "", admins: JSON.stringify(admins) });
+    return `オーナーを解除しました（${memberLabel(prefs.owner)}さんは管理者として残ります）。`;
+  }
+  if (!targetId) return "オーナーはメンションか「自分」で指定してください。例: 設定 オーナー @名前";
+  const target = { id: targetId, name: change.user_name || _actorNames.get(targetId) || "" };
+  if (prefs.owner && prefs.owner.id === targetId) return `${memberLabel(target)}さんは既にオーナーです。`;
+  const admins = prefs.admins.filter((u) => u.id !== targetId);
+  if (prefs.owner && !admins.some((u) => u.id === prefs.owner.id)) admins.push(prefs.owner);
+  await setSpaceSettings(spaceId, { owner: JSON.stringify([target]), admins: JSON.stringify(admins) });
+  const note = prefs.owner || prefs.admins.length ? "" : "\n今後、設定の変更やプロジェクトの削除は管理者以上のみができます。";
+  return `${memberLabel(target)}さんをオーナーにしました。${note}`;
+}
+
+async function handleSettingsCommand({ spaceId, userId, role, cmd, send, emit }) {
+  if (cmd.action === "update_settings") {
+    const change = { key: cmd.key, value: cmd.value, op: cmd.op, user_id: cmd.assignee_id, user_name: cmd.assignee_name };
+    await send(await applySettingsChange({ spaceId, userId, role, change }));
+    return;
+  }
+  const view = await buildSettingsView(spaceId);
+  await emit({ type: "settings", text: formatSettingsText(view), view });
+}
+
+// =====================
+// Roles and permissions
+// =====================
+// owner > admin > member, per space. Owner and admins are kept in space settings
+// ("設定 オーナー / 管理者 @名前"); in Discord guilds the server owner and members with
+// Administrator / Manage Server also count (discordRoleFromPermissions).
+// A space nobody has been given an owner or admin in, on a platform that can't tell us
+// (LINE / Slack / Telegram / DMs), treats everyone as admin, as before roles existed.
+// The REST API is authorised by the space's token and isn't checked here, so issuing or
+// revoking that token is admin-only (manage_api_token).
+const ROLE_RANK = { member: 0, admin: 1, owner: 2 };
+const ROLE_LABELS = { owner: "オーナー", admin: "管理者", member: "メンバー" };
+
+// min: lowest role allowed. creator: whoever created the task/project may do it as well.
+const PERMISSION_RULES = {
+  delete_task: { min: "admin", creator: true, message: "タスクを削除できるのは作成者か管理者のみです" },
+  update_project: { min: "admin", creator: true, message: "プロジェクトを変更できるのは作成者か管理者のみです" },
+  delete_project: { min: "admin", message: "プロジェクトを削除できるのは管理者のみです" },
+  change_settings: { min: "admin", message: "設定を変更できるのは管理者のみです" },
+  change_owner: { min: "owner", message: "オーナーを変更できるのはオーナーのみです" },
+  show_usage: { min: "admin", message: "解析の使用量を確認できるのは管理者のみです" },
+  manage_api_token: { min: "admin", message: "APIトークンを発行・無効化できるのは管理者のみです" },
+};
+
+// platformRole: what the chat platform says ("owner" / "admin" / "member"), "" when it can't tell.
+function resolveRole(settings, userId, platformRole = "") {
+  const prefs = parseSpacePrefs(settings);
+  const id = String(userId || "");
+  const configured = prefs.owner && prefs.owner.id === id ? "owner" : prefs.admins.some((u) => u.id === id) ? "admin" : "";
+  const best = [configured, platformRole].filter((r) => ROLE_RANK[r] !== undefined).sort((a, b) => ROLE_RANK[b] - ROLE_RANK[a])[0];
+  if (best) return best;
+  return prefs.owner || prefs.admins.length ? "member" : "admin";
+}
+
+// "" when allowed, otherwise the reply explaining why not. `item` is the task/project acted on.
+function checkPermission(action, { role, userId }, item = null) {
+  const rule = PERMISSION_RULES[action];
+  if (!rule || ROLE_RANK[role] >= ROLE_RANK[rule.min]) return "";
+  if (rule.creator && item && item.created_by && String(item.created_by) === String(userId)) return "";
+  return `${rule.message}（あなた: ${ROLE_LABELS[role] || ROLE_LABELS.member}）${item && item.title ? `: ${item.title}` : "。"}`;
+}
+
+// "役割": who holds which role and what each may do.
+async function handleRolesCommand({ spaceId, role, send }) {
+  const prefs = parseSpacePrefs(await getSpaceSettings(spaceId));
+  const unmanaged = !prefs.owner && !prefs.admins.length;
+  await send(
+    [
+      "👥 役割",
+      `・オーナー: ${prefs.owner ? memberLabel(prefs.owner) : "未設定"}`,
+      `・管理者: ${prefs.admins.length ? prefs.admins.map(memberLabel).join("、") : "なし"}`,
+      `・あなた: ${ROLE_LABELS[role] || ROLE_LABELS.member}${unmanaged && role === "admin" ? "（オーナー・管理者が未設定のため全員が管理者扱い）" : ""}`,
+      "",
+      "メンバー: タスクの追加・更新、自分が作ったタスク・プロジェクトの削除や変更",
+      "管理者: 上記に加えて、すべてのタスクの削除、プロジェクトの変更・削除、設定の変更（ダイジェスト・共有リンクの無効化を含む）、APIトークンの発行、使用量の確認",
+      "オーナー: 上記に加えて、オーナーの引き継ぎ",
+      "Discord ではサーバー管理の権限を持つ人も管理者として扱います。",
+      "変更: 設定 オーナー @名前 / 設定 管理者 @名前 / 設定 管理者 @名前 削除",
+    ].join("\n")
+  );
+}
+
+// =====================
+// LLM rate limits and daily quota (Vertex parses)
+// =====================
+// Only messages the template/regex fast path misses reach Vertex. Each one must pass the
+// user's and the space's token buckets and the space's daily quota; otherwise the reply
+// falls back to the keyword guess (inferIntentFromText / buildUnknownResponse).
+// Power users skip the daily quota but not the buckets, which only stop bursts.
+const _llmBuckets = new Map(); // "user:<space>:<user>" | "space:<space>" -> { tokens, at }
+
+function parseRateSpec(spec) {
+  const m = String(spec || "").match(/^\s*(\d+)\s*\/\s*(\d+)\s*$/);
+  if (!m || !Number(m[1]) || !Number(m[2])) return null;
+  return { capacity: Number(m[1]), perMs: Number(m[1]) / (Number(m[2]) * 1000) };
+}
+
+// limits: [[key, spec], ...]. Takes one token from every bucket or from none;
+// returns 0 on success, otherwise the ms until all of them have one.
+function takeRateTokens(limits, now = Date.now()) {
+  const buckets = [];
+  let waitMs = 0;
+  for (const [key, spec] of limits) {
+    const rate = parseRateSpec(spec);
+    if (!rate) continue;
+    const b = _llmBuckets.get(key) || { tokens: rate.capacity, at: now };
+    b.tokens = Math.min(rate.capacity, b.tokens + (now - b.at) * rate.perMs);
+    b.at = now;
+    _llmBuckets.set(key, b);
+    if (b.tokens < 1) waitMs = Math.max(waitMs, Math.ceil((1 - b.tokens) / rate.perMs));
+    buckets.push(b);
+  }
+  if (waitMs) return waitMs;
+  for (const b of buckets) b.tokens -= 1;
+  return 0;
+}
+
+function jstToday(now = new Date()) {
+  return formatJst(toJstDate(now)).slice(0, 10);
+}
+
+function sumLlmUsage(rows) {
+  return rows.reduce((n, r) => n + r.count, 0);
+}
+
+// { ok: true } after counting the call, or { ok: false, message } to show instead of parsing.
+async function checkLlmAllowance(spaceId, userId, settings) {
+  const prefs = parseSpacePrefs(settings);
+  const today = jstToday();
+  const powerUser = prefs.powerUsers.some((u) => u.id === String(userId));
+  if (prefs.quota && !powerUser) {
+    const used = sumLlmUsage(await getLlmUsage(spaceId, today));
+    if (used >= prefs.quota) {
+      return { ok: false, message: `本日の解析上限（${prefs.quota}回）に達しました。定型の言い方（例: ‘タスク一覧’ / ‘議事録を完了’）は引き続き使えます。` };
+    }
+  }
+  const waitMs = takeRateTokens([
+    [`user:${spaceId}:${userId}`, LLM_RATE_USER],
+    [`space:${spaceId}`, LLM_RATE_SPACE],
+  ]);
+  if (waitMs) {
+    return { ok: false, message: `解析の回数が多すぎます。${Math.ceil(waitMs / 1000)}秒ほど待ってからもう一度どうぞ（定型の言い方はそのまま使えます）。` };
+  }
+  try {
+    await addLlmUsage(spaceId, today, userId);
+  } catch (e) {
+    // Losing one count is better than refusing the message.
+    console.warn("addLlmUsage failed", e && e.message ? e.message : e);
+  }
+  return { ok: true };
+}
+
+// "使用量": today's calls by user and the last 7 days. Admins only.
+async function handleUsageCommand({ spaceId, userId, role, settings, send }) {
+  const prefs = parseSpacePrefs(settings);
+  const denied = checkPermission("show_usage", { role, userId });
+  if (denied) {
+    await send(denied);
+    return;
+  }
+  const now = new Date();
+  const today = jstToday(now);
+  const days = [...Array(7)].map((_, i) => jstToday(new Date(now.getTime() - (6 - i) * 24 * 60 * 60 * 1000)));
+  const rows = await getLlmUsage(spaceId, days[0]);
+  const todayRows = rows.filter((r) => r.date === today).sort((a, b) => b.count - a.count);
+  const used = sumLlmUsage(todayRows);
+
+  const lines = [`📊 解析（AI）の使用量（${today}）`];
+  lines.push(prefs.quota ? `本日: ${used}回 / 上限 ${prefs.quota}回（残り ${Math.max(0, prefs.quota - used)}回）` : `本日: ${used}回（上限なし）`);
+  if (todayRows.length) {
+    lines.push("", "【本日の内訳】");
+    for (const r of todayRows) lines.push(`・${r.user_id ? memberLabel({ id: r.user_id, name: "" }) : "(不明)"}: ${r.count}回`);
+  }
+  lines.push("", "【直近7日】");
+  for (const d of days) lines.push(`・${d.slice(5).replace("-", "/")}: ${sumLlmUsage(rows.filter((r) => r.date === d))}回`);
+  lines.push("", `回数制限: 1人 ${LLM_RATE_USER.replace("/", "回/")}秒・全体 ${LLM_RATE_SPACE.replace("/", "回/")}秒`);
+  await send(lines.join("\n"));
+}
+
+// =====================
+// Priority / sort order
+// =====================
+const PRIORITY_LABELS_JA = { high: "高", medium: "中", low: "低" };
+
+// Unset priority ranks like "medium" so it neither floats above nor sinks below normal work.
+const PRIORITY_RANK = { high: 0, medium: 1, "": 1, low: 2 };
+
+function normalizePriority(value) {
+  const v = normalizeText(value).toLowerCase();
+  if (!v) return "";
+  if (/^(high|高|p1|最優先|緊急)$/.test(v)) return "high";
+  if (/^(medium|mid|中|p2|普通|通常)$/.test(v)) return "medium";
+  if (/^(low|低|p3|後回し)$/.test(v)) return "low";
+  return "";
+}
+
+function parsePriorityFromText(text) {
+  const t = normalizeText(text);
+  const m = t.match(/優先(?:度|順位)?\s*[:：は]?\s*(高|中|低|high|medium|low)/i) || t.match(/(?:^|[\s(（])(P[1-3])(?=$|[\s)）])/i);
+  return m ? normalizePriority(m[1]) : "";
+}
+
+function formatPriorityJa(priority) {
+  return PRIORITY_LABELS_JA[String(priority || "").toLowerCase()] || "";
+}
+
+// Each sort has a SQL ORDER BY and a JS comparator that must agree, so the
+// Postgres and Sheets paths return the same order.
+const DUE_EMPTY_SQL = "(CASE WHEN due_at IS NULL OR due_at = '' THEN 1 ELSE 0 END)";
+const TASK_SORTS = {
+  created: { label: "作成順", sql: "created_at ASC" },
+  newest: { label: "新しい順", sql: "created_at DESC" },
+  due: { label: "期限順", sql: `${DUE_EMPTY_SQL}, due_at ASC, created_at ASC` },
+  priority: {
+    label: "優先度順",
+    sql: `(CASE priority WHEN 'high' THEN 0 WHEN 'low' THEN 2 ELSE 1 END), ${DUE_EMPTY_SQL}, due_at ASC, created_at ASC`,
+  },
+};
+
+function compareTasksBy(sort) {
+  const str = (v) => String(v || "");
+  const byCreated = (a, b) => str(a.created_at).localeCompare(str(b.created_at));
+  const byDue = (a, b) => (!a.due_at - !b.due_at) || str(a.due_at).localeCompare(str(b.due_at)) || byCreated(a, b);
+  if (sort === "newest") return (a, b) => byCreated(b, a);
+  if (sort === "due") return byDue;
+  if (sort === "priority") {
+    const rank = (t) => PRIORITY_RANK[str(t.priority).toLowerCase()] ?? 1;
+    return (a, b) => rank(a) - rank(b) || byDue(a, b);
+  }
+  return byCreated;
+}
+
+const SORT_PHRASE_RE = /(期限|締切|締め切り|優先度|優先|新しい|新着|古い|作成|登録)(?:が近い)?\s*順(?:で|に)?/;
+
+function parseSortFromText(text) {
+  const m = normalizeText(text).match(SORT_PHRASE_RE);
+  if (!m) return "";
+  if (/期限|締切|締め切り/.test(m[1])) return "due";
+  if (/優先/.test(m[1])) return "priority";
+  if (/新しい|新着/.test(m[1])) return "newest";
+  return "created";
+}
+
+function applyPriority(cmd, text) {
+  if (!cmd || cmd.action !== "create_task") return cmd;
+  cmd.priority = normalizePriority(cmd.priority) || parsePriorityFromText(text);
+  return cmd;
+}
+
+async function handleSetPriority({ spaceId, userId, cmd, send }) {
+  const priority = normalizePriority(cmd.priority);
+  if (!priority) {
+    await send("優先度が分かりません。高/中/低 または P1〜P3 で指定してください。例: 議事録の優先度を高に");
+    return;
+  }
+  const task = await findSingleTask(spaceId, cmd.task_id || cmd.query, send);
+  if (!task) return;
+  await sheetsUpdateTask(task.task_id, { priority }, { actor: userId });
+  await send(`優先度を${formatPriorityJa(priority)}にしました: ${task.title}`);
+}
+
+// =====================
+// Tags (#会計 #急ぎ)
+// =====================
+// Stored space-separated without "#". "<#123>" (Discord channel) and "C#" are not tags.
+const TAG_RE = /(?<![\w<&])[#＃]([^\s#＃、,，。.!！?？「」『』()（）<>]+)/g;
+
+function parseTagsFromText(text) {
+  const out = [];
+  for (const m of String(text || "").matchAll(TAG_RE)) {
+    const tag = m[1].trim();
+    if (tag && !out.some((x) => x.toLowerCase() === tag.toLowerCase())) out.push(tag);
+  }
+  return out;
+}
+
+function stripTagsFromText(text) {
+  return String(text || "").replace(TAG_RE, " ").replace(/\s+/g, " ").trim();
+}
+
+function splitTagsValue(value) {
+  return String(value || "")
+    .split(/[\s,，、]+/)
+    .map((x) => x.replace(/^[#＃]/, "").trim())
+    .filter(Boolean);
+}
+
+function mergeTags(current, add = [], remove = []) {
+  const drop = new Set(remove.map((x) => x.toLowerCase()));
+  const out = [];
+  for (const tag of [...splitTagsValue(current), ...add]) {
+    if (drop.has(tag.toLowerCase())) continue;
+    if (!out.some((x) => x.toLowerCase() === tag.toLowerCase())) out.push(tag);
+  }
+  return out.join(" ");
+}
+
+function formatTags(value) {
+  return splitTagsValue(value)
+    .map((x) => `#${x}`)
+    .join(" ");
+}
+
+function filterByTags(items, tags) {
+  if (!tags || !tags.length) return items;
+  const want = tags.map((x) => x.toLowerCase());
+  return items.filter((it) => {
+    const have = splitTagsValue(it.tags).map((x) => x.toLowerCase());
+    return want.every((x) => have.includes(x));
+  });
+}
+
+// Attach hashtags from the message and make sure they never leak into titles/queries.
+function applyTags(cmd, text) {
+  if (!cmd) return cmd;
+  const tags = parseTagsFromText(text);
+  if (tags.length && !(cmd.tags && cmd.tags.length)) cmd.tags = tags;
+  for (const key of ["title", "new_title", "query", "project_title"]) {
+    if (cmd[key]) cmd[key] = stripTagsFromText(cmd[key]);
+  }
+  return cmd;
+}
+
+async function handleTagCommand({ spaceId, userId, cmd, send }) {
+  const tags = cmd.tags || [];
+  const isProject = cmd.target_type === "project";
+  const kind = isProject ? "プロジェクト" : "タスク";
+  if (!tags.length) {
+    await send("タグが分かりません。例: 議事録に #会計 を付けて / 議事録から #急ぎ を外す");
+    return;
+  }
+  const q = sanitizeQuery(String(cmd.query || "").replace(/(タスク|task|プロジェクト|project)/gi, " "));
+  if (!q) {
+    await send(`どの${kind}か分かりません。例: 議事録に #会計 を付けて`);
+    return;
+  }
+  const matches = isProject ? await findProjectsByQuery(spaceId, q, 200) : await findTasksByQuery(spaceId, q, 200);
+  if (!matches.length) {
+    await send(`一致する${kind}が見つかりませんでした: ${q}`);
+    return;
+  }
+  if (matches.length > 1) {
+    const list = isProject ? formatProjectMatches(matches) : formatTaskMatches(matches);
+    await send(`複数見つかりました。より具体的に教えてください:\n${list}`);
+    return;
+  }
+
+  const target = matches[0];
+  const next = cmd.action === "remove_tags" ? mergeTags(target.tags, [], tags) : mergeTags(target.tags, tags);
+  if (isProject) await sheetsUpdateProject(target.project_id, { tags: next }, { actor: userId });
+  else await sheetsUpdateTask(target.task_id, { tags: next }, { actor: userId });
+  await send(`タグを更新しました: ${target.title}\nタグ: ${formatTags(next) || "なし"}`);
+}
+
+async function buildProjectListText(spaceId, cmd = {}) {
+  const tags = cmd.tags || [];
+  if (!tags.length) return formatProjectList(await sheetsGetProjectsBySpace(spaceId, 50));
+  const projects = filterByTags(await sheetsGetProjectsBySpace(spaceId, 500), tags).slice(0, 50);
+  const label = tags.map((x) => `#${x}`).join(" ");
+  if (!projects.length) return `${label} のプロジェクトはありません。`;
+  return `タグ: ${label}\n\n${formatProjectList(projects)}`;
+}
+
+// =====================
+// Subtasks (checklist items under a task)
+// =====================
+function groupSubtasksByTask(subtasks) {
+  const out = new Map();
+  for (const s of subtasks || []) {
+    const key = String(s.task_id || "");
+    if (!out.has(key)) out.set(key, []);
+    out.get(key).push(s);
+  }
+  return out;
+}
+
+function formatSubtaskProgress(items) {
+  if (!items || !items.length) return "";
+  const done = items.filter((s) => String(s.status || "").toLowerCase() === "done").length;
+  return `${done}/${items.length}`;
+}
+
+function formatSubtaskList(task, items) {
+  if (!items.length) return `${task.title} にサブタスクはありません。例: ${task.title}に『録音確認』『要約』を追加`;
+  const lines = [`${task.title} のサブタスク（${formatSubtaskProgress(items)}）`];
+  for (const s of items) {
+    lines.push(`${String(s.status || "").toLowerCase() === "done" ? "☑" : "☐"} ${s.title}`);
+  }
+  return lines.join("\n");
+}
+
+async function findSingleTask(spaceId, query, send) {
+  const q = sanitizeQuery(String(query || "").replace(/(タスク|task)/gi, " "));
+  if (!q) {
+    await send("どのタスクか分かりません。例: 議事録に『録音確認』『要約』を追加");
+    return null;
+  }
+  const matches = await findTasksByQuery(spaceId, q, 200);
+  if (!matches.length) {
+    await send(`一致するタスクが見つかりませんでした: ${q}`);
+    return null;
+  }
+  if (matches.length > 1) {
+    const exact = matches.filter((t) => String(t.title || "") === q);
+    if (exact.length === 1) return exact[0];
+    await send(`複数見つかりました。より具体的に教えてください:\n${formatTaskMatches(matches)}`);
+    return null;
+  }
+  return matches[0];
+}
+
+async function getSubtasksForTask(spaceId, taskId) {
+  const all = await sheetsGetSubtasksBySpace(spaceId);
+  return all.filter((s) => String(s.task_id) === String(taskId));
+}
+
+async function handleAddSubtasks({ spaceId, userId, cmd, send }) {
+  const titles = (cmd.items || []).map((x) => normalizeText(x)).filter(Boolean);
+  if (!titles.length) {
+    await send("追加する項目が分かりません。例: 議事録に『録音確認』『要約』を追加");
+    return;
+  }
+  const task = await findSingleTask(spaceId, cmd.task_id || cmd.query, send);
+  if (!task) return;
+
+  await sheetsAppendSubtasks({ spaceId, task_id: task.task_id, titles, created_by: userId });
+  const items = await getSubtasksForTask(spaceId, task.task_id);
+  await send(`サブタスクを追加しました: ${titles.join("、")}\n\n${formatSubtaskList(task, items)}`);
+}
+
+async function handleShowSubtasks({ spaceId, cmd, send }) {
+  const task = await findSingleTask(spaceId, cmd.task_id || cmd.query, send);
+  if (!task) return;
+  await send(formatSubtaskList(task, await getSubtasksForTask(spaceId, task.task_id)));
+}
+
+async function handleSubtaskStatus({ spaceId, userId, cmd, send }) {
+  const task = await findSingleTask(spaceId, cmd.task_id || cmd.query, send);
+  if (!task) return;
+  const items = await getSubtasksForTask(spaceId, task.task_id);
+  const q = sanitizeQuery(cmd.subtask_query || "").toLowerCase();
+  const matches = items.filter((s) => String(s.title || "").toLowerCase().includes(q));
+  const exact = matches.filter((s) => String(s.title || "").toLowerCase() === q);
+  const targets = exact.length === 1 ? exact : matches;
+  if (!q || !targets.length) {
+    await send(`一致するサブタスクが見つかりませんでした。\n\n${formatSubtaskList(task, items)}`);
+    return;
+  }
+  if (targets.length > 1) {
+    await send(`複数見つかりました。より具体的に教えてください:\n${targets.map((s) => `・${s.title}`).join("\n")}`);
+    return;
+  }
+
+  const done = cmd.action === "complete_subtask";
+  const target = targets[0];
+  await sheetsUpdateSubtask(target.subtask_id, done ? { status: "done", done_at: new Date().toISOString() } : { status: "open", done_at: "" });
+  target.status = done ? "done" : "open";
+  await send(`${done ? "チェックしました" : "未完了に戻しました"}: ${target.title}\n\n${formatSubtaskList(task, items)}`);
+
+  const allDone = items.every((s) => String(s.status || "").toLowerCase() === "done");
+  const taskOpen = !["done", "deleted"].includes(String(task.status || "").toLowerCase());
+  if (done && allDone && taskOpen) {
+    const settings = await getSpaceSettings(spaceId);
+    if (settings.subtask_auto_complete === "off") return;
+    await sheetsUpdateTask(task.task_id, { status: "done", done_at: new Date().toISOString() }, { actor: userId });
+    await send(`すべてのサブタスクが完了したため、タスクを完了にしました: ${task.title}`);
+    const nextDue = await spawnNextRecurrence(spaceId, task, userId);
+    if (nextDue) await send(`次回分を作成しました: ${task.title}（期限: ${nextDue}）`);
+  }
+}
+
+async function handleSubtaskAutoComplete({ spaceId, userId, role, cmd, send }) {
+  const denied = checkPermission("change_settings", { role, userId });
+  if (denied) {
+    await send(denied);
+    return;
+  }
+  await setSpaceSettings(spaceId, { subtask_auto_complete: cmd.enabled ? "on" : "off" });
+  await send(
+    cmd.enabled
+      ? "サブタスクがすべて完了したら親タスクも自動で完了にします。"
+      : "サブタスクがすべて完了しても親タスクは自動で完了にしません。"
+  );
+}
+
+// =====================
+// Recurrence (repeating tasks)
+// =====================
+// Rule strings stored in tasks.recurrence:
+//   daily / weekdays / weekly:1,4 / biweekly:1 / monthly:15 / monthly:last
+// Weekday numbers follow Date#getUTCDay (0 = 日).
+const RECURRENCE_PHRASE_RE =
+  /(毎月末|毎月\s*\d{1,2}\s*日|(?:毎週|隔週)\s*(?:[月火水木金土日](?:曜日?)?[・、,\/と]?)*|毎平日|平日|毎日|毎朝|毎晩)/g;
+
+function parseRecurrenceFromText(text, now = new Date()) {
+  const t = normalizeText(text);
+  if (!t) return "";
+  if (/毎月末/.test(t)) return "monthly:last";
+  const mMonthly = t.match(/毎月\s*(\d{1,2})\s*日/);
+  if (mMonthly) return `monthly:${Math.min(31, Math.max(1, Number(mMonthly[1])))}`;
+
+  const mWeekly = t.match(/(毎週|隔週)\s*((?:[月火水木金土日](?:曜日?)?[・、,\/と]?)*)/);
+  if (mWeekly) {
+    let days = mWeekly[2] ? parseWeekdaysFromText(mWeekly[2]) : [];
+    if (!days.length) days = [toJstDate(now).getUTCDay()];
+    return `${mWeekly[1] === "隔週" ? "biweekly" : "weekly"}:${days.join(",")}`;
+  }
+  if (/平日/.test(t)) return "weekdays";
+  if (/(毎日|毎朝|毎晩)/.test(t)) return "daily";
+  return "";
+}
+
+function parseRecurrenceRule(rule) {
+  const [type, arg = ""] = String(rule || "").split(":");
+  if (type === "daily" || type === "weekdays") return { type };
+  if (type === "weekly" || type === "biweekly") {
+    const days = arg
+      .split(",")
+      .filter((x) => /^[0-6]$/.test(x))
+      .map(Number);
+    return days.length ? { type, days } : null;
+  }
+  if (type === "monthly") {
+    if (arg === "last") return { type, day: "last" };
+    const day = Number(arg);
+    return day >= 1 && day <= 31 ? { type, day } : null;
+  }
+  return null;
+}
+
+function formatRecurrenceJa(rule) {
+  const r = parseRecurrenceRule(rule);
+  if (!r) return "";
+  if (r.type === "daily") return "毎日";
+  if (r.type === "weekdays") return "平日";
+  if (r.type === "weekly") return `毎週${r.days.map((d) => WEEKDAYS_JA[d]).join("・")}`;
+  if (r.type === "biweekly") return `隔週${r.days.map((d) => WEEKDAYS_JA[d]).join("・")}`;
+  return r.day === "last" ? "毎月末" : `毎月${r.day}日`;
+}
+
+// Monday-based week number since the epoch (1970-01-01 was a Thursday).
+function jstWeekIndex(dayJst) {
+  const dayNumber = Math.floor(dayJst.getTime() / (24 * 60 * 60 * 1000));
+  return Math.floor((dayNumber + 3) / 7);
+}
+
+function recurrenceMatchesDay(r, dayJst, anchorJst) {
+  const wd = dayJst.getUTCDay();
+  if (r.type === "daily") return true;
+  if (r.type === "weekdays") return wd >= 1 && wd <= 5;
+  if (r.type === "weekly") return r.days.includes(wd);
+  if (r.type === "biweekly") {
+    if (!r.days.includes(wd)) return false;
+    return !anchorJst || (jstWeekIndex(dayJst) - jstWeekIndex(anchorJst)) % 2 === 0;
+  }
+  const lastDay = new Date(Date.UTC(dayJst.getUTCFullYear(), dayJst.getUTCMonth() + 1, 0)).getUTCDate();
+  const target = r.day === "last" ? lastDay : Math.min(r.day, lastDay);
+  return dayJst.getUTCDate() === target;
+}
+
+// Next due_at strictly after `now`. Candidates start the day after `fromDueAt`
+// (keeping its time of day), or today when there is no previous due date.
+function nextRecurrenceDueAt(rule, fromDueAt, now = new Date(), time = null) {
+  const r = parseRecurrenceRule(rule);
+  if (!r) return "";
+  const from = parseJstDateTime(fromDueAt);
+  const anchorJst = from ? toJstDate(from) : null;
+  const baseJst = anchorJst || toJstDate(now);
+  const tm = time || (anchorJst ? { hour: anchorJst.getUTCHours(), minute: anchorJst.getUTCMinutes() } : { hour: 18, minute: 0 });
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  const startDay = Date.UTC(baseJst.getUTCFullYear(), baseJst.getUTCMonth(), baseJst.getUTCDate()) + (anchorJst ? dayMs : 0);
+  for (let i = 0; i < 800; i++) {
+    const dayJst = new Date(startDay + i * dayMs);
+    if (!recurrenceMatchesDay(r, dayJst, anchorJst)) continue;
+    const dueJst = new Date(Date.UTC(dayJst.getUTCFullYear(), dayJst.getUTCMonth(), dayJst.getUTCDate(), tm.hour, tm.minute));
+    if (dueJst.getTime() - 9 * 60 * 60 * 1000 <= now.getTime()) continue;
+    return formatJst(dueJst);
+  }
+  return "";
+}
+
+// Attach a recurrence rule (and a first due date) to create_task commands.
+function applyRecurrence(cmd, text, now = new Date()) {
+  if (!cmd || cmd.action !== "create_task") return cmd;
+  if (!cmd.recurrence) cmd.recurrence = parseRecurrenceFromText(text, now);
+  if (cmd.recurrence && !cmd.due_at) {
+    cmd.due_at = nextRecurrenceDueAt(cmd.recurrence, "", now, parseTimeFromText(text));
+  }
+  return cmd;
+}
+
+// Called after a task is marked done: clear the rule on the finished instance and
+// create the next one. Returns the new due_at ("" if the task doesn't repeat).
+async function spawnNextRecurrence(spaceId, task, userId) {
+  if (!task || !parseRecurrenceRule(task.recurrence)) return "";
+  const dueAt = nextRecurrenceDueAt(task.recurrence, task.due_at);
+  if (!dueAt) return "";
+  await sheetsUpdateTask(task.task_id, { recurrence: "" }, { actor: userId });
+  const nextId = await sheetsAppendTask({
+    spaceId,
+    project_id: task.project_id || "",
+    title: task.title,
+    description: task.description || "",
+    status: "open",
+    due_at: dueAt,
+    created_by: userId || task.created_by || "",
+    assignee_id: task.assignee_id || "",
+    assignee_name: task.assignee_name || "",
+    recurrence: task.recurrence,
+    priority: task.priority || "",
+    tags: task.tags || "",
+  });
+  const subtasks = (await loadSubtasksByTask(spaceId)).get(String(task.task_id)) || [];
+  if (subtasks.length) {
+    await sheetsAppendSubtasks({ spaceId, task_id: nextId, titles: subtasks.map((s) => s.title), created_by: userId || "" });
+  }
+  return dueAt;
+}
+
+async function handleStopRecurrence({ spaceId, userId, cmd, send }) {
+  const q = cmd.task_id || cmd.query || cmd.title;
+  if (!q) {
+    await send("繰り返しを止めるタスクが見つかりません。例: 定例資料の繰り返しを停止");
+    return;
+  }
+  const matches = (await findTasksByQuery(spaceId, sanitizeQuery(q), 200)).filter((t) => t.recurrence);
+  if (!matches.length) {
+    await send("一致する繰り返しタスクが見つかりませんでした。");
+    return;
+  }
+  if (matches.length > 1) {
+    await send(`複数見つかりました。より具体的に教えてください:\n${formatTaskMatches(matches)}`);
+    return;
+  }
+  await sheetsUpdateTask(matches[0].task_id, { recurrence: "" }, { actor: userId });
+  await send(`繰り返しを停止しました: ${matches[0].title}（${formatRecurrenceJa(matches[0].recurrence)}）`);
+}
+
+// =====================
+// Postback data parsing
+// =====================
+function parsePostbackData(data) {
+  const out = {};
+  if (!data) return out;
+  for (const part of String(data).split("&")) {
+    const [k, v] = part.split("=");
+    if (!k) continue;
+    out[decodeURIComponent(k)] = decodeURIComponent(v || "");
+  }
+  return out;
+}
+
+// =====================
+// Web
+// =====================
+app.get("/", (req, res) => res.status(200).send("ok"));
+
+app.post("/line/webhook", async (req, res) => {
+  if (!verifySignature(req)) {
+    console.warn("invalid signature (LINE_CHANNEL_SECRET mismatch or bad request)");
+    return res.status(401).send("invalid signature");
+  }
+
+  const body = req.body || {};
+  const events = Array.isArray(body.events) ? body.events : [];
+
+  // Respond immediately to avoid LINE timeout
+  res.status(200).send("ok");
 
   console.log("webhook_received", {
     destination: body.destination || null,
     eventsCount: events.length,
   });
 
-  for (const event of events) {
-    try {
-      const src = event.source || {};
-      const spaceId = getSpaceId(event);
-      const displayName = (await getLineDisplayName(src)) || (src.userId ? `${src.userId.slice(0, 6)}…` : "(unknown)");
+  for (const event of events) {
+    try {
+      const src = event.source || {};
+      const spaceId = getSpaceId(event);
+      if (spaceId) await recordSpace(spaceId, "line", spaceId);
+      const displayName = (await getLineDisplayName(src)) || (src.userId ? `${src.userId.slice(0, 6)}…` : "(unknown)");
+      rememberActorName(src.userId, displayName);
+
+      // ---- Postback: ACK + broadcast who clicked + execute ----
+      if (event.type === "postback" && event.replyToken) {
+        const pb = parsePostbackData(event.postback && event.postback.data);
+
+        // 1) Immediate ACK to clicker (prevents repeated tapping)
+        await reply(event.replyToken, [{ type: "text", text: "受け付けました。反映します…" }]);
+
+        // 2) Broadcast (so everyone knows who touched UI)
+        if (spaceId) {
+          const label = pb.a || "(unknown)";
+          await push(spaceId, [{ type: "text", text: `操作者: ${displayName}\n操作: ${label}\n処理中…（連打しないでOK）` }]);
+        }
+
+        if (pb.a === "task_new") {
+          if (spaceId) {
+            await push(spaceId, [
+              {
+                type: "text",
+                text:
+                  "タスクを自然文で追加できます。例:\n" +
+                  "・議事録作成を明日18時までに追加\n" +
+                  "・来週火曜までにレポート提出（status open）\n" +
+                  "または: @KAI bot タスク: 議事録作成 / 期限: 2026-01-10 18:00 / status: open",
+              },
+            ]);
+          }
+          continue;
+        }
+
+        if (pb.a === "task_list") {
+          if (!spaceId) continue;
+          await push(spaceId, [await buildTaskListFlex(spaceId, pb.p)]);
+          continue;
+        }
+
+        if (TASK_BUTTON_ACTIONS.includes(pb.a)) {
+          if (!spaceId || !pb.id) continue;
+          const params = (event.postback && event.postback.params) || {};
+          const role = resolveRole(await getSpaceSettings(spaceId), src.userId);
+          const text = await handleTaskButton({ spaceId, userId: src.userId || "", role, action: pb.a, taskId: pb.id, params });
+          await push(spaceId, [{ type: "text", text }]);
+          continue;
+        }
+
+        if (pb.a === "project_new") {
+          if (spaceId) {
+            await push(spaceId, [
+              {
+                type: "text",
+                text:
+                  "プロジェクトを自然文で追加できます。例:\n" +
+                  "・プロジェクト『卒論』を追加\n" +
+                  "・Hikari開発をプロジェクト追加（期限: 2026-03-01）\n" +
+                  "または: @KAI bot プロジェクト: 卒論 / 期限: 2026-03-01 / status: open",
+              },
+            ]);
+          }
+          continue;
+        }
+
+        if (pb.a === "project_list") {
+          if (!spaceId) continue;
+          const projects = await sheetsGetProjectsBySpace(spaceId, 50);
+          await push(spaceId, [{ type: "text", text: formatProjectList(projects) }]);
+          continue;
+        }
+
+        if (pb.a === "settings") {
+          if (spaceId) await push(spaceId, [buildSettingsFlex(await buildSettingsView(spaceId))]);
+          continue;
+        }
+
+        if (pb.a === "settings_project") {
+          if (spaceId) await push(spaceId, [buildDefaultProjectFlex(await sheetsGetProjectsBySpace(spaceId, 200))]);
+          continue;
+        }
+
+        if (pb.a === "settings_set") {
+          if (!spaceId) continue;
+          const params = (event.postback && event.postback.params) || {};
+          // Member buttons act on whoever pressed them.
+          const change = { key: pb.k, value: pb.k === "digest_time" ? params.time || "" : pb.v || "", op: pb.op, user_id: src.userId || "", user_name: displayName };
+          const role = resolveRole(await getSpaceSettings(spaceId), src.userId);
+          const text = await applySettingsChange({ spaceId, userId: src.userId || "", role, change });
+          await push(spaceId, [{ type: "text", text }, buildSettingsFlex(await buildSettingsView(spaceId))]);
+          continue;
+        }
+
+        // default
+        if (spaceId) await push(spaceId, [buildMenuFlex()]);
+        continue;
+      }
+
+      // ---- Message text: trigger -> command engine ----
+      if (event.type === "message" && event.message && event.message.type === "text" && event.replyToken) {
+        const rawText = String(event.message.text || "");
+        const triggered = isTriggeredText(rawText);
+        console.log("trigger_check", { triggered, textPreview: rawText.slice(0, 200) });
+
+        if (triggered && !spaceId) {
+          await reply(event.replyToken, [{ type: "text", text: "スペースIDが取得できませんでした（source）。" }]);
+          continue;
+        }
+
+        // Untriggered messages only matter as answers to a pending question from the same user.
+        await handleInboundMessage(
+          {
+            platform: "line",
+            spaceId,
+            userId: src.userId || "",
+            userName: displayName,
+            text: triggered ? stripTriggerPrefix(rawText) : rawText,
+            mentions: getLineMentions(event.message),
+            triggered,
+          },
+          { onMessage: (msg) => push(spaceId, [renderLineMessage(msg)]) }
+        );
+        continue;
+      }
+
+    } catch (e) {
+      console.error("Event handling error:", e);
+      // Best-effort: do not throw
+      try {
+        if (event && event.replyToken) {
+          await reply(event.replyToken, [{ type: "text", text: `エラー: ${String(e && e.message ? e.message : e)}` }]);
+        }
+      } catch (_) {
+        // ignore
+      }
+    }
+  }
+});
+
+// =====================
+// Discord slash commands (/task, /project)
+// =====================
+// Registered by scripts/register_discord_commands.js. Options arrive typed, so they map
+// straight to a command object. Autocomplete fills task/project options with ids;
+// a value typed by hand is a title fragment, matched the same way as chat commands.
+const DISCORD_AUTOCOMPLETE_LIMIT = 25;
+const DISCORD_STRUCTURED_COMMANDS = ["task", "project"];
+
+function getDiscordSubcommand(data) {
+  const sub = ((data && data.options) || []).find((o) => o.type === 1);
+  const opts = {};
+  let focused = null;
+  for (const o of (sub && sub.options) || []) {
+    opts[o.name] = o.value;
+    if (o.focused) focused = o;
+  }
+  return { name: sub ? sub.name : "", opts, focused };
+}
+
+function discordResolvedUserName(data, id) {
+  const resolved = (data && data.resolved) || {};
+  const member = (resolved.members || {})[id] || {};
+  const u = (resolved.users || {})[id] || {};
+  return member.nick || u.global_name || u.username || "";
+}
+
+// Returns a command for dispatchCommand, or { error } to show as-is.
+function buildDiscordSlashCommand(data) {
+  const { name: sub, opts } = getDiscordSubcommand(data);
+  const str = (k) => normalizeText(opts[k]);
+  let due_at = "";
+  if (str("due")) {
+    due_at = parseDueAtFromText(str("due"));
+    if (!due_at) return { error: `期限が分かりません: ${str("due")}（例: 明日18時 / 3/1 / 2026-01-10 18:00）` };
+  }
+
+  if (data.name === "task") {
+    if (sub === "add") {
+      return {
+        action: "create_task",
+        title: str("title"),
+        description: str("description"),
+        due_at,
+        project_title: str("project"),
+        assignee_id: str("assignee"),
+        assignee_name: str("assignee") ? discordResolvedUserName(data, str("assignee")) : "",
+        priority: normalizePriority(str("priority")),
+        tags: splitTagsValue(str("tags")),
+      };
+    }
+    if (sub === "done") return { action: "complete_task", query: str("task") };
+    if (sub === "reopen") return { action: "reopen_task", query: str("task") };
+    if (sub === "delete") return { action: "delete_task", query: str("task") };
+    if (sub === "due") return { action: "update_task", query: str("task"), due_at };
+    if (sub === "list") {
+      return {
+        action: "list_tasks",
+        status: str("status"),
+        assignee_id: str("assignee"),
+        assignee_name: str("assignee") ? discordResolvedUserName(data, str("assignee")) : "",
+        tags: splitTagsValue(str("tag")),
+        sort: str("sort"),
+      };
+    }
+  }
+
+  if (data.name === "project") {
+    if (sub === "add") return { action: "create_project", title: str("title"), description: str("description"), due_at };
+    if (sub === "done") return { action: "update_project", query: str("project"), status: "done" };
+    if (sub === "reopen") return { action: "update_project", query: str("project"), status: "open" };
+    if (sub === "delete") return { action: "delete_project", query: str("project") };
+    if (sub === "due") return { action: "update_project", query: str("project"), due_at };
+    if (sub === "list") return { action: "list_projects" };
+  }
+  return { error: `未対応のコマンドです: /${data.name} ${sub}`.trim() };
+}
+
+function toDiscordChoice(label, value) {
+  // Both name and value are capped at 100 characters.
+  return { name: clipText(label, 100), value: String(value).slice(0, 100) };
+}
+
+// Autocomplete must answer within 3 seconds, so this only reads and filters.
+async function buildDiscordAutocompleteChoices(spaceId, data) {
+  const { name: sub, focused } = getDiscordSubcommand(data);
+  if (!focused) return [];
+  const q = normalizeText(focused.value).toLowerCase();
+  const hit = (title) => !q || String(title || "").toLowerCase().includes(q);
+
+  if (focused.name === "task") {
+    const tasks = (await sheetsGetTasksBySpace(spaceId, 200, { sort: "due" })).filter((t) => {
+      const done = String(t.status || "").toLowerCase() === "done";
+      if (sub === "done" && done) return false;
+      if (sub === "reopen" && !done) return false;
+      return hit(t.title);
+    });
+    return tasks.slice(0, DISCORD_AUTOCOMPLETE_LIMIT).map((t) => toDiscordChoice(`${t.title || "(no title)"}${t.due_at ? `（期限: ${t.due_at}）` : ""}`, t.task_id));
+  }
+  if (focused.name === "project") {
+    const projects = (await sheetsGetProjectsBySpace(spaceId, 200)).filter((p) => hit(p.title));
+    return projects.slice(0, DISCORD_AUTOCOMPLETE_LIMIT).map((p) => toDiscordChoice(p.title || "(no title)", p.project_id));
+  }
+  return [];
+}
+
+// =====================
+// Discord message components (task list buttons / selects)
+// =====================
+// custom_id is "kai:<kind>[:<arg>]" (max 100 chars):
+//   kai:pick            select on a task list -> that task with its buttons
+//   kai:<action>:<id>   button on one task; action is one of TASK_BUTTON_ACTIONS
+//   kai:choose:<action> select offered when several tasks matched -> action on the picked one
+//   kai:list            back to the task list
+// Components keep working on old messages, so every handler re-reads the task by id.
+const DISCORD_SELECT_LIMIT = 25;
+const DISCORD_EMBED_DESCRIPTION_LIMIT = 4096;
+const DISCORD_BUTTON = { primary: 1, secondary: 2, success: 3, danger: 4 };
+
+function discordColor(hex) {
+  return parseInt(String(hex).replace("#", ""), 16);
+}
+
+function clipText(text, max) {
+  const s = String(text || "");
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+function discordButton(label, customId, style = DISCORD_BUTTON.secondary) {
+  return { type: 2, style, label, custom_id: customId };
+}
+
+function discordTaskSelect(customId, placeholder, tasks) {
+  const options = tasks.slice(0, DISCORD_SELECT_LIMIT).map((t) => ({
+    label: clipText(t.title || "(no title)", 100),
+    description: clipText(`${formatStatusJa(String(t.status || "open").toLowerCase())} / 期限: ${t.due_at || "未設定"}`, 100),
+    value: String(t.task_id),
+  }));
+  return { type: 1, components: [{ type: 3, custom_id: customId, placeholder, options }] };
+}
+
+const DISCORD_BACK_TO_LIST_ROW = { type: 1, components: [discordButton("一覧に戻る", "kai:list")] };
+
+function buildDiscordTaskListPayload(view) {
+  return {
+    content: "",
+    embeds: [{ title: "タスク一覧", description: clipText(view.text, DISCORD_EMBED_DESCRIPTION_LIMIT), color: discordColor(STATUS_BADGE_COLORS.doing) }],
+    components: [discordTaskSelect("kai:pick", "操作するタスクを選択", view.tasks)],
+  };
+}
+
+function buildDiscordChoicesPayload(msg) {
+  return {
+    content: "複数見つかりました。対象のタスクを選んでください。",
+    components: [discordTaskSelect(`kai:choose:${msg.op}`, "タスクを選択", msg.tasks)],
+  };
+}
+
+// One task as an embed with 完了/再開・進行中・削除 buttons; `content` carries the last action's result.
+function buildDiscordTaskPayload(task, content = "") {
+  const status = String(task.status || "open").toLowerCase();
+  const overdue = isOverdue(task, formatJst(toJstDate()));
+  const fields = [
+    { name: "状態", value: formatStatusJa(status), inline: true },
+    { name: "期限", value: `${task.due_at || "未設定"}${overdue ? "（期限切れ）" : ""}`, inline: true },
+  ];
+  if (formatAssignee(task)) fields.push({ name: "担当", value: formatAssignee(task), inline: true });
+  if (formatPriorityJa(task.priority)) fields.push({ name: "優先度", value: formatPriorityJa(task.priority), inline: true });
+  if (formatTags(task.tags)) fields.push({ name: "タグ", value: formatTags(task.tags), inline: true });
+  const id = task.task_id;
+  return {
+    content,
+    embeds: [
+      {
+        title: clipText(task.title || "(no title)", 256),
+        description: task.description ? clipText(task.description, DISCORD_EMBED_DESCRIPTION_LIMIT) : undefined,
+        color: discordColor(overdue && status !== "done" ? "#E53935" : STATUS_BADGE_COLORS[status] || STATUS_BADGE_COLORS.open),
+        fields,
+        footer: { text: `id: ${id}` },
+      },
+    ],
+    components: [
+      {
+        type: 1,
+        components: [
+          status === "done" ? discordButton("再開", `kai:task_open:${id}`) : discordButton("完了", `kai:task_done:${id}`, DISCORD_BUTTON.success),
+          ...(status === "doing" || status === "done" ? [] : [discordButton("進行中", `kai:task_doing:${id}`, DISCORD_BUTTON.primary)]),
+          discordButton("削除", `kai:task_delete:${id}`, DISCORD_BUTTON.danger),
+          discordButton("一覧に戻る", "kai:list"),
+        ],
+      },
+    ],
+  };
+}
+
+// Returns the payload that replaces the clicked message.
+async function handleDiscordComponent({ spaceId, userId, role = "member", data }) {
+  const [prefix, kind, arg] = String(data.custom_id || "").split(":");
+  if (prefix !== "kai") return { content: "不明な操作です。", embeds: [], components: [] };
+
+  if (kind === "list") {
+    const view = await buildTaskListView(spaceId);
+    return view.tasks.length ? buildDiscordTaskListPayload(view) : { content: view.text, embeds: [], components: [] };
+  }
+
+  const picked = ((data.values || [])[0] || "").toString();
+  if (kind === "pick") {
+    const task = await findTaskById(spaceId, picked);
+    if (!task) return { content: "タスクが見つかりませんでした（削除済みの可能性があります）。", embeds: [], components: [DISCORD_BACK_TO_LIST_ROW] };
+    return buildDiscordTaskPayload(task);
+  }
+
+  const action = kind === "choose" ? arg : kind;
+  const taskId = kind === "choose" ? picked : arg;
+  // task_due needs a picker, which Discord components don't have; /task due covers it.
+  if (!TASK_BUTTON_ACTIONS.includes(action) || action === "task_due" || !taskId) {
+    return { content: "不明な操作です。", embeds: [], components: [] };
+  }
+  const text = await handleTaskButton({ spaceId, userId, role, action, taskId });
+  if (kind === "choose") return { content: text, embeds: [], components: [] };
+  const task = await findTaskById(spaceId, taskId);
+  return task ? buildDiscordTaskPayload(task, text) : { content: text, embeds: [], components: [DISCORD_BACK_TO_LIST_ROW] };
+}
+
+// =====================
+// Discord Interactions
+// =====================
+app.post("/discord/interactions", async (req, res) => {
+  const sig = req.get("x-signature-ed25519");
+  const ts = req.get("x-signature-timestamp");
+  console.log("discord_incoming", {
+    hasSignature: !!sig,
+    hasTimestamp: !!ts,
+    hasPublicKey: !!DISCORD_PUBLIC_KEY,
+    hasBody: !!req.rawBody,
+  });
+  if (!verifyDiscordSignature(req)) {
+    console.warn("discord_invalid_signature");
+    return res.status(401).send("invalid signature");
+  }
+
+  const interaction = req.body || {};
+  if (interaction.type === 1) {
+    return res.json({ type: 1 }); // PING
+  }
+
+  const userId = getDiscordUserId(interaction);
+  const spaceId = getDiscordSpaceId(interaction);
+  if (interaction.type === 4) {
+    // APPLICATION_COMMAND_AUTOCOMPLETE
+    let choices = [];
+    try {
+      if (spaceId) choices = await buildDiscordAutocompleteChoices(spaceId, interaction.data || {});
+    } catch (e) {
+      console.warn("discord autocomplete failed", e && e.message ? e.message : e);
+    }
+    return res.json({ type: 8, data: { choices } });
+  }
+  if (!userId || !spaceId) {
+    return res.json({ type: 4, data: { content: "ユーザー情報が取得できませんでした。" } });
+  }
+
+  if (interaction.type === 3) {
+    // MESSAGE_COMPONENT: ack, then edit the message the button/select belongs to
+    res.json({ type: 6 }); // DEFERRED_UPDATE_MESSAGE
+    try {
+      const role = resolveRole(await getSpaceSettings(spaceId), userId, getDiscordPlatformRole(interaction));
+      const payload = await handleDiscordComponent({ spaceId, userId, role, data: interaction.data || {} });
+      await discordEditOriginal(DISCORD_APP_ID, interaction.token, payload);
+    } catch (e) {
+      console.error("discord component error", e);
+      await discordFollowup(DISCORD_APP_ID, interaction.token, `エラー: ${String(e && e.message ? e.message : e)}`);
+    }
+    return;
+  }
+
+  // Acknowledge immediately to avoid timeouts
+  res.json({ type: 5 }); // DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE
+  await recordSpace(spaceId, "discord", interaction.channel_id || "");
+  const followup = (msg) => discordFollowup(DISCORD_APP_ID, interaction.token, renderDiscordMessage(msg));
+
+  if (interaction.data && DISCORD_STRUCTURED_COMMANDS.includes(interaction.data.name)) {
+    const cmd = buildDiscordSlashCommand(interaction.data);
+    if (cmd.error) {
+      await discordFollowup(DISCORD_APP_ID, interaction.token, cmd.error);
+      return;
+    }
+    await handleInboundCommand(
+      { platform: "discord", spaceId, userId, userName: getDiscordUserName(interaction), platformRole: getDiscordPlatformRole(interaction) },
+      cmd,
+      { onMessage: followup }
+    );
+    return;
+  }
+
+  const options = (interaction.data && interaction.data.options) || [];
+  const textOpt = options.find((o) => o.name === "text") || options[0];
+  let text = textOpt && textOpt.value ? String(textOpt.value) : "";
+  if (!text) {
+    text = (interaction.data && interaction.data.name) || "";
+  }
+
+  const resolvedUsers = (interaction.data && interaction.data.resolved && interaction.data.resolved.users) || {};
+  const mentions = getDiscordMentions(text, DISCORD_APP_ID, (id) => {
+    const u = resolvedUsers[id];
+    return u ? u.global_name || u.username || "" : "";
+  });
+
+  await handleInboundMessage(
+    {
+      platform: "discord",
+      spaceId,
+      userId,
+      userName: getDiscordUserName(interaction),
+      text,
+      mentions,
+      triggered: true,
+      platformRole: getDiscordPlatformRole(interaction),
+    },
+    { onMessage: followup }
+  );
+});
+
+// =====================
+// Slack (Events API / slash commands)
+// =====================
+app.post("/slack/events", async (req, res) => {
+  if (!verifySlackSignature(req)) {
+    console.warn("slack_invalid_signature");
+    return res.status(401).send("invalid signature");
+  }
+
+  const body = req.body || {};
+  if (body.type === "url_verification") {
+    return res.json({ challenge: body.challenge });
+  }
+
+  // Ack within Slack's 3s window. Retries are for events we already started on.
+  res.status(200).send("ok");
+  if (req.get("x-slack-retry-num") || body.type !== "event_callback") return;
+
+  try {
+    const event = body.event || {};
+    if (event.bot_id || event.subtype) return;
+    if (event.type !== "app_mention" && event.type !== "message") return;
+
+    const botUserId = (body.authorizations && body.authorizations[0] && body.authorizations[0].user_id) || "";
+    const rawText = String(event.text || "");
+    // A channel message mentioning the bot arrives both as app_mention and message; handle it once.
+    if (event.type === "message" && botUserId && rawText.includes(`<@${botUserId}`)) return;
+    const triggered = event.type === "app_mention" || event.channel_type === "im";
+
+    const spaceId = event.channel || "";
+    const userId = event.user || "";
+    if (!spaceId || !userId) return;
+    if (triggered) await recordSpace(spaceId, "slack", spaceId);
+
+    await handleInboundMessage(
+      {
+        platform: "slack",
+        spaceId,
+        userId,
+        userName: await getSlackUserName(userId),
+        text: stripSlackText(rawText),
+        mentions: await getSlackMentions(rawText, botUserId),
+        triggered,
+      },
+      { onMessage: (msg) => slackPostMessage(spaceId, renderSlackMessage(msg), { threadTs: event.thread_ts }) }
+    );
+  } catch (e) {
+    console.error("slack event error", e);
+  }
+});
+
+app.post("/slack/commands", async (req, res) => {
+  if (!verifySlackSignature(req)) {
+    console.warn("slack_invalid_signature");
+    return res.status(401).send("invalid signature");
+  }
+
+  const body = req.body || {};
+  const spaceId = body.channel_id || "";
+  const userId = body.user_id || "";
+  if (!spaceId || !userId) {
+    return res.json({ response_type: "ephemeral", text: "ユーザー情報が取得できませんでした。" });
+  }
+
+  // in_channel with no text echoes the command so the channel sees what was asked.
+  res.json({ response_type: "in_channel" });
+
+  try {
+    await recordSpace(spaceId, "slack", spaceId);
+    const rawText = String(body.text || "");
+    await handleInboundMessage(
+      {
+        platform: "slack",
+        spaceId,
+        userId,
+        userName: (await getSlackUserName(userId)) || body.user_name || "",
+        text: stripSlackText(rawText),
+        mentions: await getSlackMentions(rawText, ""),
+        triggered: true,
+      },
+      { onMessage: (msg) => slackRespond(body.response_url, renderSlackMessage(msg)) }
+    );
+  } catch (e) {
+    console.error("slack command error", e);
+    try {
+      await slackRespond(body.response_url, `エラー: ${String(e && e.message ? e.message : e)}`);
+    } catch (_) {
+      // ignore
+    }
+  }
+});
+
+// =====================
+// Telegram (webhook)
+// =====================
+app.post("/telegram/webhook", async (req, res) => {
+  if (!verifyTelegramSecret(req)) {
+    console.warn("telegram_invalid_secret");
+    return res.status(401).send("unauthorized");
+  }
+
+  // Respond immediately; Telegram redelivers on non-2xx or timeout.
+  res.status(200).send("ok");
+
+  try {
+    const message = (req.body || {}).message;
+    if (!message || !message.text || !message.chat) return;
+    if (message.from && message.from.is_bot) return;
+
+    const spaceId = String(message.chat.id);
+    const userId = message.from ? String(message.from.id) : "";
+    const botUsername = await getTelegramBotUsername();
+    // In groups the bot only sees untriggered messages with privacy mode off, or replies to its own
+    // messages. Those only matter as answers to a pending question.
+    const triggered = message.chat.type === "private" || isTelegramTriggered(message.text, botUsername);
+    if (triggered) await recordSpace(spaceId, "telegram", spaceId);
+
+    await handleInboundMessage(
+      {
+        platform: "telegram",
+        spaceId,
+        userId,
+        userName: getTelegramUserName(message.from),
+        text: triggered ? stripTelegramTrigger(message.text, botUsername) : message.text,
+        mentions: getTelegramMentions(message, botUsername),
+        triggered,
+      },
+      { onMessage: (msg) => telegramSendMessage(spaceId, renderTelegramMessage(msg), { threadId: message.message_thread_id }) }
+    );
+  } catch (e) {
+    console.error("telegram update error", e);
+  }
+});
+
+// =====================
+// Dashboard (read-only board via signed share links)
+// =====================
+// /dashboard/:spaceId?exp=..&v=..&sig=.. with sig = HMAC(spaceId.exp.v). "v" is the space's
+// dashboard_link_version setting; bumping it ("ダッシュボード無効化") revokes every issued link.
+const DASHBOARD_LINK_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const DASHBOARD_COLUMNS = [
+  { status: "open", label: "未着手" },
+  { status: "doing", label: "進行中" },
+  { status: "done", label: "完了" },
+];
+
+function signDashboardLink(spaceId, exp, version) {
+  return crypto
+    .createHmac("sha256", DASHBOARD_SECRET)
+    .update(`${spaceId}.${exp}.${version}`)
+    .digest("base64url");
+}
+
+async function buildDashboardUrl(spaceId, now = Date.now()) {
+  const version = String((await getSpaceSettings(spaceId)).dashboard_link_version || "0");
+  const exp = Math.floor((now + DASHBOARD_LINK_TTL_MS) / 1000);
+  const sig = signDashboardLink(spaceId, exp, version);
+  const base = PUBLIC_URL.replace(/\/+$/, "");
+  return { url: `${base}/dashboard/${encodeURIComponent(spaceId)}?exp=${exp}&v=${version}&sig=${sig}`, exp };
+}
+
+async function verifyDashboardLink(spaceId, { exp, v, sig } = {}) {
+  if (!DASHBOARD_SECRET || !spaceId || !exp || !sig) return false;
+  if (Number(exp) * 1000 < Date.now()) return false;
+  const version = String((await getSpaceSettings(spaceId)).dashboard_link_version || "0");
+  if (String(v) !== version) return false;
+  return safeEqual(signDashboardLink(spaceId, exp, version), sig);
+}
+
+async function handleDashboardCommand({ spaceId, userId, role, cmd, send }) {
+  if (!DASHBOARD_SECRET || !PUBLIC_URL) {
+    await send("ダッシュボードが未設定です（KAI_BOT_DASHBOARD_SECRET / KAI_BOT_PUBLIC_URL）。");
+    return;
+  }
+  if (cmd.action === "revoke_dashboard") {
+    const denied = checkPermission("change_settings", { role, userId });
+    if (denied) {
+      await send(denied);
+      return;
+    }
+    const current = Number((await getSpaceSettings(spaceId)).dashboard_link_version || "0");
+    await setSpaceSettings(spaceId, { dashboard_link_version: String(current + 1) });
+    await send("これまでのダッシュボードリンクを無効にしました。");
+    return;
+  }
+  const { url, exp } = await buildDashboardUrl(spaceId);
+  const until = formatJst(toJstDate(new Date(exp * 1000)));
+  await send(`ダッシュボード（閲覧専用・${until}まで有効）:\n${url}\nリンクを無効にする: ダッシュボード無効化`);
+}
+
+function escapeHtml(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// due_at is stored as "YYYY-MM-DD HH:mm" (JST), so string order is time order.
+function isOverdue(task, nowJst = formatJst(toJstDate())) {
+  return !!task.due_at && String(task.status || "").toLowerCase() !== "done" && String(task.due_at) < nowJst;
+}
+
+function renderDashboardCard(task, projectTitles) {
+  const meta = [];
+  if (task.due_at) meta.push(`<span class="due">期限: ${escapeHtml(task.due_at)}</span>`);
+  const project = projectTitles.get(String(task.project_id || ""));
+  if (project) meta.push(`<span>${escapeHtml(project)}</span>`);
+  const assignee = formatAssignee(task);
+  if (assignee) meta.push(`<span>担当: ${escapeHtml(assignee)}</span>`);
+  if (formatPriorityJa(task.priority)) meta.push(`<span>優先度: ${escapeHtml(formatPriorityJa(task.priority))}</span>`);
+  if (formatTags(task.tags)) meta.push(`<span>${escapeHtml(formatTags(task.tags))}</span>`);
+  return (
+    `<li class="card${isOverdue(task) ? " overdue" : ""}">` +
+    `<div class="title">${escapeHtml(task.title)}</div>` +
+    `<div class="meta">${meta.join("")}</div></li>`
+  );
+}
+
+function renderDashboardHtml({ tasks, projects }) {
+  const projectTitles = new Map(projects.map((p) => [String(p.project_id), p.title]));
+  const columns = DASHBOARD_COLUMNS.map(({ status, label }) => {
+    const items = tasks
+      .filter((t) => (String(t.status || "").toLowerCase() || "open") === status)
+      .sort(compareTasksBy("due"));
+    return (
+      `<section class="column"><h2>${label} <small>${items.length}</small></h2>` +
+      `<ul>${items.map((t) => renderDashboardCard(t, projectTitles)).join("") || '<li class="empty">なし</li>'}</ul></section>`
+    );
+  }).join("");
+  const projectRows = projects
+    .map((p) => {
+      const open = tasks.filter((t) => String(t.project_id || "") === String(p.project_id) && t.status !== "done").length;
+      return (
+        `<li><strong>${escapeHtml(p.title)}</strong> <span>${escapeHtml(formatStatusJa(p.status))}</span>` +
+        `${p.due_at ? ` <span class="due">期限: ${escapeHtml(p.due_at)}</span>` : ""} <span>残り ${open} 件</span></li>`
+      );
+    })
+    .join("");
+
+  return `<!doctype html>
+<html lang="ja"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<meta name="robots" content="noindex"><title>KAI bot ダッシュボード</title>
+<style>
+body{font-family:system-ui,sans-serif;margin:0;padding:16px;background:#f4f5f7;color:#222}
+h1{font-size:20px;margin:0 0 12px}h2{font-size:16px;margin:0 0 8px}small{color:#888;font-weight:normal}
+ul{list-style:none;margin:0;padding:0}.projects li{margin:4px 0}.projects span{color:#555;margin-left:8px;font-size:13px}
+.board{display:grid;grid-template-columns:repeat(auto-fit,minmax(240px,1fr));gap:12px;margin-top:16px}
+.column{background:#ebecf0;border-radius:8px;padding:10px}
+.card{background:#fff;border-radius:6px;padding:8px 10px;margin-bottom:8px;box-shadow:0 1px 1px rgba(0,0,0,.1)}
+.card .meta span{display:inline-block;font-size:12px;color:#555;margin-right:8px}
+.card.overdue{border-left:4px solid #d93025}.card.overdue .due{color:#d93025;font-weight:bold}
+.empty{color:#888;font-size:13px}footer{margin-top:16px;font-size:12px;color:#888}
+</style></head><body>
+<h1>KAI bot ダッシュボード</h1>
+<section class="projects"><h2>プロジェクト <small>${projects.length}</small></h2><ul>${projectRows || '<li class="empty">なし</li>'}</ul></section>
+<div class="board">${columns}</div>
+<footer>${escapeHtml(formatJst(toJstDate()))} 時点（閲覧専用）</footer>
+</body></html>`;
+}
+
+app.get("/dashboard/:spaceId", async (req, res) => {
+  // The URL carries the signature: keep it out of caches and Referer headers.
+  res.set({ "Cache-Control": "no-store", "Referrer-Policy": "no-referrer", "X-Robots-Tag": "noindex" });
+  try {
+    const { spaceId } = req.params;
+    if (!(await verifyDashboardLink(spaceId, req.query))) {
+      return res.status(403).type("html").send("<!doctype html><meta charset=\"utf-8\"><p>リンクが無効か期限切れです。チャットで「ダッシュボード」と送ると新しいリンクを発行できます。</p>");
+    }
+    const [tasks, projects] = await Promise.all([sheetsGetTasksBySpace(spaceId, 10000), sheetsGetProjectsBySpace(spaceId, 10000)]);
+    res.type("html").send(renderDashboardHtml({ tasks, projects }));
+  } catch (e) {
+    console.error("dashboard error", e);
+    res.status(500).type("html").send("<!doctype html><meta charset=\"utf-8\"><p>表示できませんでした。</p>");
+  }
+});
+
+// =====================
+// Calendar feed (ICS)
+// =====================
+// /calendar/:spaceId/<token>.ics, token = HMAC("ics.spaceId.version"). No expiry so calendar
+// apps can keep polling; "カレンダー無効化" bumps calendar_feed_version to revoke the URL.
+const CALENDAR_EVENT_MINUTES = 30;
+
+function signCalendarToken(spaceId, version) {
+  return crypto.createHmac("sha256", CALENDAR_SECRET).update(`ics.${spaceId}.${version}`).digest("base64url");
+}
+
+async function buildCalendarUrl(spaceId) {
+  const version = String((await getSpaceSettings(spaceId)).calendar_feed_version || "0");
+  const base = PUBLIC_URL.replace(/\/+$/, "");
+  return `${base}/calendar/${encodeURIComponent(spaceId)}/${signCalendarToken(spaceId, version)}.ics`;
+}
+
+async function verifyCalendarToken(spaceId, token) {
+  if (!CALENDAR_SECRET || !spaceId || !token) return false;
+  const version = String((await getSpaceSettings(spaceId)).calendar_feed_version || "0");
+  return safeEqual(signCalendarToken(spaceId, version), token);
+}
+
+async function handleCalendarCommand({ spaceId, userId, role, cmd, send }) {
+  if (!CALENDAR_SECRET || !PUBLIC_URL) {
+    await send("カレンダー連携が未設定です（KAI_BOT_CALENDAR_SECRET / KAI_BOT_PUBLIC_URL）。");
+    return;
+  }
+  if (cmd.action === "revoke_calendar") {
+    const denied = checkPermission("change_settings", { role, userId });
+    if (denied) {
+      await send(denied);
+      return;
+    }
+    const current = Number((await getSpaceSettings(spaceId)).calendar_feed_version || "0");
+    await setSpaceSettings(spaceId, { calendar_feed_version: String(current + 1) });
+    await send("カレンダーURLを無効にしました。もう一度「カレンダー」と送ると新しいURLを発行します。");
+    return;
+  }
+  await send(
+    `カレンダー購読URL（Google カレンダー / Outlook の「URLで追加」に貼り付け）:\n${await buildCalendarUrl(spaceId)}\n` +
+      "URLを知っている人は誰でも閲覧できます。無効にする: カレンダー無効化"
+  );
+}
+
+// "YYYY-MM-DD HH:mm" (JST, as written by formatJst) -> { date: UTC instant, allDay }.
+// A bare "YYYY-MM-DD" is an all-day deadline (parseJstDateTime would make it 18:00).
+function parseIcsDue(value) {
+  const m = String(value || "").trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2}))?$/);
+  if (!m) return null;
+  const [y, mo, d] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  if (m[4] === undefined) return { date: new Date(Date.UTC(y, mo - 1, d)), allDay: true };
+  return { date: new Date(Date.UTC(y, mo - 1, d, Number(m[4]) - 9, Number(m[5]))), allDay: false };
+}
+
+function formatIcsUtc(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function formatIcsDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+function escapeIcsText(value) {
+  return String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545: lines longer than 75 octets continue on the next line after a space.
+function foldIcsLine(line) {
+  const out = [];
+  let cur = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (bytes + n > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = "";
+      bytes = 0;
+    }
+    cur += ch;
+    bytes += n;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+function buildIcsEvent({ uid, summary, description, due, stamp }) {
+  const lines = ["BEGIN:VEVENT", `UID:${uid}`, `DTSTAMP:${formatIcsUtc(stamp)}`];
+  if (due.allDay) {
+    const next = new Date(due.date.getTime() + 24 * 60 * 60 * 1000);
+    lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(due.date)}`, `DTEND;VALUE=DATE:${formatIcsDate(next)}`);
+  } else {
+    const end = new Date(due.date.getTime() + CALENDAR_EVENT_MINUTES * 60 * 1000);
+    lines.push(`DTSTART:${formatIcsUtc(due.date)}`, `DTEND:${formatIcsUtc(end)}`);
+  }
+  lines.push(`SUMMARY:${escapeIcsText(summary)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+  lines.push("TRANSP:TRANSPARENT", "END:VEVENT");
+  return lines;
+}
+
+// Completed items stay in the feed (so past deadlines don't vanish) but are prefixed with [完了].
+function buildIcsCalendar({ tasks, projects }, now = new Date()) {
+  const projectTitles = new Map(projects.map((p) => [String(p.project_id), p.title]));
+  const done = (item) => String(item.status || "").toLowerCase() === "done";
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//KAI bot//Tasks//JA",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:KAI bot タスク",
+    "X-WR-TIMEZONE:Asia/Tokyo",
+  ];
+  for (const t of tasks) {
+    const due = parseIcsDue(t.due_at);
+    if (!due) continue;
+    const details = [`状態: ${formatStatusJa(t.status)}`];
+    const project = projectTitles.get(String(t.project_id || ""));
+    if (project) details.push(`プロジェクト: ${project}`);
+    if (formatAssignee(t)) details.push(`担当: ${formatAssignee(t)}`);
+    if (formatPriorityJa(t.priority)) details.push(`優先度: ${formatPriorityJa(t.priority)}`);
+    if (t.description) details.push(t.description);
+    lines.push(
+      ...buildIcsEvent({
+        uid: `${t.task_id}@kai-bot`,
+        summary: `${done(t) ? "[完了] " : ""}${t.title}`,
+        description: details.join("\n"),
+        due,
+        stamp: now,
+      })
+    );
+  }
+  for (const p of projects) {
+    const due = parseIcsDue(p.due_at);
+    if (!due) continue;
+    lines.push(
+      ...buildIcsEvent({
+        uid: `${p.project_id}@kai-bot`,
+        summary: `${done(p) ? "[完了] " : ""}[プロジェクト] ${p.title}`,
+        description: [`状態: ${formatStatusJa(p.status)}`, p.description].filter(Boolean).join("\n"),
+        due,
+        stamp: now,
+      })
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+app.get("/calendar/:spaceId/:file", async (req, res) => {
+  res.set({ "Cache-Control": "no-store", "X-Robots-Tag": "noindex" });
+  try {
+    const { spaceId, file } = req.params;
+    const m = String(file || "").match(/^(.+)\.ics$/);
+    if (!m || !(await verifyCalendarToken(spaceId, m[1]))) return res.status(404).send("not found");
+    const [tasks, projects] = await Promise.all([sheetsGetTasksBySpace(spaceId, 10000), sheetsGetProjectsBySpace(spaceId, 10000)]);
+    res.type("text/calendar; charset=utf-8").send(buildIcsCalendar({ tasks, projects }));
+  } catch (e) {
+    console.error("calendar feed error", e);
+    res.status(500).send("error");
+  }
+});
+
+// =====================
+// Export (エクスポート: CSV / JSON / Markdown)
+// =====================
+// Columns follow scripts/migrate_sheets_to_db.js so an export can be re-imported as-is.
+const EXPORT_TASK_COLUMNS = [
+  "task_id",
+  "space_id",
+  "project_id",
+  "title",
+  "description",
+  "status",
+  "due_at",
+  "created_at",
+  "done_at",
+  "created_by",
+  "updated_at",
+  "deleted_at",
+  "assignee_id",
+  "assignee_name",
+  "recurrence",
+  "priority",
+  "tags",
+];
+const EXPORT_PROJECT_COLUMNS = [
+  "project_id",
+  "space_id",
+  "title",
+  "description",
+  "status",
+  "due_at",
+  "created_at",
+  "created_by",
+  "updated_at",
+  "deleted_at",
+  "tags",
+];
+// format -> files it produces. CSV needs one file per table.
+const EXPORT_FILES = {
+  csv: ["tasks.csv", "projects.csv"],
+  json: ["export.json"],
+  markdown: ["export.md"],
+};
+const EXPORT_CONTENT_TYPES = { csv: "text/csv", json: "application/json", md: "text/markdown" };
+const EXPORT_LINK_TTL_MS = 60 * 60 * 1000;
+
+function parseExportFormat(text) {
+  const t = normalizeText(text);
+  if (/json/i.test(t)) return "json";
+  if (/(markdown|マークダウン|\bmd\b|チェックリスト)/i.test(t)) return "markdown";
+  return "csv";
+}
+
+async function loadExportData(spaceId, { includeDeleted = false } = {}) {
+  const [tasks, projects] = await Promise.all([
+    sheetsGetTasksBySpace(spaceId, 100000, { includeDeleted }),
+    sheetsGetProjectsBySpace(spaceId, 100000, { includeDeleted }),
+  ]);
+  const pick = (row, columns) => Object.fromEntries(columns.map((c) => [c, c === "space_id" ? String(spaceId) : String(row[c] || "")]));
+  return {
+    tasks: tasks.map((t) => pick(t, EXPORT_TASK_COLUMNS)),
+    projects: projects.map((p) => pick(p, EXPORT_PROJECT_COLUMNS)),
+  };
+}
+
+function toCsv(rows, columns) {
+  const cell = (v) => (/[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+  const lines = [columns.join(","), ...rows.map((r) => columns.map((c) => cell(String(r[c] || ""))).join(","))];
+  // BOM so Excel opens UTF-8 Japanese correctly.
+  return `\ufeff${lines.join("\r\n")}\r\n`;
+}
+
+function toMarkdownChecklist({ tasks, projects }, exportedAt) {
+  const line = (t) => {
+    const done = String(t.status).toLowerCase() === "done";
+    const deleted = String(t.status).toLowerCase() === "deleted";
+    const notes = [];
+    if (t.due_at) notes.push(`期限: ${t.due_at}`);
+    if (formatAssignee(t)) notes.push(`担当: ${formatAssignee(t)}`);
+    if (formatPriorityJa(t.priority)) notes.push(`優先度: ${formatPriorityJa(t.priority)}`);
+    if (formatTags(t.tags)) notes.push(formatTags(t.tags));
+    if (deleted) notes.push("削除済み");
+    const title = deleted ? `~~${t.title}~~` : t.title;
+    return `- [${done ? "x" : " "}] ${title}${notes.length ? `（${notes.join(" / ")}）` : ""}`;
+  };
+  const out = [`# タスク一覧（${exportedAt} 時点）`];
+  const groups = [
+    ...projects.map((p) => ({ heading: `## ${p.title}（${formatStatusJa(p.status)}${p.due_at ? ` / 期限: ${p.due_at}` : ""}）`, id: p.project_id })),
+    { heading: "## 未分類", id: "" },
+  ];
+  const known = new Set(projects.map((p) => p.project_id));
+  for (const g of groups) {
+    const items = tasks.filter((t) => (g.id ? t.project_id === g.id : !known.has(t.project_id)));
+    if (!g.id && !items.length) continue;
+    out.push("", g.heading, ...(items.length ? items.map(line) : ["（タスクなし）"]));
+  }
+  return `${out.join("\n")}\n`;
+}
+
+function buildExportFile(name, data, { spaceId, exportedAt }) {
+  const ext = name.split(".").pop();
+  let content = "";
+  if (name === "tasks.csv") content = toCsv(data.tasks, EXPORT_TASK_COLUMNS);
+  else if (name === "projects.csv") content = toCsv(data.projects, EXPORT_PROJECT_COLUMNS);
+  else if (name === "export.json") content = `${JSON.stringify({ space_id: String(spaceId), exported_at: exportedAt, ...data }, null, 2)}\n`;
+  else content = toMarkdownChecklist(data, exportedAt);
+  return { filename: `kai-${name}`, contentType: `${EXPORT_CONTENT_TYPES[ext]}; charset=utf-8`, content };
+}
+
+function signExportLink(spaceId, name, deleted, exp) {
+  return crypto.createHmac("sha256", DASHBOARD_SECRET).update(`export.${spaceId}.${name}.${deleted}.${exp}`).digest("base64url");
+}
+
+// Chat platforms that can't take attachments get this short-lived link instead.
+function buildExportUrl(spaceId, name, includeDeleted, now = Date.now()) {
+  if (!DASHBOARD_SECRET || !PUBLIC_URL) return "";
+  const deleted = includeDeleted ? "1" : "0";
+  const exp = Math.floor((now + EXPORT_LINK_TTL_MS) / 1000);
+  const sig = signExportLink(spaceId, name, deleted, exp);
+  const base = PUBLIC_URL.replace(/\/+$/, "");
+  return `${base}/export/${encodeURIComponent(spaceId)}/${name}?deleted=${deleted}&exp=${exp}&sig=${sig}`;
+}
+
+function verifyExportLink(spaceId, name, { deleted, exp, sig } = {}) {
+  if (!DASHBOARD_SECRET || !exp || !sig || !["0", "1"].includes(String(deleted))) return false;
+  if (Number(exp) * 1000 < Date.now()) return false;
+  return safeEqual(signExportLink(spaceId, name, String(deleted), exp), sig);
+}
+
+async function handleExportCommand({ spaceId, cmd, send, emit }) {
+  const format = EXPORT_FILES[cmd.format] ? cmd.format : "csv";
+  const includeDeleted = !!cmd.include_deleted;
+  const data = await loadExportData(spaceId, { includeDeleted });
+  const exportedAt = formatJst(toJstDate());
+  await send(`エクスポート: タスク ${data.tasks.length} 件 / プロジェクト ${data.projects.length} 件${includeDeleted ? "（削除済みを含む）" : ""}`);
+  for (const name of EXPORT_FILES[format]) {
+    await emit({
+      type: "file",
+      ...buildExportFile(name, data, { spaceId, exportedAt }),
+      url: buildExportUrl(spaceId, name, includeDeleted),
+    });
+  }
+}
+
+app.get("/export/:spaceId/:name", async (req, res) => {
+  res.set({ "Cache-Control": "no-store", "Referrer-Policy": "no-referrer", "X-Robots-Tag": "noindex" });
+  try {
+    const { spaceId, name } = req.params;
+    const known = Object.values(EXPORT_FILES).some((names) => names.includes(name));
+    if (!known || !verifyExportLink(spaceId, name, req.query)) {
+      return res.status(403).type("text/plain; charset=utf-8").send("リンクが無効か期限切れです。もう一度「エクスポート」と送ってください。");
+    }
+    const data = await loadExportData(spaceId, { includeDeleted: req.query.deleted === "1" });
+    const file = buildExportFile(name, data, { spaceId, exportedAt: formatJst(toJstDate()) });
+    res.set("Content-Disposition", `attachment; filename="${file.filename}"`);
+    res.type(file.contentType).send(file.content);
+  } catch (e) {
+    console.error("export error", e);
+    res.status(500).type("text/plain; charset=utf-8").send("エクスポートに失敗しました。");
+  }
+});
+
+// =====================
+// Bulk import (インポート: 箇条書き / チェックリスト / CSV)
+// =====================
+// "インポート" followed by one task per line: "- ", "・", "1.", "[ ]" / "[x]" or a CSV
+// with a title column (an export's tasks.csv works as-is). Each line gets its own due
+// date. Nothing is written until the preview is confirmed; then it is one storage call.
+const IMPORT_HEAD_RE = /^(?:タスク\s*を?\s*)?(?:インポート|import|一括(?:登録|追加)|まとめて(?:登録|追加))(?:して|する)?/i;
+const IMPORT_MAX_ITEMS = 100;
+const IMPORT_PREVIEW_LINES = 30;
+const IMPORT_BULLET_RE = /^(?:[-*+・•●◦▪]|\d{1,3}[.)）．](?!\d)|[(（]\d{1,3}[)）])\s*/;
+const IMPORT_CHECKBOX_RE = /^\[([ xX✓✔]?)\]\s*/;
+// The phrases parseDueAtFromText reads, plus "期限:" / "(月)" / "まで" around them.
+const IMPORT_DATE = "(?:20\\d{2}[\\/\\-]\\d{1,2}[\\/\\-]\\d{1,2}|\\d{1,2}[\\/\\-]\\d{1,2}|\\d{1,2}\\s*月\\s*\\d{1,2}\\s*日|明後日|明日|今日|本日)";
+const IMPORT_TIME = "(?:\\d{1,2}[:：]\\d{2}|\\d{1,2}\\s*時(?:\\s*\\d{1,2}\\s*分?)?|正午|今夜)";
+const IMPORT_DUE_RE = new RegExp(
+  `(?:(?:期限|締切|締め切り)\\s*[:：は]?\\s*)?${IMPORT_DATE}(?:\\s*[(（][月火水木金土日][)）])?(?:\\s*の?\\s*${IMPORT_TIME})?\\s*(?:まで(?:に)?)?`,
+  "g"
+);
+const IMPORT_PRIORITY_RE = /優先(?:度|順位)?\s*[:：は]?\s*(?:高|中|低|high|medium|low)|(?:^|(?<=[\s(（]))P[1-3](?=$|[\s)）])/gi;
+// CSV header name -> task field. English names match EXPORT_TASK_COLUMNS.
+const IMPORT_CSV_COLUMNS = {
+  title: ["title", "タイトル", "タスク", "タスク名", "件名"],
+  description: ["description", "説明", "メモ", "詳細"],
+  status: ["status", "状態", "ステータス"],
+  due_at: ["due_at", "due", "期限", "締切"],
+  priority: ["priority", "優先度"],
+  assignee_name: ["assignee_name", "assignee", "担当", "担当者"],
+  tags: ["tags", "タグ"],
+  project_id: ["project_id"],
+};
+
+function cleanImportTitle(text, { due, priority }) {
+  let t = stripTagsFromText(text);
+  if (due) t = t.replace(IMPORT_DUE_RE, " ");
+  if (priority) t = t.replace(IMPORT_PRIORITY_RE, " ");
+  return normalizeText(t.replace(/[(（]\s*[)）]/g, " ").replace(/\s+/g, " ")).replace(/^[\s、,:：\-–—|/]+|[\s、,:：\-–—|/]+$/g, "");
+}
+
+function parseImportLine(line) {
+  let t = normalizeText(line).replace(IMPORT_BULLET_RE, "");
+  let status = "open";
+  const box = t.match(IMPORT_CHECKBOX_RE);
+  if (box) {
+    if (box[1].trim()) status = "done";
+    t = t.slice(box[0].length);
+  }
+  const due_at = parseDueAtFromText(t);
+  const priority = parsePriorityFromText(t);
+  const title = cleanImportTitle(t, { due: !!due_at, priority: !!priority });
+  if (!title) return null;
+  return { title, description: "", status, due_at, priority, tags: parseTagsFromText(t), assignee_name: "", project_id: "" };
+}
+
+// RFC 4180-ish: quoted fields may hold commas, "" and line breaks.
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const s = String(text || "").replace(/^\ufeff/, "");
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quoted) {
+      if (c === '"' && s[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && s[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += c;
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((v) => normalizeText(v)));
+}
+
+function importCsvHeader(line) {
+  const cells = parseCsvRows(line)[0] || [];
+  if (cells.length < 2) return null;
+  const idx = {};
+  cells.forEach((name, i) => {
+    const key = normalizeText(name).toLowerCase();
+    for (const [field, aliases] of Object.entries(IMPORT_CSV_COLUMNS)) {
+      if (idx[field] === undefined && aliases.includes(key)) idx[field] = i;
+    }
+  });
+  return idx.title === undefined ? null : idx;
+}
+
+function parseImportCsv(text, idx) {
+  const items = [];
+  for (const cells of parseCsvRows(text).slice(1)) {
+    const get = (field) => (idx[field] === undefined ? "" : normalizeText(cells[idx[field]]));
+    const title = get("title").replace(/\s+/g, " ");
+    const status = get("status").toLowerCase();
+    if (!title || status === "deleted") continue;
+    items.push({
+      title,
+      description: get("description"),
+      status: parseStatusFromText(status) || "open",
+      due_at: parseDueAtFromText(get("due_at")),
+      priority: normalizePriority(get("priority")),
+      tags: splitTagsValue(get("tags")),
+      assignee_name: get("assignee_name"),
+      project_id: get("project_id"),
+    });
+  }
+  return items;
+}
 
-      // ---- Postback: ACK + broadcast who clicked + execute ----
-      if (event.type === "postback" && event.replyToken) {
-        const pb = parsePostbackData(event.postback && event.postback.data);
+function parseImportItems(text) {
+  const lines = String(text || "").split("\n");
+  const first = lines.find((l) => normalizeText(l));
+  const header = first ? importCsvHeader(first) : null;
+  if (header) return parseImportCsv(lines.slice(lines.indexOf(first)).join("\n"), header);
+  return lines.map(parseImportLine).filter(Boolean);
+}
 
-        // 1) Immediate ACK to clicker (prevents repeated tapping)
-        await reply(event.replyToken, [{ type: "text", text: "受け付けました。反映します…" }]);
+function formatImportPreview(items, { project_title } = {}) {
+  const line = (it, i) => {
+    const notes = [];
+    if (it.due_at) notes.push(`期限: ${it.due_at}`);
+    if (it.assignee_name) notes.push(`担当: ${it.assignee_name}`);
+    if (formatPriorityJa(it.priority)) notes.push(`優先度: ${formatPriorityJa(it.priority)}`);
+    if (it.tags.length) notes.push(formatTags(it.tags.join(" ")));
+    const status = it.status !== "open" ? `[${formatStatusJa(it.status)}] ` : "";
+    return `${i + 1}. ${status}${it.title}${notes.length ? `（${notes.join(" / ")}）` : ""}`;
+  };
+  const out = [`以下の ${items.length} 件を登録します${project_title ? `（プロジェクト: ${project_title}）` : ""}:`];
+  out.push(...items.slice(0, IMPORT_PREVIEW_LINES).map(line));
+  if (items.length > IMPORT_PREVIEW_LINES) out.push(`…ほか ${items.length - IMPORT_PREVIEW_LINES} 件`);
+  out.push("この内容で登録しますか？（はい / キャンセル）");
+  return out.join("\n");
+}
 
-        // 2) Broadcast (so everyone knows who touched UI)
-        if (spaceId) {
-          const label = pb.a || "(unknown)";
-          await push(spaceId, [{ type: "text", text: `操作者: ${displayName}\n操作: ${label}\n処理中…（連打しないでOK）` }]);
-        }
+// "卒論プロジェクトに" / "プロジェクト『卒論』へ" -> "卒論"
+function parseImportProjectTitle(head) {
+  const t = normalizeText(stripTagsFromText(head)).replace(/\s*(?:に|へ|で|の|として)$/, "");
+  const m = t.match(/プロジェクト\s*[:：]?\s*[「『"“]?([^」』"”]+?)[」』"”]?$/) || t.match(/^[「『"“]?([^\s」』"”]+?)[」』"”]?\s*プロジェクト$/);
+  return m ? m[1].trim() : "";
+}
 
-        if (pb.a === "task_new") {
-          if (spaceId) {
-            await push(spaceId, [
-              {
-                type: "text",
-                text:
-                  "タスクを自然文で追加できます。例:\n" +
-                  "・議事録作成を明日18時までに追加\n" +
-                  "・来週火曜までにレポート提出（status open）\n" +
-                  "または: @KAI bot タスク: 議事録作成 / 期限: 2026-01-10 18:00 / status: open",
-              },
-            ]);
-          }
-          continue;
-        }
+// Project and tags on the first line ("インポート 卒論プロジェクトに #論文") apply to every item.
+async function parseImportDefaults(spaceId, head, send) {
+  const defaults = { project_id: "", project_title: "", tags: parseTagsFromText(head) };
+  const projectTitle = parseImportProjectTitle(head);
+  if (!projectTitle) return defaults;
+  const matches = await findProjectsByQuery(spaceId, sanitizeQuery(projectTitle), 200);
+  if (!matches.length) {
+    await send(`プロジェクトが見つかりませんでした: ${projectTitle}`);
+    return null;
+  }
+  if (matches.length > 1) {
+    await send(`複数のプロジェクトが見つかりました。より具体的に教えてください:\n${formatProjectMatches(matches)}`);
+    return null;
+  }
+  return { ...defaults, project_id: matches[0].project_id, project_title: matches[0].title };
+}
 
-        if (pb.a === "task_list") {
-          if (!spaceId) continue;
-          const tasks = await sheetsGetTasksBySpace(spaceId, 20);
-          await push(spaceId, [{ type: "text", text: formatTaskList(tasks) }]);
-          continue;
-        }
+async function previewImport({ spaceId, userId, text, defaults, send }) {
+  const items = parseImportItems(text);
+  if (!items.length) {
+    await send("登録できるタスクが見つかりませんでした。1行に1つずつ送ってください（例: - 資料作成 1/20）。");
+    return;
+  }
+  if (items.length > IMPORT_MAX_ITEMS) {
+    await send(`一度に登録できるのは ${IMPORT_MAX_ITEMS} 件までです（${items.length} 件あります）。分けて送ってください。`);
+    return;
+  }
+  // A re-imported CSV keeps project_id only when the project exists in this space.
+  if (items.some((it) => it.project_id)) {
+    const projects = await sheetsGetProjectsBySpace(spaceId, 100000);
+    const known = new Set(projects.map((p) => String(p.project_id)));
+    for (const it of items) if (!known.has(it.project_id)) it.project_id = "";
+  }
+  await setPending(spaceId, userId, { action: "import_tasks", step: "confirm", draft: { ...defaults, items } });
+  await send(formatImportPreview(items, defaults));
+}
 
-        if (pb.a === "project_new") {
-          if (spaceId) {
-            await push(spaceId, [
-              {
-                type: "text",
-                text:
-                  "プロジェクトを自然文で追加できます。例:\n" +
-                  "・プロジェクト『卒論』を追加\n" +
-                  "・Hikari開発をプロジェクト追加（期限: 2026-03-01）\n" +
-                  "または: @KAI bot プロジェクト: 卒論 / 期限: 2026-03-01 / status: open",
-              },
-            ]);
-          }
-          continue;
-        }
+async function handleImportCommand({ spaceId, userId, body, send }) {
+  const [head, ...rest] = String(body || "").split("\n");
+  const defaults = await parseImportDefaults(spaceId, head.replace(IMPORT_HEAD_RE, " "), send);
+  if (!defaults) return;
+  const text = rest.join("\n");
+  if (!normalizeText(text)) {
+    await setPending(spaceId, userId, { action: "import_tasks", step: "list", draft: defaults });
+    await send("登録するタスクを1行に1つずつ送ってください。\n例:\n- 資料作成 1/20 18:00\n- [ ] 会場予約 明日まで #準備\nCSV（title, due_at, status ... の見出し付き）も使えます。");
+    return;
+  }
+  await previewImport({ spaceId, userId, text, defaults, send });
+}
+
+async function handlePendingImport({ spaceId, userId, pending, followText, send }) {
+  const draft = pending.draft || {};
+  if (pending.step === "list") {
+    await previewImport({ spaceId, userId, text: followText, defaults: draft, send });
+    return;
+  }
+  if (!PENDING_CONFIRM_RE.test(followText)) {
+    await send("登録する場合は「はい」、やめる場合は「キャンセル」と送ってください。");
+    return;
+  }
+  await clearPending(spaceId, userId);
+  await send("登録中…", { extra: true });
+  const now = new Date().toISOString();
+  const ids = await sheetsAppendTasks(
+    (draft.items || []).map((it) => ({
+      spaceId,
+      project_id: it.project_id || draft.project_id || "",
+      title: it.title,
+      description: it.description,
+      status: it.status,
+      due_at: it.due_at,
+      done_at: it.status === "done" ? now : "",
+      created_by: userId,
+      assignee_name: it.assignee_name,
+      priority: it.priority,
+      tags: mergeTags("", [...(draft.tags || []), ...it.tags]),
+    }))
+  );
+  await send(`${ids.length} 件のタスクを登録しました${draft.project_title ? `（プロジェクト: ${draft.project_title}）` : ""}。`);
+}
+
+// =====================
+// Bulk task operations (複数指定 / 絞り込みで一括)
+// =====================
+// Two ways in: a list of targets on the normal commands ("議事録、資料作成、会場予約を完了")
+// and a filter with 全部/すべて ("期限切れを全部完了" / "プロジェクト卒論のタスクを全部削除").
+// Deletes and anything selected by a filter are confirmed first; the reply lists every item.
+const BULK_ALL_RE = /(全部|全て|すべて|まとめて|一括)/;
+const BULK_OPS_BY_ACTION = { complete_task: "complete", reopen_task: "reopen", delete_task: "delete", update_task: "update" };
+const BULK_OP_LABELS = { complete: "完了", reopen: "再開", delete: "削除", update: "更新" };
+const BULK_MAX_TARGETS = 200;
+const BULK_RESULT_LINES = 30;
+
+// "プロジェクト『春の旅行』の" / "プロジェクト卒論に" / "卒論プロジェクトの"
+function matchBulkProject(text, particle) {
+  return (
+    text.match(new RegExp(`プロジェクト\\s*[「『"“]([^」』"”]+)[」』"”]\\s*${particle}`)) ||
+    text.match(new RegExp(`プロジェクト\\s*([^\\s「『"“」』"”のをに]+)\\s*${particle}`)) ||
+    text.match(new RegExp(`[「『"“]?([^\\s「『"“」』"”のをに、]+)[」』"”]?\\s*プロジェクト\\s*${particle}`))
+  );
+}
+
+function parseBulkTaskCommand(text) {
+  const t = normalizeText(text);
+  if (!BULK_ALL_RE.test(t)) return null;
+  const cmd = { action: "bulk_tasks", op: "", filter: {}, all: /タスク|task/i.test(t) };
+  let rest = t;
+  const due = parseDueAtFromText(t);
+  if (/(移動|移して|紐付け)/.test(t) && /プロジェクト/.test(t)) {
+    const dest = matchBulkProject(t, "(?:に|へ)");
+    if (!dest) return null;
+    cmd.op = "update";
+    cmd.project_title = dest[1].trim();
+    rest = t.replace(dest[0], " ");
+  } else if (/(削除|消して|消す|delete)/i.test(t)) cmd.op = "delete";
+  else if (due && /(延期|変更|ずらし|ずらす|期限を)/.test(t)) {
+    cmd.op = "update";
+    cmd.due_at = due;
+  } else if (/(再開|未完了に|戻す|戻して|reopen)/i.test(t)) cmd.op = "reopen";
+  else if (/(完了|終わった|終わり|済んだ|done)/i.test(t)) cmd.op = "complete";
+  else return null;
+
+  const f = cmd.filter;
+  if (/(期限切れ|期限を?過ぎ|期限超過|遅れている)/.test(rest)) f.overdue = true;
+  if (/期限(?:なし|無し|未設定)/.test(rest)) f.no_due = true;
+  if (/(完了済み|完了した(?:タスク|もの))/.test(rest)) f.status = "done";
+  else if (/未着手/.test(rest)) f.status = "open";
+  else if (/(進行中|作業中)/.test(rest)) f.status = "doing";
+  const project = matchBulkProject(rest, "の");
+  if (project) f.project_title = project[1].trim();
+  const mAssignee = rest.match(/(?:^|\s)(自分|私|わたし|僕|俺)の/) || rest.match(/([^\s、の]+?)(?:さん|くん|君|ちゃん|様)の/);
+  if (mAssignee) cmd.assignee_name = cleanAssigneeName(mAssignee[1]);
+  return cmd;
+}
+
+function isMultiTargetTaskCommand(cmd) {
+  return !!BULK_OPS_BY_ACTION[cmd.action] && !cmd.task_id && splitQueries(cmd.query || cmd.title).length > 1;
+}
+
+function toBulkTaskCommand(cmd) {
+  if (cmd.action === "bulk_tasks") return cmd;
+  return {
+    action: "bulk_tasks",
+    op: BULK_OPS_BY_ACTION[cmd.action],
+    query: cmd.query || cmd.title,
+    queries: splitQueries(cmd.query || cmd.title).map(sanitizeQuery).filter(Boolean),
+    due_at: cmd.due_at || "",
+    status: cmd.action === "update_task" ? cmd.status || "" : "",
+    project_id: cmd.project_id || "",
+    project_title: cmd.project_title || "",
+  };
+}
+
+async function findSingleProjectOrReply(spaceId, title, send) {
+  const matches = await findProjectsByQuery(spaceId, sanitizeQuery(title), 200);
+  if (!matches.length) {
+    await send(`プロジェクトが見つかりませんでした: ${title}`);
+    return null;
+  }
+  if (matches.length > 1) {
+    await send(`複数のプロジェクトが見つかりました。より具体的に教えてください:\n${formatProjectMatches(matches)}`);
+    return null;
+  }
+  return matches[0];
+}
+
+// For op "update": the fields to set on every target, plus how to describe them.
+async function buildBulkPatch(spaceId, cmd, send) {
+  if (cmd.op !== "update") return { patch: {}, label: BULK_OP_LABELS[cmd.op] };
+  const patch = {};
+  const labels = [];
+  if (cmd.due_at) {
+    patch.due_at = cmd.due_at;
+    labels.push(`期限を ${cmd.due_at} に変更`);
+  }
+  if (cmd.status) {
+    patch.status = cmd.status;
+    labels.push(`状態を${formatStatusJa(cmd.status)}に変更`);
+  }
+  if (cmd.project_id || cmd.project_title) {
+    const project = cmd.project_id ? { project_id: cmd.project_id, title: cmd.project_title || cmd.project_id } : await findSingleProjectOrReply(spaceId, cmd.project_title, send);
+    if (!project) return null;
+    patch.project_id = project.project_id;
+    labels.push(`プロジェクト「${project.title}」に移動`);
+  }
+  if (!labels.length) {
+    await send("変更内容が分かりません。例: 議事録、資料作成の期限を明日に変更 / 期限切れを全部プロジェクト卒論に移動");
+    return null;
+  }
+  return { patch, label: labels.join("・") };
+}
+
+// Each query must hit exactly one task; misses are reported per item.
+async function resolveBulkTargetsByQueries(spaceId, cmd) {
+  const tasks = await sheetsGetTasksBySpace(spaceId, 100000);
+  const find = (q) => {
+    const low = q.toLowerCase();
+    const idMatch = tasks.find((t) => String(t.task_id || "") === q);
+    return idMatch ? [idMatch] : tasks.filter((t) => String(t.title || "").toLowerCase().includes(low));
+  };
+  // A title that itself contains "、" is one target, not several.
+  const whole = sanitizeQuery(cmd.query || "");
+  const queries = whole && find(whole).length === 1 ? [whole] : cmd.queries;
+
+  const targets = [];
+  const misses = [];
+  for (const q of queries) {
+    const matches = find(q);
+    if (!matches.length) misses.push(`× ${q}: 見つかりませんでした`);
+    else if (matches.length > 1) misses.push(`× ${q}: 複数見つかりました（${matches.slice(0, 3).map((t) => t.title).join(" / ")}${matches.length > 3 ? " …" : ""}）`);
+    else if (!targets.some((t) => t.task_id === matches[0].task_id)) targets.push(matches[0]);
+  }
+  return { targets, misses };
+}
+
+async function resolveBulkTargetsByFilter(spaceId, cmd, send) {
+  const f = cmd.filter || {};
+  const tags = cmd.tags || [];
+  const byAssignee = !!(cmd.assignee_id || cmd.assignee_name);
+  const labels = [];
+  let tasks = await sheetsGetTasksBySpace(spaceId, 100000);
+  if (f.overdue) {
+    const now = formatJst(toJstDate());
+    tasks = tasks.filter((t) => isOverdue(t, now));
+    labels.push("期限切れ");
+  }
+  if (f.no_due) {
+    tasks = tasks.filter((t) => !t.due_at);
+    labels.push("期限なし");
+  }
+  if (f.status) {
+    tasks = tasks.filter((t) => String(t.status || "open").toLowerCase() === f.status);
+    labels.push(f.status === "done" ? "完了済み" : formatStatusJa(f.status));
+  }
+  if (f.project_title) {
+    const project = await findSingleProjectOrReply(spaceId, f.project_title, send);
+    if (!project) return null;
+    tasks = tasks.filter((t) => String(t.project_id || "") === String(project.project_id));
+    labels.push(`プロジェクト: ${project.title}`);
+  }
+  if (tags.length) {
+    tasks = filterByTags(tasks, tags);
+    labels.push(tags.map((x) => `#${x}`).join(" "));
+  }
+  if (byAssignee) {
+    tasks = filterTasksByAssignee(tasks, cmd);
+    labels.push(`担当: ${cmd.assignee_name || formatAssignee(cmd) || "指定ユーザー"}`);
+  }
+  if (!labels.length && !cmd.all) {
+    await send("対象を絞り込めませんでした。例: 期限切れを全部完了 / プロジェクト卒論のタスクを全部削除 / #会計 のタスクを全部完了");
+    return null;
+  }
+  // Nothing to do for tasks already in the target state.
+  if (cmd.op === "complete") tasks = tasks.filter((t) => String(t.status || "").toLowerCase() !== "done");
+  if (cmd.op === "reopen") tasks = tasks.filter((t) => String(t.status || "").toLowerCase() === "done");
+  return { targets: tasks, misses: [], filterLabel: labels.join(" / ") || "すべてのタスク" };
+}
 
-        if (pb.a === "project_list") {
-          if (!spaceId) continue;
-          const projects = await sheetsGetProjectsBySpace(spaceId, 50);
-          await push(spaceId, [{ type: "text", text: formatProjectList(projects) }]);
-          continue;
-        }
+function truncateLines(lines, max) {
+  if (lines.length <= max) return lines;
+  return [...lines.slice(0, max), `…ほか ${lines.length - max} 件`];
+}
 
-        if (pb.a === "settings") {
-          if (spaceId) await push(spaceId, [{ type: "text", text: "設定UIは次で実装します（notify/quota/powerusers）。" }]);
-          continue;
-        }
+async function applyBulkTaskOp({ spaceId, userId, op, patch, task }) {
+  const status = String(task.status || "").toLowerCase();
+  if (op === "complete") {
+    if (status === "done") return { skipped: "既に完了しています" };
+    await sheetsUpdateTask(task.task_id, { status: "done", done_at: new Date().toISOString() }, { actor: userId });
+    const nextDue = await spawnNextRecurrence(spaceId, task, userId);
+    return { note: nextDue ? `次回分: ${nextDue}` : "" };
+  }
+  if (op === "reopen") {
+    if (status !== "done") return { skipped: "完了になっていません" };
+    await sheetsUpdateTask(task.task_id, { status: "open", done_at: "" }, { actor: userId });
+    return {};
+  }
+  if (op === "delete") {
+    await sheetsUpdateTask(task.task_id, { status: "deleted", deleted_at: new Date().toISOString() }, { actor: userId });
+    return {};
+  }
+  await sheetsUpdateTask(task.task_id, patch, { actor: userId });
+  return {};
+}
 
-        // default
-        if (spaceId) await push(spaceId, [buildMenuFlex()]);
+// Re-reads the tasks so a confirmed change applies to their current state.
+async function runBulkTaskOp({ spaceId, userId, role = "member", op, patch, label, targets, misses = [] }) {
+  const byId = new Map((await sheetsGetTasksBySpace(spaceId, 100000)).map((t) => [String(t.task_id), t]));
+  const lines = [];
+  let done = 0;
+  for (const target of targets) {
+    const task = byId.get(String(target.task_id));
+    if (!task) {
+      lines.push(`× ${target.title}: 見つかりませんでした`);
+      continue;
+    }
+    if (op === "delete" && checkPermission("delete_task", { role, userId }, task)) {
+      lines.push(`× ${task.title}: 作成者か管理者のみ削除できます`);
+      continue;
+    }
+    try {
+      const r = await applyBulkTaskOp({ spaceId, userId, op, patch, task });
+      if (r.skipped) {
+        lines.push(`－ ${task.title}: ${r.skipped}`);
         continue;
       }
+      done++;
+      lines.push(`○ ${task.title}${r.note ? `（${r.note}）` : ""}`);
+    } catch (e) {
+      console.warn("bulk task op failed", task.task_id, e && e.message ? e.message : e);
+      lines.push(`× ${task.title}: 失敗しました`);
+    }
+  }
+  const total = targets.length + misses.length;
+  const heading = op === "update" ? `一括更新（${label}）` : `一括${label}`;
+  return [`${heading}: ${total} 件中 ${done} 件`, ...truncateLines([...lines, ...misses], BULK_RESULT_LINES)].join("\n");
+}
 
-      // ---- Message text: trigger -> command parse ----
-      if (event.type === "message" && event.message && event.message.type === "text" && event.replyToken) {
-        const rawText = String(event.message.text || "");
-        const triggered = isTriggeredText(rawText);
-        console.log("trigger_check", { triggered, textPreview: rawText.slice(0, 200) });
+async function handleBulkTaskCommand({ spaceId, userId, role = "member", cmd, send }) {
+  const built = await buildBulkPatch(spaceId, cmd, send);
+  if (!built) return;
+  const byFilter = !(cmd.queries && cmd.queries.length);
+  const resolved = byFilter ? await resolveBulkTargetsByFilter(spaceId, cmd, send) : await resolveBulkTargetsByQueries(spaceId, cmd);
+  if (!resolved) return;
+  const { targets, misses, filterLabel } = resolved;
+  if (!targets.length) {
+    await send(misses.length ? ["対象のタスクが見つかりませんでした。", ...misses].join("\n") : `対象のタスクはありません（${filterLabel}）。`);
+    return;
+  }
+  if (targets.length > BULK_MAX_TARGETS) {
+    await send(`一度に操作できるのは ${BULK_MAX_TARGETS} 件までです（${targets.length} 件あります）。条件を絞ってください。`);
+    return;
+  }
 
-        const userId = src.userId || "";
-
-        if (!triggered) {
-          if (spaceId && userId) {
-            const pending = getPending(spaceId, userId);
-            if (pending) {
-              const followText = normalizeText(rawText);
-              if (/^(キャンセル|やめる|中止)$/i.test(followText)) {
-                clearPending(spaceId, userId);
-                await reply(event.replyToken, [{ type: "text", text: "キャンセルしました。" }]);
-                continue;
-              }
-
-              const query = followText;
-              if (pending.action === "delete_task") {
-                const matches = await findTasksByQuery(spaceId, sanitizeQuery(query), 200);
-                if (!matches.length) {
-                  await reply(event.replyToken, [{ type: "text", text: "一致するタスクが見つかりませんでした。もう一度教えてください。" }]);
-                  continue;
-                }
-                if (matches.length > 1) {
-                  await reply(event.replyToken, [
-                    { type: "text", text: `複数見つかりました。より具体的に教えてください:\n${formatTaskMatches(matches)}` },
-                  ]);
-                  continue;
-                }
-                await push(spaceId, [{ type: "text", text: "削除中…" }]);
-                await sheetsUpdateTask(matches[0].task_id, { status: "deleted", deleted_at: new Date().toISOString() });
-                await push(spaceId, [{ type: "text", text: `タスクを削除しました: ${matches[0].title}` }]);
-                clearPending(spaceId, userId);
-                continue;
-              }
-
-              if (pending.action === "delete_project") {
-                const matches = await findProjectsByQuery(spaceId, sanitizeQuery(query), 200);
-                if (!matches.length) {
-                  await reply(event.replyToken, [{ type: "text", text: "一致するプロジェクトが見つかりませんでした。もう一度教えてください。" }]);
-                  continue;
-                }
-                if (matches.length > 1) {
-                  await reply(event.replyToken, [
-                    { type: "text", text: `複数見つかりました。より具体的に教えてください:\n${formatProjectMatches(matches)}` },
-                  ]);
-                  continue;
-                }
-                await push(spaceId, [{ type: "text", text: "削除中…" }]);
-                await sheetsUpdateProject(matches[0].project_id, { status: "deleted", deleted_at: new Date().toISOString() });
-                await push(spaceId, [{ type: "text", text: `プロジェクトを削除扱いにしました: ${matches[0].title}` }]);
-                clearPending(spaceId, userId);
-                continue;
-              }
-            }
-          }
-          continue;
-        }
+  const draft = {
+    op: cmd.op,
+    patch: built.patch,
+    label: built.label,
+    targets: targets.map((t) => ({ task_id: t.task_id, title: t.title })),
+    misses,
+  };
+  if (!byFilter && (cmd.op !== "delete" || targets.length === 1)) {
+    await send(await runBulkTaskOp({ spaceId, userId, role, ...draft }));
+    return;
+  }
+  await setPending(spaceId, userId, { action: "bulk_tasks", step: "confirm", draft });
+  await send(
+    [
+      `${filterLabel ? `${filterLabel} の` : "次の"} ${targets.length} 件を${built.label}します:`,
+      ...truncateLines([...draft.targets.map((t) => `・${t.title}`), ...misses], BULK_RESULT_LINES),
+      "よろしいですか？（はい / キャンセル）",
+    ].join("\n")
+  );
+}
 
-        // If user only called bot, show menu.
-        const stripped = stripTriggerPrefix(rawText);
-        if (!stripped) {
-          await reply(event.replyToken, [buildMenuFlex()]);
-          continue;
-        }
+async function handlePendingBulk({ spaceId, userId, role = "member", pending, followText, send }) {
+  if (!PENDING_CONFIRM_RE.test(followText)) {
+    await send("実行する場合は「はい」、やめる場合は「キャンセル」と送ってください。");
+    return;
+  }
+  await clearPending(spaceId, userId);
+  await send("実行中…", { extra: true });
+  await send(await runBulkTaskOp({ spaceId, userId, role, ...(pending.draft || {}) }));
+}
 
-        const pending = spaceId && userId ? getPending(spaceId, userId) : null;
-        if (pending) {
-          // If the user replied with just a name, treat as follow-up.
-          const hasActionKeyword = /(削除|消して|消す|取り消し|完了|終わった|再開|更新|変更|修正|追加|作成|一覧)/.test(stripped);
-          if (!hasActionKeyword) {
-            const followText = normalizeText(stripped);
-            if (/^(キャンセル|やめる|中止)$/i.test(followText)) {
-              clearPending(spaceId, userId);
-              await reply(event.replyToken, [{ type: "text", text: "キャンセルしました。" }]);
-              continue;
-            }
-            if (pending.action === "create_task") {
-              const title = followText;
-              if (!title) {
-                await reply(event.replyToken, [{ type: "text", text: "タスク名が分かりません。もう一度教えてください。" }]);
-                continue;
-              }
-              await push(spaceId, [{ type: "text", text: "追加中…" }]);
-              const tid = await sheetsAppendTask({
-                spaceId,
-                project_id: "",
-                title,
-                description: "",
-                status: "open",
-                due_at: "",
-                created_by: src.userId || "",
-              });
-              await push(spaceId, [{ type: "text", text: buildCreatedSummary("タスク", { title, status: "open" }) }]);
-              await push(spaceId, [{ type: "text", text: "未設定: 期限 / 詳細 / プロジェクト" }]);
-              clearPending(spaceId, userId);
-              continue;
-            }
-            if (pending.action === "create_project") {
-              const title = followText;
-              if (!title) {
-                await reply(event.replyToken, [{ type: "text", text: "プロジェクト名が分かりません。もう一度教えてください。" }]);
-                continue;
-              }
-              await push(spaceId, [{ type: "text", text: "追加中…" }]);
-              const pid = await sheetsAppendProject({
-                spaceId,
-                title,
-                description: "",
-                status: "open",
-                due_at: "",
-                created_by: src.userId || "",
-              });
-              await push(spaceId, [{ type: "text", text: buildCreatedSummary("プロジェクト", { title, status: "open" }) }]);
-              await push(spaceId, [{ type: "text", text: "未設定: 期限 / 詳細" }]);
-              clearPending(spaceId, userId);
-              continue;
-            }
-            if (pending.action === "delete_task") {
-            const matches = await findTasksByQuery(spaceId, sanitizeQuery(followText), 200);
-              if (!matches.length) {
-                await reply(event.replyToken, [{ type: "text", text: "一致するタスクが見つかりませんでした。もう一度教えてください。" }]);
-                continue;
-              }
-              if (matches.length > 1) {
-                await reply(event.replyToken, [
-                  { type: "text", text: `複数見つかりました。より具体的に教えてください:\n${formatTaskMatches(matches)}` },
-                ]);
-                continue;
-              }
-              await push(spaceId, [{ type: "text", text: "削除中…" }]);
-              await sheetsUpdateTask(matches[0].task_id, { status: "deleted", deleted_at: new Date().toISOString() });
-              await push(spaceId, [{ type: "text", text: `タスクを削除しました: ${matches[0].title}` }]);
-              clearPending(spaceId, userId);
-              continue;
-            }
-            if (pending.action === "delete_project") {
-              const matches = await findProjectsByQuery(spaceId, sanitizeQuery(followText), 200);
-              if (!matches.length) {
-                await reply(event.replyToken, [{ type: "text", text: "一致するプロジェクトが見つかりませんでした。もう一度教えてください。" }]);
-                continue;
-              }
-              if (matches.length > 1) {
-                await reply(event.replyToken, [
-                  { type: "text", text: `複数見つかりました。より具体的に教えてください:\n${formatProjectMatches(matches)}` },
-                ]);
-                continue;
-              }
-              await push(spaceId, [{ type: "text", text: "削除中…" }]);
-              await sheetsUpdateProject(matches[0].project_id, { status: "deleted", deleted_at: new Date().toISOString() });
-              await push(spaceId, [{ type: "text", text: `プロジェクトを削除扱いにしました: ${matches[0].title}` }]);
-              clearPending(spaceId, userId);
-              continue;
-            }
-          }
-        }
+// =====================
+// REST API (/api/spaces/:spaceId/tasks, /projects)
+// =====================
+// Every error is { error: { code, message } }. Handlers throw apiError(...) and
+// apiRoute turns it (or anything unexpected) into that body.
+const API_ACTOR = "api";
+const API_STATUSES = ["open", "doing", "done"];
+
+function apiError(status, code, message) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
 
-        if (spaceId && userId) clearPending(spaceId, userId);
+function apiRoute(fn) {
+  return async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (e) {
+      const status = (e && e.status) || 500;
+      if (status >= 500) console.error("api error", e);
+      res.status(status).json({
+        error: { code: (e && e.status && e.code) || "internal", message: String(e && e.message ? e.message : e) },
+      });
+    }
+  };
+}
 
-        if (!spaceId) {
-          await reply(event.replyToken, [{ type: "text", text: "スペースIDが取得できませんでした（source）。" }]);
-          continue;
-        }
+async function requireApiToken(req, res, next) {
+  try {
+    const m = String(req.get("authorization") || "").match(/^Bearer\s+(\S+)$/i);
+    if (!m || !(await verifyApiToken(req.params.spaceId, m[1]))) {
+      return res.status(401).json({ error: { code: "unauthorized", message: "APIトークンが無効です。" } });
+    }
+    rememberActorName(API_ACTOR, "API");
+    next();
+  } catch (e) {
+    console.error("api auth error", e);
+    res.status(500).json({ error: { code: "internal", message: String(e && e.message ? e.message : e) } });
+  }
+}
 
-        // Show processing indicator
-        await push(spaceId, [{ type: "text", text: "解釈中…" }]);
-
-        // Fast path: templates/regex without LLM
-        const templ = await matchTemplate(stripped);
-        const fast = templ || regexQuickParse(stripped);
-        let cmd;
-        if (fast) {
-          const due = parseDueAtFromText(stripped);
-          if (due) fast.due_at = due;
-          cmd = fast;
-        } else {
-          cmd = await parseCommandFromText(rawText);
-        }
-        console.log("parsed_command", cmd);
-        await recordTemplate(stripped, cmd);
+function toApiEntity(row) {
+  return { ...row, tags: splitTagsValue(row.tags) };
+}
 
-        // Execute (push results)
-        const createdBy = src.userId || "";
+function parseApiLimit(value, fallback) {
+  const n = Number(value || fallback);
+  if (!Number.isInteger(n) || n <= 0) throw apiError(400, "invalid_limit", "limit は正の整数で指定してください。");
+  return Math.min(n, 1000);
+}
 
-        if (cmd.action === "ask_user") {
-          const question = cmd.question || "対象を教えてください。";
-          await push(spaceId, [{ type: "text", text: question }]);
-          const pendingAction = cmd.next_action || (cmd.target_type === "project" ? "update_project" : "update_task");
-          setPending(spaceId, userId, { action: pendingAction });
-          continue;
-        }
+// Body -> storage patch. Only keys present in the body are touched.
+async function parseApiFields(spaceId, body, { entity, create }) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw apiError(400, "invalid_body", "JSON オブジェクトを送ってください。");
+  }
+  const has = (k) => body[k] !== undefined && body[k] !== null;
+  const out = {};
 
-        if (cmd.action === "unknown") {
-          const intent = inferIntentFromText(stripped);
-          if (intent.action === "delete" && intent.targetType && intent.missingTarget) {
-            const q = intent.targetType === "project" ? "どのプロジェクトですか？" : "どのタスクですか？";
-            await push(spaceId, [{ type: "text", text: q }]);
-            setPending(spaceId, userId, { action: intent.targetType === "project" ? "delete_project" : "delete_task" });
-            continue;
-          }
-          if (intent.action === "create" && intent.targetType) {
-            const q = intent.targetType === "project" ? "追加するプロジェクト名を教えてください。" : "追加するタスク名を教えてください。";
-            await push(spaceId, [{ type: "text", text: q }]);
-            setPending(spaceId, userId, { action: intent.targetType === "project" ? "create_project" : "create_task" });
-            continue;
-          }
-          await push(spaceId, [{ type: "text", text: buildUnknownResponse(stripped, intent) }]);
-          continue;
-        }
+  if (create || has("title")) {
+    const title = normalizeText(body.title);
+    if (!title) throw apiError(400, "missing_title", "title は必須です。");
+    out.title = title;
+  }
+  if (has("description")) out.description = String(body.description);
+  if (has("status")) {
+    const status = String(body.status).toLowerCase();
+    if (!API_STATUSES.includes(status)) throw apiError(400, "invalid_status", `status は ${API_STATUSES.join(" / ")} のいずれかです。`);
+    out.status = status;
+    if (entity === "task") out.done_at = status === "done" ? new Date().toISOString() : "";
+  }
+  if (has("due_at")) {
+    const raw = normalizeText(body.due_at);
+    const due = raw ? parseDueAtFromText(raw) : "";
+    if (raw && !due) throw apiError(400, "invalid_due_at", "due_at は YYYY-MM-DD HH:mm 形式で指定してください。");
+    out.due_at = due;
+  }
+  if (has("tags")) {
+    const tags = Array.isArray(body.tags) ? body.tags.map(String).join(" ") : String(body.tags);
+    out.tags = mergeTags("", splitTagsValue(tags));
+  }
+  if (entity === "project") return out;
 
-        if (cmd.action === "help") {
-          await push(spaceId, [buildMenuFlex()]);
-          continue;
-        }
+  if (has("priority")) {
+    const priority = normalizePriority(body.priority);
+    if (String(body.priority) && !priority) throw apiError(400, "invalid_priority", "priority は high / medium / low のいずれかです。");
+    out.priority = priority;
+  }
+  if (has("recurrence")) {
+    const recurrence = String(body.recurrence);
+    if (recurrence && !parseRecurrenceRule(recurrence)) throw apiError(400, "invalid_recurrence", "recurrence は daily / weekdays / weekly:1,3 / monthly:15 などの形式です。");
+    out.recurrence = recurrence;
+  }
+  if (has("assignee_id")) out.assignee_id = String(body.assignee_id);
+  if (has("assignee_name")) out.assignee_name = String(body.assignee_name);
+  if (has("project_id")) {
+    const projectId = String(body.project_id);
+    if (projectId && !(await findApiProject(spaceId, projectId))) {
+      throw apiError(400, "unknown_project", `プロジェクトが見つかりません: ${projectId}`);
+    }
+    out.project_id = projectId;
+  }
+  return out;
+}
 
-        if (cmd.action === "list_tasks") {
-          const tasks = await sheetsGetTasksBySpace(spaceId, 20);
-          await push(spaceId, [{ type: "text", text: formatTaskList(tasks) }]);
-          continue;
-        }
+async function findApiTask(spaceId, taskId) {
+  const tasks = await sheetsGetTasksBySpace(spaceId, 10000);
+  return tasks.find((t) => String(t.task_id) === String(taskId)) || null;
+}
 
-        if (cmd.action === "list_projects") {
-          const projects = await sheetsGetProjectsBySpace(spaceId, 50);
-          await push(spaceId, [{ type: "text", text: formatProjectList(projects) }]);
-          continue;
-        }
+async function findApiProject(spaceId, projectId) {
+  const projects = await sheetsGetProjectsBySpace(spaceId, 10000);
+  return projects.find((p) => String(p.project_id) === String(projectId)) || null;
+}
 
-        if (cmd.action === "complete_task") {
-          const q = cmd.task_id || cmd.query || cmd.title;
-          if (!q) {
-            await push(spaceId, [{ type: "text", text: "完了にするタスクが見つかりません。例: @KAI bot 議事録のタスク終わったよ / タスク完了 tsk_xxx" }]);
-            continue;
-          }
-          const matches = await findTasksByQuery(spaceId, q, 200);
-          if (!matches.length) {
-            await push(spaceId, [{ type: "text", text: "一致するタスクが見つかりませんでした。" }]);
-            continue;
-          }
-          if (matches.length > 1) {
-            await push(spaceId, [
-              { type: "text", text: `複数見つかりました。idで指定してください:\n${formatTaskMatches(matches)}` },
-            ]);
-            continue;
-          }
-          await sheetsUpdateTask(matches[0].task_id, { status: "done", done_at: new Date().toISOString() });
-          await push(spaceId, [{ type: "text", text: `タスクを完了にしました: ${matches[0].title}` }]);
-          continue;
-        }
+async function getApiTaskOr404(spaceId, taskId) {
+  const task = await findApiTask(spaceId, taskId);
+  if (!task) throw apiError(404, "not_found", `タスクが見つかりません: ${taskId}`);
+  return task;
+}
 
-        if (cmd.action === "reopen_task") {
-          const q = cmd.task_id || cmd.query || cmd.title;
-          if (!q) {
-            await push(spaceId, [{ type: "text", text: "再開するタスクが見つかりません。例: @KAI bot 議事録のタスク再開 / タスク再開 tsk_xxx" }]);
-            continue;
-          }
-          const matches = await findTasksByQuery(spaceId, q, 200);
-          if (!matches.length) {
-            await push(spaceId, [{ type: "text", text: "一致するタスクが見つかりませんでした。" }]);
-            continue;
-          }
-          if (matches.length > 1) {
-            await push(spaceId, [
-              { type: "text", text: `複数見つかりました。idで指定してください:\n${formatTaskMatches(matches)}` },
-            ]);
-            continue;
-          }
-          await sheetsUpdateTask(matches[0].task_id, { status: "open", done_at: "" });
-          await push(spaceId, [{ type: "text", text: `タスクを再開にしました: ${matches[0].title}` }]);
-          continue;
-        }
+async function getApiProjectOr404(spaceId, projectId) {
+  const project = await findApiProject(spaceId, projectId);
+  if (!project) throw apiError(404, "not_found", `プロジェクトが見つかりません: ${projectId}`);
+  return project;
+}
 
-        if (cmd.action === "delete_task") {
-          const q = cmd.task_id || cmd.query || cmd.title;
-          if (!q) {
-            await push(spaceId, [{ type: "text", text: "どのタスクを削除しますか？" }]);
-            setPending(spaceId, userId, { action: "delete_task" });
-            continue;
-          }
-          const items = splitQueries(q).map(sanitizeQuery).filter(Boolean);
-          const deleted = [];
-          for (const item of items) {
-            const matches = await findTasksByQuery(spaceId, item, 200);
-            if (!matches.length) {
-              await push(spaceId, [{ type: "text", text: `一致するタスクが見つかりませんでした: ${item}` }]);
-              continue;
-            }
-            if (matches.length > 1) {
-              await push(spaceId, [
-                { type: "text", text: `複数見つかりました。より具体的に教えてください:\n${formatTaskMatches(matches)}` },
-              ]);
-              continue;
-            }
-            await sheetsUpdateTask(matches[0].task_id, { status: "deleted", deleted_at: new Date().toISOString() });
-            deleted.push(matches[0].title);
-          }
-          if (deleted.length) {
-            await push(spaceId, [{ type: "text", text: `削除しました: ${deleted.join("、")}` }]);
-          }
-          continue;
-        }
+// Query filters: status, project_id, assignee (id or name), tag (comma-separated), q (title), sort, limit.
+function filterApiTasks(tasks, query) {
+  let out = tasks;
+  if (query.status) out = out.filter((t) => String(t.status || "").toLowerCase() === String(query.status).toLowerCase());
+  if (query.project_id) out = out.filter((t) => String(t.project_id || "") === String(query.project_id));
+  if (query.assignee) {
+    const a = String(query.assignee);
+    out = out.filter((t) => String(t.assignee_id || "") === a || String(t.assignee_name || "").toLowerCase() === a.toLowerCase());
+  }
+  if (query.tag) out = filterByTags(out, splitTagsValue(query.tag));
+  if (query.q) out = out.filter((t) => String(t.title || "").toLowerCase().includes(String(query.q).toLowerCase()));
+  return out;
+}
 
-        if (cmd.action === "update_task") {
-          const patch = {};
-          if (cmd.new_title) patch.title = cmd.new_title;
-          if (cmd.description) patch.description = cmd.description;
-          if (cmd.status) patch.status = cmd.status;
-          if (cmd.due_at) patch.due_at = cmd.due_at;
-          if (cmd.project_id) patch.project_id = cmd.project_id;
-          if (cmd.project_title && !cmd.project_id) {
-            const projMatches = await findProjectsByQuery(spaceId, cmd.project_title, 200);
-            if (!projMatches.length) {
-              await push(spaceId, [{ type: "text", text: `プロジェクトが見つかりませんでした: ${cmd.project_title}` }]);
-              continue;
-            }
-            if (projMatches.length > 1) {
-              await push(spaceId, [
-                { type: "text", text: `複数のプロジェクトが見つかりました。より具体的に教えてください:\n${formatProjectMatches(projMatches)}` },
-              ]);
-              continue;
-            }
-            patch.project_id = projMatches[0].project_id;
-          }
+const apiTasks = express.Router({ mergeParams: true });
+
+apiTasks.get(
+  "/",
+  apiRoute(async (req, res) => {
+    const { spaceId } = req.params;
+    const sort = String(req.query.sort || "created");
+    if (!TASK_SORTS[sort]) throw apiError(400, "invalid_sort", `sort は ${Object.keys(TASK_SORTS).join(" / ")} のいずれかです。`);
+    const limit = parseApiLimit(req.query.limit, 200);
+    const tasks = await sheetsGetTasksBySpace(spaceId, 10000, { sort });
+    res.json({ tasks: filterApiTasks(tasks, req.query).slice(0, limit).map(toApiEntity) });
+  })
+);
 
-          const q = cmd.task_id || cmd.query || cmd.title;
-          if (!q) {
-            await push(spaceId, [{ type: "text", text: "編集するタスクが見つかりません。例: @KAI bot 議事録の期限を明日18時に変更" }]);
-            continue;
-          }
-          if (Object.keys(patch).length === 0) {
-            await push(spaceId, [{ type: "text", text: "更新内容が見つかりませんでした（期限/ステータス/内容/タイトル）。" }]);
-            continue;
-          }
-          const matches = await findTasksByQuery(spaceId, q, 200);
-          if (!matches.length) {
-            await push(spaceId, [{ type: "text", text: "一致するタスクが見つかりませんでした。" }]);
-            continue;
-          }
-          if (matches.length > 1) {
-            await push(spaceId, [
-              { type: "text", text: `複数見つかりました。idで指定してください:\n${formatTaskMatches(matches)}` },
-            ]);
-            continue;
-          }
-          await push(spaceId, [{ type: "text", text: "更新中…" }]);
-          await sheetsUpdateTask(matches[0].task_id, patch);
-          await push(spaceId, [{ type: "text", text: `タスクを更新しました: ${matches[0].title}` }]);
-          continue;
-        }
+apiTasks.get(
+  "/:taskId",
+  apiRoute(async (req, res) => {
+    res.json({ task: toApiEntity(await getApiTaskOr404(req.params.spaceId, req.params.taskId)) });
+  })
+);
 
-        if (cmd.action === "create_project") {
-          const title = (cmd.title || cmd.project_title || "").trim();
-          if (!title) {
-            await push(spaceId, [{ type: "text", text: "プロジェクト名が分かりません。例: @KAI bot プロジェクト『卒論』を追加" }]);
-            continue;
-          }
-          await push(spaceId, [{ type: "text", text: "追加中…" }]);
-          const pid = await sheetsAppendProject({
-            spaceId,
-            title,
-            description: cmd.description || "",
-            status: cmd.status || "open",
-            due_at: cmd.due_at || "",
-            created_by: createdBy,
-          });
-          await push(spaceId, [
-            {
-              type: "text",
-              text: buildCreatedSummary("プロジェクト", { title, description: cmd.description || "", status: cmd.status || "open", due_at: cmd.due_at || "" }),
-            },
-          ]);
-          const notes = buildMissingNotes(stripped, cmd);
-          if (notes.length) {
-            await push(spaceId, [{ type: "text", text: notes.join("\n") }]);
-          }
-          continue;
-        }
+apiTasks.post(
+  "/",
+  apiRoute(async (req, res) => {
+    const { spaceId } = req.params;
+    const fields = await parseApiFields(spaceId, req.body, { entity: "task", create: true });
+    const taskId = await sheetsAppendTask({ ...fields, status: fields.status || "open", spaceId, created_by: API_ACTOR });
+    res.status(201).json({ task: toApiEntity(await getApiTaskOr404(spaceId, taskId)) });
+  })
+);
 
-        if (cmd.action === "update_project") {
-          const patch = {};
-          if (cmd.new_title) patch.title = cmd.new_title;
-          if (cmd.description) patch.description = cmd.description;
-          if (cmd.status) patch.status = cmd.status;
-          if (cmd.due_at) patch.due_at = cmd.due_at;
-
-          const q = cmd.project_id || cmd.query || cmd.project_title || cmd.title;
-          if (!q) {
-            await push(spaceId, [{ type: "text", text: "編集するプロジェクトが見つかりません。例: @KAI bot 卒論プロジェクトの期限を3/1に変更" }]);
-            continue;
-          }
-          if (Object.keys(patch).length === 0) {
-            await push(spaceId, [{ type: "text", text: "更新内容が見つかりませんでした（期限/ステータス/内容/タイトル）。" }]);
-            continue;
-          }
-          const matches = await findProjectsByQuery(spaceId, q, 200);
-          if (!matches.length) {
-            await push(spaceId, [{ type: "text", text: "一致するプロジェクトが見つかりませんでした。" }]);
-            continue;
-          }
-          if (matches.length > 1) {
-            await push(spaceId, [
-              { type: "text", text: `複数見つかりました。idで指定してください:\n${formatProjectMatches(matches)}` },
-            ]);
-            continue;
-          }
-          await push(spaceId, [{ type: "text", text: "更新中…" }]);
-          await sheetsUpdateProject(matches[0].project_id, patch);
-          await push(spaceId, [{ type: "text", text: `プロジェクトを更新しました: ${matches[0].title}` }]);
-          continue;
-        }
+apiTasks.patch(
+  "/:taskId",
+  apiRoute(async (req, res) => {
+    const { spaceId, taskId } = req.params;
+    const before = await getApiTaskOr404(spaceId, taskId);
+    const patch = await parseApiFields(spaceId, req.body, { entity: "task", create: false });
+    if (!Object.keys(patch).length) throw apiError(400, "empty_patch", "更新する項目がありません。");
+    await sheetsUpdateTask(taskId, patch, { actor: API_ACTOR });
+    // status "done" completes like /complete, so a recurring task gets its next instance.
+    if (patch.status === "done" && String(before.status || "").toLowerCase() !== "done") {
+      const nextDue = await spawnNextRecurrence(spaceId, await getApiTaskOr404(spaceId, taskId), API_ACTOR);
+      res.json({ task: toApiEntity(await getApiTaskOr404(spaceId, taskId)), next_due_at: nextDue || null });
+      return;
+    }
+    res.json({ task: toApiEntity(await getApiTaskOr404(spaceId, taskId)) });
+  })
+);
 
-        if (cmd.action === "delete_project") {
-          const q = cmd.project_id || cmd.query || cmd.project_title || cmd.title;
-          if (!q) {
-            await push(spaceId, [{ type: "text", text: "どのプロジェクトを削除しますか？" }]);
-            setPending(spaceId, userId, { action: "delete_project" });
-            continue;
-          }
-          const items = splitQueries(q).map(sanitizeQuery).filter(Boolean);
-          const deleted = [];
-          for (const item of items) {
-            const matches = await findProjectsByQuery(spaceId, item, 200);
-            if (!matches.length) {
-              await push(spaceId, [{ type: "text", text: `一致するプロジェクトが見つかりませんでした: ${item}` }]);
-              continue;
-            }
-            if (matches.length > 1) {
-              await push(spaceId, [
-                { type: "text", text: `複数見つかりました。より具体的に教えてください:\n${formatProjectMatches(matches)}` },
-              ]);
-              continue;
-            }
-            await sheetsUpdateProject(matches[0].project_id, { status: "deleted", deleted_at: new Date().toISOString() });
-            deleted.push(matches[0].title);
-          }
-          if (deleted.length) {
-            await push(spaceId, [{ type: "text", text: `削除扱いにしました: ${deleted.join("、")}` }]);
-          }
-          continue;
-        }
+apiTasks.post(
+  "/:taskId/complete",
+  apiRoute(async (req, res) => {
+    const { spaceId, taskId } = req.params;
+    const task = await getApiTaskOr404(spaceId, taskId);
+    await sheetsUpdateTask(taskId, { status: "done", done_at: new Date().toISOString() }, { actor: API_ACTOR });
+    const nextDue = await spawnNextRecurrence(spaceId, task, API_ACTOR);
+    res.json({ task: toApiEntity(await getApiTaskOr404(spaceId, taskId)), next_due_at: nextDue || null });
+  })
+);
 
-        if (cmd.action === "create_task") {
-          const title = (cmd.title || "").trim();
-          if (!title) {
-            await push(spaceId, [{ type: "text", text: "タスク名が分かりません。例: @KAI bot 議事録作成を明日18時までに追加" }]);
-            continue;
-          }
-          await push(spaceId, [{ type: "text", text: "追加中…" }]);
-          let projectId = cmd.project_id || "";
-          let projectTitle = cmd.project_title || "";
-          if (projectTitle && !projectId) {
-            const matches = await findProjectsByQuery(spaceId, projectTitle, 200);
-            if (matches.length > 1) {
-              await push(spaceId, [
-                { type: "text", text: `複数のプロジェクトが見つかりました。名前をもう少し具体的にしてください:\n${formatProjectMatches(matches)}` },
-              ]);
-              continue;
-            }
-            if (matches.length === 1) {
-              projectId = matches[0].project_id;
-              projectTitle = matches[0].title || projectTitle;
-            } else {
-              projectId = "";
-            }
-          }
-          const tid = await sheetsAppendTask({
-            spaceId,
-            project_id: projectId,
-            title,
-            description: cmd.description || "",
-            status: cmd.status || "open",
-            due_at: cmd.due_at || "",
-            created_by: createdBy,
-          });
-          await push(spaceId, [
-            {
-              type: "text",
-              text: buildCreatedSummary("タスク", {
-                title,
-                description: cmd.description || "",
-                status: cmd.status || "open",
-                due_at: cmd.due_at || "",
-                project_title: projectTitle,
-              }),
-            },
-          ]);
-          const notes = buildMissingNotes(stripped, { ...cmd, project_title: projectTitle, project_id: projectId });
-          if (notes.length) {
-            await push(spaceId, [{ type: "text", text: notes.join("\n") }]);
-          }
-          continue;
-        }
+apiTasks.delete(
+  "/:taskId",
+  apiRoute(async (req, res) => {
+    const { spaceId, taskId } = req.params;
+    await getApiTaskOr404(spaceId, taskId);
+    await sheetsUpdateTask(taskId, { status: "deleted", deleted_at: new Date().toISOString() }, { actor: API_ACTOR });
+    res.status(204).end();
+  })
+);
 
-        // Unknown -> show menu + hint
-        await push(spaceId, [{ type: "text", text: "解釈できませんでした。例: ‘議事録作成を明日18時までに追加’ / ‘タスク一覧’ / ‘タスク完了 tsk_xxx’" }]);
-        continue;
-      }
+const apiProjects = express.Router({ mergeParams: true });
+
+apiProjects.get(
+  "/",
+  apiRoute(async (req, res) => {
+    const limit = parseApiLimit(req.query.limit, 200);
+    let projects = await sheetsGetProjectsBySpace(req.params.spaceId, 10000);
+    if (req.query.status) projects = projects.filter((p) => String(p.status || "").toLowerCase() === String(req.query.status).toLowerCase());
+    if (req.query.tag) projects = filterByTags(projects, splitTagsValue(req.query.tag));
+    if (req.query.q) projects = projects.filter((p) => String(p.title || "").toLowerCase().includes(String(req.query.q).toLowerCase()));
+    res.json({ projects: projects.slice(0, limit).map(toApiEntity) });
+  })
+);
 
-    } catch (e) {
-      console.error("Event handling error:", e);
-      // Best-effort: do not throw
-      try {
-        if (event && event.replyToken) {
-          await reply(event.replyToken, [{ type: "text", text: `エラー: ${String(e && e.message ? e.message : e)}` }]);
-        }
-      } catch (_) {
-        // ignore
-      }
-    }
+apiProjects.get(
+  "/:projectId",
+  apiRoute(async (req, res) => {
+    res.json({ project: toApiEntity(await getApiProjectOr404(req.params.spaceId, req.params.projectId)) });
+  })
+);
+
+apiProjects.post(
+  "/",
+  apiRoute(async (req, res) => {
+    const { spaceId } = req.params;
+    const fields = await parseApiFields(spaceId, req.body, { entity: "project", create: true });
+    const projectId = await sheetsAppendProject({ ...fields, status: fields.status || "open", spaceId, created_by: API_ACTOR });
+    res.status(201).json({ project: toApiEntity(await getApiProjectOr404(spaceId, projectId)) });
+  })
+);
+
+apiProjects.patch(
+  "/:projectId",
+  apiRoute(async (req, res) => {
+    const { spaceId, projectId } = req.params;
+    await getApiProjectOr404(spaceId, projectId);
+    const patch = await parseApiFields(spaceId, req.body, { entity: "project", create: false });
+    if (!Object.keys(patch).length) throw apiError(400, "empty_patch", "更新する項目がありません。");
+    await sheetsUpdateProject(projectId, patch, { actor: API_ACTOR });
+    res.json({ project: toApiEntity(await getApiProjectOr404(spaceId, projectId)) });
+  })
+);
+
+apiProjects.post(
+  "/:projectId/complete",
+  apiRoute(async (req, res) => {
+    const { spaceId, projectId } = req.params;
+    await getApiProjectOr404(spaceId, projectId);
+    await sheetsUpdateProject(projectId, { status: "done" }, { actor: API_ACTOR });
+    res.json({ project: toApiEntity(await getApiProjectOr404(spaceId, projectId)) });
+  })
+);
+
+apiProjects.delete(
+  "/:projectId",
+  apiRoute(async (req, res) => {
+    const { spaceId, projectId } = req.params;
+    await getApiProjectOr404(spaceId, projectId);
+    await sheetsUpdateProject(projectId, { status: "deleted", deleted_at: new Date().toISOString() }, { actor: API_ACTOR });
+    res.status(204).end();
+  })
+);
+
+app.use("/api/spaces/:spaceId", requireApiToken);
+app.use("/api/spaces/:spaceId/tasks", apiTasks);
+app.use("/api/spaces/:spaceId/projects", apiProjects);
+
+// Unknown /api paths and malformed JSON bodies get the same error shape.
+app.use("/api", (req, res) => {
+  res.status(404).json({ error: { code: "not_found", message: "エンドポイントが見つかりません。" } });
+});
+app.use("/api", (err, req, res, next) => {
+  if (err && err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: { code: "invalid_json", message: "JSON を解釈できませんでした。" } });
   }
+  next(err);
 });
 
 // =====================
-// Discord Interactions
+// Cron (Cloud Scheduler)
 // =====================
-app.post("/discord/interactions", async (req, res) => {
-  const sig = req.get("x-signature-ed25519");
-  const ts = req.get("x-signature-timestamp");
-  console.log("discord_incoming", {
-    hasSignature: !!sig,
-    hasTimestamp: !!ts,
-    hasPublicKey: !!DISCORD_PUBLIC_KEY,
-    hasBody: !!req.rawBody,
-  });
-  if (!verifyDiscordSignature(req)) {
-    console.warn("discord_invalid_signature");
-    return res.status(401).send("invalid signature");
+app.post("/cron/reminders", async (req, res) => {
+  if (!verifyCronRequest(req)) {
+    console.warn("cron_invalid_secret");
+    return res.status(401).send("unauthorized");
   }
-
-  const interaction = req.body || {};
-  if (interaction.type === 1) {
-    return res.json({ type: 1 }); // PING
+  try {
+    const result = await runReminders();
+    console.log("cron_reminders", result);
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error("cron reminders failed", e);
+    res.status(500).json({ ok: false, error: String(e && e.message ? e.message : e) });
   }
+});
 
-  const userId = getDiscordUserId(interaction);
-  const spaceId = getDiscordSpaceId(interaction);
-  if (!userId || !spaceId) {
-    return res.json({ type: 4, data: { content: "ユーザー情報が取得できませんでした。" } });
+app.post("/cron/digest", async (req, res) => {
+  if (!verifyCronRequest(req)) {
+    console.warn("cron_invalid_secret");
+    return res.status(401).send("unauthorized");
   }
-
-  // Acknowledge immediately to avoid timeouts
-  res.json({ type: 5 }); // DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE
-
-  const options = (interaction.data && interaction.data.options) || [];
-  const textOpt = options.find((o) => o.name === "text") || options[0];
-  let text = textOpt && textOpt.value ? String(textOpt.value) : "";
-  if (!text) {
-    text = (interaction.data && interaction.data.name) || "";
+  try {
+    const result = await runDigests();
+    console.log("cron_digest", result);
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error("cron digest failed", e);
+    res.status(500).json({ ok: false, error: String(e && e.message ? e.message : e) });
   }
-
-  const send = async (content) => {
-    await discordFollowup(DISCORD_APP_ID, interaction.token, content);
-  };
-
-  await processDiscordText({ text, spaceId, userId, send });
 });
 
 const port = process.env.PORT || 8080;
-app.listen(port, () => console.log(`Listening on ${port}`));
+app.listen(port, () => console.log(`Listening on ${port} (storage: ${STORAGE_BACKEND})`));
 
 // =====================
 // Discord Gateway (mentions / keywords)
@@ -2413,34 +7729,32 @@ if (DISCORD_BOT_TOKEN) {
 
       const botId = discordClient.user ? discordClient.user.id : null;
       const triggered = isDiscordTriggered(message.content, botId);
-      if (!triggered) {
-        const spaceId = message.guildId || message.channelId;
-        const userId = message.author ? message.author.id : "";
-        if (spaceId && userId) {
-          const pending = getPending(spaceId, userId);
-          if (pending) {
-            await processDiscordText({
-              text: message.content,
-              spaceId,
-              userId,
-              send: async (content) => message.channel.send(content),
-            });
-          }
-        }
-        return;
-      }
-
-      const text = stripDiscordTrigger(message.content, botId);
       const spaceId = message.guildId || message.channelId;
       const userId = message.author ? message.author.id : "";
       if (!spaceId || !userId) return;
+      if (triggered) await recordSpace(spaceId, "discord", message.channelId);
 
-      await processDiscordText({
-        text,
-        spaceId,
-        userId,
-        send: async (content) => message.channel.send(content),
+      const mentions = getDiscordMentions(message.content, botId, (id) => {
+        const member = message.mentions && message.mentions.members ? message.mentions.members.get(id) : null;
+        const user = message.mentions && message.mentions.users ? message.mentions.users.get(id) : null;
+        return (member && member.displayName) || (user && (user.globalName || user.username)) || "";
       });
+
+      await handleInboundMessage(
+        {
+          platform: "discord",
+          spaceId,
+          userId,
+          userName: (message.member && message.member.displayName) || (message.author && message.author.username) || "",
+          text: triggered ? stripDiscordTrigger(message.content, botId) : message.content,
+          mentions,
+          triggered,
+          platformRole: message.guild
+            ? discordRoleFromPermissions(message.member ? message.member.permissions.bitfield : null, message.guild.ownerId === userId)
+            : "",
+        },
+        { onMessage: (msg) => message.channel.send(renderDiscordMessage(msg)) }
+      );
     } catch (e) {
       console.error("discord message error", e);
     }
@@ -92,6 +92,12 @@ async function ensureSchema(pool) {
       deleted_at TEXT DEFAULT ''
     );
   `);
+  await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS assignee_id TEXT DEFAULT '';`);
+  await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS assignee_name TEXT DEFAULT '';`);
+  await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence TEXT DEFAULT '';`);
+  await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS priority TEXT DEFAULT '';`);
+  await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS tags TEXT DEFAULT '';`);
+  await pool.query(`ALTER TABLE projects ADD COLUMN IF NOT EXISTS tags TEXT DEFAULT '';`);
 }
 
 async function migrateProjects(pool) {
@@ -117,11 +123,12 @@ async function migrateProjects(pool) {
     const created_by = idx.created_by !== undefined ? String(r[idx.created_by] || "") : "";
     const updated_at = idx.updated_at !== undefined ? String(r[idx.updated_at] || "") : "";
     const deleted_at = idx.deleted_at !== undefined ? String(r[idx.deleted_at] || "") : "";
+    const tags = idx.tags !== undefined ? String(r[idx.tags] || "") : "";
 
     await pool.query(
-      `INSERT INTO projects (project_id, space_id, title, description, status, due_at, created_at, created_by, updated_at, deleted_at)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
-      [project_id, space_id, title, description, status, due_at, created_at, created_by, updated_at, deleted_at]
+      `INSERT INTO projects (project_id, space_id, title, description, status, due_at, created_at, created_by, updated_at, deleted_at, tags)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
+      [project_id, space_id, title, description, status, due_at, created_at, created_by, updated_at, deleted_at, tags]
     );
     count += 1;
   }
@@ -153,11 +160,16 @@ async function migrateTasks(pool) {
     const created_by = idx.created_by !== undefined ? String(r[idx.created_by] || "") : "";
     const updated_at = idx.updated_at !== undefined ? String(r[idx.updated_at] || "") : "";
     const deleted_at = idx.deleted_at !== undefined ? String(r[idx.deleted_at] || "") : "";
+    const assignee_id = idx.assignee_id !== undefined ? String(r[idx.assignee_id] || "") : "";
+    const assignee_name = idx.assignee_name !== undefined ? String(r[idx.assignee_name] || "") : "";
+    const recurrence = idx.recurrence !== undefined ? String(r[idx.recurrence] || "") : "";
+    const priority = idx.priority !== undefined ? String(r[idx.priority] || "") : "";
+    const tags = idx.tags !== undefined ? String(r[idx.tags] || "") : "";
 
     await pool.query(
-      `INSERT INTO tasks (task_id, space_id, project_id, title, description, status, due_at, created_at, done_at, created_by, updated_at, deleted_at)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)`,
-      [task_id, space_id, project_id, title, description, status, due_at, created_at, done_at, created_by, updated_at, deleted_at]
+      `INSERT INTO tasks (task_id, space_id, project_id, title, description, status, due_at, created_at, done_at, created_by, updated_at, deleted_at, assignee_id, assignee_name, recurrence, priority, tags)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17)`,
+      [task_id, space_id, project_id, title, description, status, due_at, created_at, done_at, created_by, updated_at, deleted_at, assignee_id, assignee_name, recurrence, priority, tags]
     );
     count += 1;
   }
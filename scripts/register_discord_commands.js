@@ -0,0 +1,122 @@
+require("dotenv").config();
+
+const fetch = require("node-fetch");
+
+// Registers the bot's slash commands (bulk overwrite: commands not listed here are removed).
+//   node scripts/register_discord_commands.js            -> global (may take up to an hour to show)
+//   node scripts/register_discord_commands.js <guild_id> -> one server, immediately (for testing)
+const DISCORD_APP_ID = process.env.DISCORD_APP_ID;
+const DISCORD_BOT_TOKEN = process.env.DISCORD_BOT_TOKEN;
+const GUILD_ID = process.argv[2] || process.env.DISCORD_GUILD_ID || "";
+
+// Discord option types
+const SUB_COMMAND = 1;
+const STRING = 3;
+const USER = 6;
+
+const str = (name, description, extra = {}) => ({ type: STRING, name, description, ...extra });
+const taskOption = (description = "タスク（候補から選ぶか、タイトルの一部を入力）") =>
+  str("task", description, { required: true, autocomplete: true });
+const projectOption = (description = "プロジェクト（候補から選ぶか、名前の一部を入力）") =>
+  str("project", description, { required: true, autocomplete: true });
+const dueOption = (required = false) => str("due", "期限（例: 明日18時 / 3/1 / 2026-01-10 18:00）", { required });
+
+const COMMANDS = [
+  {
+    name: "kai",
+    description: "自然文で操作（例: 議事録作成を明日18時までに追加）",
+    options: [str("text", "やりたいこと", { required: true })],
+  },
+  {
+    name: "task",
+    description: "タスクの操作",
+    options: [
+      {
+        type: SUB_COMMAND,
+        name: "add",
+        description: "タスクを追加",
+        options: [
+          str("title", "タスク名", { required: true }),
+          dueOption(),
+          str("project", "プロジェクト", { autocomplete: true }),
+          { type: USER, name: "assignee", description: "担当者" },
+          str("priority", "優先度", {
+            choices: [
+              { name: "高", value: "high" },
+              { name: "中", value: "medium" },
+              { name: "低", value: "low" },
+            ],
+          }),
+          str("tags", "タグ（空白またはカンマ区切り）"),
+          str("description", "メモ"),
+        ],
+      },
+      { type: SUB_COMMAND, name: "done", description: "タスクを完了にする", options: [taskOption()] },
+      { type: SUB_COMMAND, name: "reopen", description: "完了したタスクを再開する", options: [taskOption()] },
+      { type: SUB_COMMAND, name: "due", description: "期限を変更する", options: [taskOption(), dueOption(true)] },
+      { type: SUB_COMMAND, name: "delete", description: "タスクを削除する", options: [taskOption()] },
+      {
+        type: SUB_COMMAND,
+        name: "list",
+        description: "タスク一覧",
+        options: [
+          str("status", "状態で絞り込む", {
+            choices: [
+              { name: "未着手", value: "open" },
+              { name: "進行中", value: "doing" },
+              { name: "完了", value: "done" },
+            ],
+          }),
+          { type: USER, name: "assignee", description: "担当者で絞り込む" },
+          str("tag", "タグで絞り込む"),
+          str("sort", "並び順", {
+            choices: [
+              { name: "期限順", value: "due" },
+              { name: "優先度順", value: "priority" },
+              { name: "新しい順", value: "newest" },
+              { name: "作成順", value: "created" },
+            ],
+          }),
+        ],
+      },
+    ],
+  },
+  {
+    name: "project",
+    description: "プロジェクトの操作",
+    options: [
+      {
+        type: SUB_COMMAND,
+        name: "add",
+        description: "プロジェクトを追加",
+        options: [str("title", "プロジェクト名", { required: true }), dueOption(), str("description", "メモ")],
+      },
+      { type: SUB_COMMAND, name: "done", description: "プロジェクトを完了にする", options: [projectOption()] },
+      { type: SUB_COMMAND, name: "reopen", description: "プロジェクトを再開する", options: [projectOption()] },
+      { type: SUB_COMMAND, name: "due", description: "期限を変更する", options: [projectOption(), dueOption(true)] },
+      { type: SUB_COMMAND, name: "delete", description: "プロジェクトを削除する", options: [projectOption()] },
+      { type: SUB_COMMAND, name: "list", description: "プロジェクト一覧" },
+    ],
+  },
+];
+
+async function main() {
+  if (!DISCORD_APP_ID) throw new Error("Missing env: DISCORD_APP_ID");
+  if (!DISCORD_BOT_TOKEN) throw new Error("Missing env: DISCORD_BOT_TOKEN");
+
+  const path = GUILD_ID ? `guilds/${GUILD_ID}/commands` : "commands";
+  const res = await fetch(`https://discord.com/api/v10/applications/${DISCORD_APP_ID}/${path}`, {
+    method: "PUT",
+    headers: { Authorization: `Bot ${DISCORD_BOT_TOKEN}`, "Content-Type": "application/json" },
+    body: JSON.stringify(COMMANDS),
+  });
+  const body = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(`Discord API ${res.status}: ${JSON.stringify(body)}`);
+
+  console.log(`Registered ${body.length} commands (${GUILD_ID ? `guild ${GUILD_ID}` : "global"}): ${body.map((c) => `/${c.name}`).join(" ")}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});